@@ -2736,7 +2736,7 @@ class MarkdownConverter {
 				],
 			};
 			const ixRoot = buf.indexOf(stack[0]);
-			if (~ixRoot) throw new Error(`Could not find root in buffer!`);
+			if (!~ixRoot) throw new Error(`Could not find root in buffer!`);
 			buf[ixRoot] = nuRoot;
 			stack.pop();
 			stack.push(nuRoot);
@@ -1,4 +1,5 @@
 import {Command} from "commander";
+import {readJson} from "./util.js";
 import {MarkdownExportEngine} from "./util-markdown-export.js";
 
 const program = new Command()
@@ -11,12 +12,59 @@ const program = new Command()
 	.option("--force", "Force export (ignore state and regenerate all)")
 	.option("--output <dir>", "Output directory", "markdown-export")
 	.option("--clean", "Clean output directory before export")
+	.option("--keep-edited", "Do not overwrite notes whose generated content was edited by hand (sections after a \"%% user %%\" line, or under a \"## Notes\" heading, are always kept)")
+	.option("--split-sections", "Export adventure/book chapters with one note per top-level section")
+	.option("--orphans <mode>", `What to do with notes whose source entry was deleted or renamed ("delete" or "move" to an "_orphaned" folder)`, "delete")
+	.option("--feature-notes", "Export each class and subclass feature as its own note, embedded in its class/subclass note")
+	.option("--monster-format <format>", `How to write monsters ("prose" markdown, or "statblock" for the Fantasy Statblocks plugin)`, "prose")
+	.option("--dice-roller", "Render dice, damage, to-hit and recharge rolls as Obsidian Dice Roller inline rolls")
+	.option("--no-fluff", "Do not add lore text and images from fluff files to notes")
+	.option("--image-base-url <url>", "Base URL for site images (e.g. a mirror of the site's \"img\" directory), if not that of the deployed site")
+	.option("--image-dir <dir>", "Local copy of the site's \"img\" directory; images found there are copied into the vault. Site images which are neither copied nor linked are left out")
+	.option("--brew <path>", "Homebrew/prerelease JSON file, directory, or glob (e.g. \"brew/*.json\") to export alongside site data; may be repeated", (val, prev) => [...prev, val], [])
+	.option("--scale <creature>", `Also write a creature scaled to a CR, or to a summoning spell or class level, as "<name>|<source>@<CR or level>" (e.g. "goblin|mm@3"); may be repeated`, (val, prev) => [...prev, val], [])
+	.option("--scale-summons", "Also write every summoned creature scaled to each level of the spell or class which summons it")
+	.option("--magic-variants <mode>", `How to write specific magic item variants, e.g. "Longsword, +1" ("notes", one note each, or "table", a table on the generic variant's note)`, "notes")
+	.option("--no-index", "Do not write an index note per resource directory and a top-level Home note")
+	.option("--no-referenced-by", "Do not add a \"Referenced By\" section to each note, listing the notes which link to it")
+	.option("--dataview", "Add a Dataview query block to each index note")
+	.option("--templates <dir>", "Directory of Handlebars templates overriding the default note layout, one per note type (e.g. \"monster.hbs\"), or \"note.hbs\" for all types")
+	.option("--canvas", "Write an Obsidian canvas of each class's progression, and of the maps in each adventure/book chapter")
+	.option("--audit-links", "After exporting, list every wikilink whose target note was not generated")
+	.option("--fail-on-broken-links", "Audit links, and exit with a non-zero code if any are broken (e.g. for CI)")
+	.option("--filter <file>", "JSON filter spec of which entries to export (sources, source groups, SRD/Basic Rules, reprints, and frontmatter field values per type); the filter options below override it")
+	.option("--source <sources>", "Only export entries from these sources (comma-separated, e.g. \"XPHB,XDMG,XMM\")")
+	.option("--exclude-source <sources>", "Do not export entries from these sources (comma-separated)")
+	.option("--source-group <groups>", `Only export entries from these source groups (comma-separated; "official", "partnered", "other", "ua", or "homebrew")`)
+	.option("--srd", "Only export entries in the SRD")
+	.option("--basic-rules", "Only export entries in the Basic Rules")
+	.option("--skip-reprinted", "Do not export entries which have been reprinted in an exported source")
+	.option("--watch", "After exporting, keep watching the data directory (and --brew paths) and export changed entries as they are saved")
+	.option("--jobs <n>", "Number of worker threads to export source files on", val => Number(val), 1)
+	.option("--no-progress", "Do not show a progress bar (it is only shown in a terminal, and without --verbose)")
 	.option("--verbose", "Verbose logging")
 ;
 
 program.parse(process.argv);
 const params = program.opts();
 
+/**
+ * Combine the `--filter` file's spec with the filter options, see `ExportFilter`
+ */
+function getFilterSpec () {
+	const spec = params.filter ? readJson(params.filter) : {};
+	const getList = str => str.split(",").map(it => it.trim()).filter(Boolean);
+
+	if (params.source) spec.sources = getList(params.source);
+	if (params.excludeSource) spec.excludeSources = getList(params.excludeSource);
+	if (params.sourceGroup) spec.groups = getList(params.sourceGroup);
+	if (params.srd) spec.srd = true;
+	if (params.basicRules) spec.basicRules = true;
+	if (params.skipReprinted) spec.excludeReprinted = true;
+
+	return spec;
+}
+
 async function pMain() {
 	console.log("5etools Markdown Export Tool");
 	console.log("============================\n");
@@ -26,6 +74,28 @@ async function pMain() {
 		outputDir: params.output,
 		mode: params.full ? "full" : "incremental",
 		verbose: params.verbose,
+		orphans: params.orphans,
+		isSplitSections: params.splitSections,
+		isFeatureNotes: params.featureNotes,
+		isKeepEdited: params.keepEdited,
+		monsterFormat: params.monsterFormat,
+		isDiceRoller: params.diceRoller,
+		isFluff: params.fluff,
+		imageBaseUrl: params.imageBaseUrl,
+		imageDir: params.imageDir,
+		brewPaths: params.brew,
+		scaleCreatures: params.scale,
+		isScaleSummons: params.scaleSummons,
+		magicVariants: params.magicVariants,
+		isIndex: params.index,
+		isReferencedBy: params.referencedBy,
+		isDataview: params.dataview,
+		templateDir: params.templates,
+		isCanvas: params.canvas,
+		isAuditLinks: params.auditLinks || params.failOnBrokenLinks,
+		filter: getFilterSpec(),
+		jobs: params.jobs,
+		isProgress: params.progress ? undefined : false,
 	});
 
 	try {
@@ -43,7 +113,19 @@ async function pMain() {
 			force: params.force || params.full,
 		});
 
+		if (params.failOnBrokenLinks && stats.brokenLinks) {
+			console.error(`\n✗ Export has ${stats.brokenLinks} broken link targets`);
+			process.exit(1);
+		}
+
 		console.log("\n✓ Export successful!");
+
+		if (params.watch) {
+			const abortController = new AbortController();
+			process.once("SIGINT", () => abortController.abort());
+			await engine.pWatch({signal: abortController.signal, resourceTypes});
+		}
+
 		process.exit(0);
 	} catch (error) {
 		console.error("\n✗ Export failed:", error.message);
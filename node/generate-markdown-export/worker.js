@@ -0,0 +1,26 @@
+import {parentPort, workerData} from "worker_threads";
+import {MarkdownExportEngine} from "../util-markdown-export.js";
+
+// Exports source files for `MarkdownExportEngine._pProcessFilesInWorkers`. Notes are returned rather than written, so
+//   the main thread can write them (and update export state) in file order.
+
+const engine = new MarkdownExportEngine(workerData.options);
+engine.brewFiles = new Set(workerData.brewFiles);
+
+engine._patchLoadJson();
+
+parentPort.on("message", async ({ix, sourceFile, force, fileState}) => {
+	engine.stats.skipped = 0;
+	engine.stats.errors = 0;
+	// Adventure/book section notes are written by the worker
+	engine.stats.kept = 0;
+	engine.keptFiles = [];
+	engine.tracker.setFileState(sourceFile, fileState);
+
+	try {
+		const result = await engine._pExportFile(sourceFile, {force});
+		parentPort.postMessage({ix, result, stats: engine.stats, keptFiles: engine.keptFiles});
+	} catch (e) {
+		parentPort.postMessage({ix, error: e.message, stats: engine.stats, keptFiles: engine.keptFiles});
+	}
+});
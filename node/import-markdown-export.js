@@ -0,0 +1,65 @@
+import fs from "fs";
+import path from "path";
+import {Command} from "commander";
+import {MarkdownImporter} from "./util-markdown-import.js";
+
+const program = new Command()
+	.name("import-markdown-export")
+	.description("Rebuild homebrew JSON from (edited) notes written by generate-markdown-export")
+	.version("1.0.0")
+	.argument("[paths...]", "Notes, or directories of notes, to import (relative to the vault)", ["."])
+	.option("--vault <dir>", "Vault directory the notes were exported to", "markdown-export")
+	.option("--output <file>", "Homebrew JSON file to write (by default, it is written to stdout)")
+	.option("--source <source>", "Source to import every entry under (by default, entries keep the source they were exported from)")
+	.option("--source-full <name>", "Full name of --source, for the homebrew's \"_meta\"")
+	.option("--verbose", "Verbose logging")
+;
+
+program.parse(process.argv);
+const params = program.opts();
+
+async function pMain () {
+	const importer = new MarkdownImporter({
+		vaultDir: params.vault,
+		source: params.source,
+		sourceFull: params.sourceFull,
+		verbose: params.verbose,
+	});
+
+	try {
+		const {brew, unmapped, stats} = await importer.pImport(program.args.length ? program.args : ["."]);
+
+		const json = `${JSON.stringify(brew, null, "\t")}\n`;
+		if (params.output) {
+			fs.mkdirSync(path.dirname(path.resolve(params.output)), {recursive: true});
+			fs.writeFileSync(params.output, json, "utf8");
+		} else {
+			process.stdout.write(json);
+		}
+
+		// The homebrew may be written to stdout, so keep the report to stderr
+		console.error(`Imported ${stats.imported} notes (${Object.entries(stats.notesByType).map(([prop, count]) => `${prop} ${count}`).join(", ") || "none"}); skipped ${stats.skipped}`);
+
+		if (stats.siteSource) {
+			console.error(`${stats.siteSource} entries from site sources kept their site source; use --source to import them as homebrew`);
+		}
+
+		if (unmapped.length) {
+			console.error(`\nFields which could not be mapped:`);
+			unmapped.forEach(({notePath, messages}) => {
+				console.error(`  ${notePath}`);
+				messages.forEach(msg => console.error(`    - ${msg}`));
+			});
+		}
+
+		process.exit(0);
+	} catch (error) {
+		console.error("\n✗ Import failed:", error.message);
+		if (params.verbose) {
+			console.error(error.stack);
+		}
+		process.exit(1);
+	}
+}
+
+export default pMain();
@@ -1,13 +1,24 @@
 import fs from "fs";
 import path from "path";
 import crypto from "crypto";
-import {readJson, listFiles} from "./util.js";
+import {fileURLToPath} from "url";
+import {Worker} from "worker_threads";
+import Handlebars from "handlebars";
+import {readJson, listFiles, patchLoadJson, unpatchLoadJson} from "./util.js";
+import {UtilHandlebars} from "./util-handlebars.js";
 import "../js/parser.js";
 import "../js/utils.js";
+import "../js/utils-ui.js";
 import "../js/utils-config.js";
+import "../js/utils-dataloader.js";
+import "../js/hist.js";
 import "../js/render.js";
+import "../js/render-dice.js";
 import "../js/render-markdown.js";
 import "../js/render-feats.js";
+import {ScaleCreature} from "../js/scalecreature/scalecreature-scaler-cr.js";
+import {ScaleSpellSummonedCreature} from "../js/scalecreature/scalecreature-scaler-summon-spell.js";
+import {ScaleClassSummonedCreature} from "../js/scalecreature/scalecreature-scaler-summon-class.js";
 
 /**
  * Obsidian-specific markdown renderer that extends RendererMarkdown
@@ -17,13 +28,31 @@ class ObsidianMarkdownRenderer extends RendererMarkdown {
 	constructor() {
 		super();
 		this._wikilinksEnabled = true;
+
+		this._adventureBookIndex = null;
+		// The adventure/book currently being rendered, used to resolve `@area` tags
+		this._curAdventureBook = null;
+
+		// Render rollable tags as Obsidian Dice Roller inline rolls
+		this._isDiceRoller = false;
+
+		this._imageResolver = null;
+
+		// Link class/subclass feature tags to their notes, which are only written with the feature notes option
+		this._isFeatureNotes = false;
 	}
 
+	static _ADVENTURE_BOOK_TAGS = new Set(["@adventure", "@book", "@area"]);
+
+	static _DICE_TAGS = new Set(["@dice", "@autodice", "@damage", "@hit", "@d20", "@recharge", "@scaledice", "@scaledamage"]);
+
+	// Dice formulas the Dice Roller plugin can roll, e.g. "2d6+3", "d20", "4d6kh3"
+	static _RE_DICE_FORMULA = /^[-+*/()\d]*\d*d\d+[-+*/()\ddkhl]*$/i;
+
 	static TAG_TO_DIR_MAP = {
 		"@spell": "spells",
 		"@item": "items",
 		"@creature": "monsters",
-		"@monster": "monsters",
 		"@background": "backgrounds",
 		"@class": "classes",
 		"@subclass": "subclasses",
@@ -35,7 +64,7 @@ class ObsidianMarkdownRenderer extends RendererMarkdown {
 		"@action": "actions",
 		"@vehicle": "vehicles",
 		"@object": "objects",
-		"@optionalfeature": "optional-features",
+		"@optfeature": "optional-features",
 		"@reward": "rewards",
 		"@psionic": "psionics",
 		"@variantrule": "variant-rules",
@@ -45,37 +74,220 @@ class ObsidianMarkdownRenderer extends RendererMarkdown {
 		"@hazard": "traps-hazards",
 		"@cult": "cults-boons",
 		"@boon": "cults-boons",
+		"@classFeature": "class-features",
+		"@subclassFeature": "subclass-features",
+		"@facility": "bastions",
+		"@recipe": "recipes",
+		"@deck": "decks",
+		"@card": "decks",
+		"@charoption": "character-creation-options",
 	};
 
+	// Feature notes are grouped by class (and subclass), see `MarkdownExportEngine.getClassFeatureNotePath`
+	static _FEATURE_TAGS = new Set(["@classFeature", "@subclassFeature"]);
+
 	/**
 	 * Override the tag rendering to convert cross-references to Obsidian wikilinks
 	 */
 	_renderString_renderTag(textStack, meta, options, tag, text) {
-		if (!this._wikilinksEnabled || !ObsidianMarkdownRenderer.TAG_TO_DIR_MAP[tag]) {
+		if (this._wikilinksEnabled && this._adventureBookIndex && ObsidianMarkdownRenderer._ADVENTURE_BOOK_TAGS.has(tag)) {
+			const wikilink = this._getAdventureBookWikilink(tag, text);
+			if (wikilink) {
+				textStack[0] += wikilink;
+				return;
+			}
+		}
+
+		if (this._isDiceRoller && ObsidianMarkdownRenderer._DICE_TAGS.has(tag)) {
+			const diceRoller = this._getDiceRollerText(tag, text);
+			if (diceRoller) {
+				textStack[0] += diceRoller;
+				return;
+			}
+		}
+
+		if (this._wikilinksEnabled && this._isFeatureNotes && ObsidianMarkdownRenderer._FEATURE_TAGS.has(tag)) {
+			textStack[0] += this._getFeatureWikilink(tag, text);
+			return;
+		}
+
+		if (this._wikilinksEnabled && tag === "@card") {
+			textStack[0] += this._getCardWikilink(text);
+			return;
+		}
+
+		if (!this._wikilinksEnabled || !ObsidianMarkdownRenderer.TAG_TO_DIR_MAP[tag] || ObsidianMarkdownRenderer._FEATURE_TAGS.has(tag)) {
 			// Fall back to parent implementation for non-ref tags
 			return super._renderString_renderTag(textStack, meta, options, tag, text);
 		}
 
-		// Parse the tag text (format: "name|source|displayText")
-		const parts = Renderer.splitTagByPipe(text);
-		const name = parts[0];
-		const source = parts[1] || "PHB";
-		const displayText = parts[2] || name;
+		// Generate wikilink: ALWAYS include display text [[resourceDir/Name (SOURCE)|Display Text]]
+		const notePath = this._getTagNotePath(tag, text);
+		const wikilink = `[[${notePath}|${path.posix.basename(notePath)}]]`;
+
+		textStack[0] += wikilink;
+	}
+
+	/**
+	 * Get the vault path (without extension) of the note a tag in `TAG_TO_DIR_MAP` refers to
+	 */
+	_getTagNotePath (tag, text) {
+		// Parse the tag text as the site does, which handles each tag's format (e.g. `@subclass`, `@deity`), and falls
+		//   back on the tag's default source (e.g. "MM" for `@creature`)
+		const {name, source} = Renderer.utils.getTagMeta(tag, text);
 
 		// Get the resource directory
 		const resourceDir = ObsidianMarkdownRenderer.TAG_TO_DIR_MAP[tag];
 
-		// Clean the name for use in filename
+		// Match the note's filename, including the source's casing (e.g. "ToA")
 		const cleanName = this._cleanName(name);
-		const cleanSource = source.toUpperCase();
+		const cleanSource = Parser.sourceJsonToJson(source);
 
-		// Generate wikilink: ALWAYS include display text [[resourceDir/Name (SOURCE)|Display Text]]
-		const filename = `${cleanName} (${cleanSource})`;
-		const wikilink = `[[${resourceDir}/${filename}|${filename}]]`;
+		return `${resourceDir}/${MarkdownExportEngine.sanitizeFilename(`${cleanName} (${cleanSource})`)}`;
+	}
 
-		textStack[0] += wikilink;
+	/**
+	 * Convert a `@card` reference to a wikilink to the card's note, inside its deck's folder
+	 */
+	_getCardWikilink (text) {
+		const uid = DataUtil.deck.unpackUidCard(text);
+		const notePath = MarkdownExportEngine.getCardNotePath({...uid, source: Parser.sourceJsonToJson(uid.source)});
+		return `[[${notePath}|${uid.displayText || this._cleanName(uid.name)}]]`;
+	}
+
+	/**
+	 * Embed the note of an entity the data embeds as a statblock (e.g. the recipe on a Deck of Many Morsels card),
+	 * rather than the site's placeholder HTML
+	 */
+	_renderStatblock (entry, textStack, meta, options) {
+		const tagName = entry.tag || Parser.getPropTag(entry.prop);
+		const tag = `@${tagName}`;
+		if (!this._wikilinksEnabled || !ObsidianMarkdownRenderer.TAG_TO_DIR_MAP[tag] || ObsidianMarkdownRenderer._FEATURE_TAGS.has(tag) || tag === "@card") {
+			return this.__super._renderStatblock(entry, textStack, meta, options);
+		}
+
+		// As the site does, build the entity's UID in its tag's format (e.g. `@subclass` also has the class)
+		const prop = entry.prop || Parser.getTagProps(tagName)[0];
+		const uid = DataUtil.proxy.getUid(prop, {...entry, source: Parser.getTagSource(tagName, entry.source)}, {isMaintainCase: true});
+
+		this._renderPrefix(entry, textStack, meta, options);
+		textStack[0] += `![[${this._getTagNotePath(tag, uid)}]]\n`;
+		this._renderSuffix(entry, textStack, meta, options);
+	}
+
+	/**
+	 * Convert a `@classFeature`/`@subclassFeature` reference to a wikilink to the feature's note
+	 */
+	_getFeatureWikilink (tag, text) {
+		const isSubclassFeature = tag === "@subclassFeature";
+		const uid = isSubclassFeature
+			? DataUtil.class.unpackUidSubclassFeature(text)
+			: DataUtil.class.unpackUidClassFeature(text);
+
+		// Match the note's filename, including the sources' casing (e.g. "XPHB")
+		const feature = {
+			...uid,
+			classSource: Parser.sourceJsonToJson(uid.classSource),
+			source: Parser.sourceJsonToJson(uid.source),
+		};
+		if (isSubclassFeature) feature.subclassSource = Parser.sourceJsonToJson(uid.subclassSource);
+
+		const notePath = isSubclassFeature
+			? MarkdownExportEngine.getSubclassFeatureNotePath(feature)
+			: MarkdownExportEngine.getClassFeatureNotePath(feature);
+		return `[[${notePath}|${uid.displayText || this._cleanName(uid.name)}]]`;
+	}
+
+	/**
+	 * Convert `@adventure`/`@book` references to chapter/heading wikilinks, and `@area` references to the area's heading
+	 * in the adventure/book currently being rendered. Returns null if the target is unknown.
+	 */
+	_getAdventureBookWikilink (tag, text) {
+		if (tag === "@area") {
+			if (!this._curAdventureBook) return null;
+			const {areaId, displayText} = Renderer.tag.TAG_LOOKUP.area.getMeta(tag, text);
+			return this._adventureBookIndex.getAreaWikilink(this._curAdventureBook.prop, this._curAdventureBook.id, areaId, displayText);
+		}
+
+		// format: {@tag Display Text|DMG< |chapter< |section >< |number > >}
+		const [displayText, id, chapter, section] = Renderer.splitTagByPipe(text);
+		return this._adventureBookIndex.getWikilink(
+			tag.slice(1),
+			id,
+			{
+				chapterIx: chapter ? Number(chapter) : null,
+				header: section || null,
+				displayText,
+			},
+		);
+	}
+
+	/**
+	 * Convert a rollable tag to Dice Roller inline syntax, e.g. `{@damage 2d6 + 3}` -> `` `dice: 2d6+3` ``.
+	 * Where the tag displays something other than its formula (e.g. `{@hit 5}` -> "+5"), the display text is kept
+	 * and followed by the roll. Returns null if the tag has no plain dice formula (e.g. prompts, summon scaling).
+	 */
+	_getDiceRollerText (tag, text) {
+		const stripped = Renderer.stripTags(`{${tag} ${text}}`);
+
+		let toRoll;
+		if (tag === "@scaledice" || tag === "@scaledamage") {
+			// format: {@scaledice baseRoll|progression|addPerProgress|renderMode|displayText}
+			toRoll = Renderer.splitTagByPipe(text)[2];
+		} else {
+			toRoll = Renderer.utils.getTagEntry(tag, text).toRoll;
+		}
+		if (!toRoll) return null;
+
+		// Alternatives (e.g. `{@dice 1d4;1d6}`) are rolled separately
+		const formulas = toRoll.split(";").map(it => it.replace(/\s+/g, "").replace(/×/g, "*"));
+		if (!formulas.every(it => ObsidianMarkdownRenderer._RE_DICE_FORMULA.test(it))) return null;
+
+		const rolls = formulas.map(it => `\`dice: ${it}\``).join("/");
+
+		if (tag === "@recharge") return `${stripped} ${rolls}`;
+		if (stripped.replace(/\s+/g, "") === formulas.join("/")) return rolls;
+		return `${stripped} (${rolls})`;
+	}
+
+	/**
+	 * Embed images via the image resolver, so they point at the configured base URL or a copy inside the vault
+	 */
+	_renderImage (entry, textStack, meta, options) {
+		if (!this._imageResolver) return super._renderImage(entry, textStack, meta, options);
+
+		const embed = this._imageResolver.getImageEmbed(entry);
+		if (!embed) return;
+
+		this._renderPrefix(entry, textStack, meta, options);
+		textStack[0] += embed;
+		this._renderSuffix(entry, textStack, meta, options);
+	}
+
+	/**
+	 * Escape the `|` in wikilinks within table rows, which would otherwise end the cell
+	 */
+	_renderTable (entry, textStack, meta, options) {
+		const textStackTable = [""];
+		super._renderTable(entry, textStackTable, meta, options);
+		textStack[0] += textStackTable.join("")
+			.split("\n")
+			.map(line => line.startsWith("|") ? line.replace(/\[\[[^\]]*\]\]/g, link => link.replace(/(?<!\\)\|/g, "\\|")) : line)
+			.join("\n");
 	}
 
+	setImageResolver (imageResolver) { this._imageResolver = imageResolver; return this; }
+
+	setDiceRoller (isDiceRoller) { this._isDiceRoller = !!isDiceRoller; return this; }
+
+	isDiceRoller () { return this._isDiceRoller; }
+
+	setFeatureNotes (isFeatureNotes) { this._isFeatureNotes = !!isFeatureNotes; return this; }
+
+	setAdventureBookIndex (adventureBookIndex) { this._adventureBookIndex = adventureBookIndex; return this; }
+
+	setCurrentAdventureBook (curAdventureBook) { this._curAdventureBook = curAdventureBook; return this; }
+
 	/**
 	 * Clean entity name for use in filename
 	 * Removes HTML tags and trims whitespace
@@ -97,6 +309,9 @@ class ObsidianMarkdownRenderer extends RendererMarkdown {
  * Tracks export state for incremental updates
  */
 class ExportStateTracker {
+	// Records of removed entries are kept this long, so the state does not grow with every entry ever removed
+	static REMOVED_MAX_AGE_DAYS = 30;
+
 	constructor(statePath = ".markdown-export-state.json") {
 		this.statePath = statePath;
 		this.state = null;
@@ -112,6 +327,9 @@ class ExportStateTracker {
 			if (fs.existsSync(this.statePath)) {
 				const data = fs.readFileSync(this.statePath, "utf8");
 				this.state = JSON.parse(data);
+				// States written before deletion tracking was added
+				this.state.removed ||= {};
+				this._pruneRemoved();
 			} else {
 				this.state = this._createEmptyState();
 			}
@@ -140,15 +358,20 @@ class ExportStateTracker {
 
 	/**
 	 * Detect changes in a source file
-	 * Returns { changed: boolean, entries: [...changedEntries] }
+	 * Returns { changed: boolean, fileHash, data, entries: [...changedEntries], removed: [...removedEntries] }
+	 * @param sourceFile
+	 * @param [opts]
+	 * @param [opts.isForce] If every entry should be returned as changed, even if the file is unchanged
+	 * @param [opts.forceEntryKeys] Keys of entries to return as changed, even if they are unchanged (e.g. as an entry
+	 * they copy has changed)
 	 */
-	async detectChanges(sourceFile) {
+	async detectChanges (sourceFile, {isForce = false, forceEntryKeys = null} = {}) {
 		await this.loadState();
 
 		// Check if file exists
 		if (!fs.existsSync(sourceFile)) {
 			console.warn(`Source file not found: ${sourceFile}`);
-			return {changed: false, entries: []};
+			return {changed: false, entries: [], removed: []};
 		}
 
 		// Read file and compute hash
@@ -157,36 +380,39 @@ class ExportStateTracker {
 
 		// Quick check: file unchanged
 		const prevFileHash = this.state.files[sourceFile]?.hash;
-		if (prevFileHash === fileHash) {
-			return {changed: false, entries: []};
+		if (prevFileHash === fileHash && !isForce && !forceEntryKeys?.size) {
+			return {changed: false, entries: [], removed: []};
 		}
 
 		// File changed - check individual entries
 		let data;
 		try {
-			data = JSON.parse(fileContent);
+			data = JSON.parse(fileContent.replace(/^\uFEFF/, ""));
 		} catch (e) {
 			console.error(`Failed to parse JSON in ${sourceFile}:`, e.message);
-			return {changed: false, entries: []};
+			return {changed: false, entries: [], removed: []};
 		}
 
 		const changedEntries = [];
+		const seenKeys = new Set();
 
 		// Process each resource type in the file
 		for (const [entryType, entries] of Object.entries(data)) {
 			if (entryType === "_meta") continue;
 			if (!Array.isArray(entries)) continue;
 
-			for (const entry of entries) {
-				const entryKey = this._getEntryKey(entryType, entry);
+			for (const [entryIndex, entry] of entries.entries()) {
+				const entryKey = this._getEntryKey(entryType, entry, entryIndex);
 				const entryHash = this._computeHash(JSON.stringify(entry));
+				seenKeys.add(entryKey);
 
 				const prevEntryHash = this.state.files[sourceFile]?.entries?.[entryKey]?.entry_hash;
 
-				if (prevEntryHash !== entryHash) {
+				if (isForce || forceEntryKeys?.has(entryKey) || prevEntryHash !== entryHash) {
 					changedEntries.push({
 						entryType,
 						entry,
+						entryIndex,
 						entryKey,
 						entryHash,
 						reason: prevEntryHash ? "modified" : "new",
@@ -195,13 +421,36 @@ class ExportStateTracker {
 			}
 		}
 
+		// Entries which were exported previously, but no longer exist (deleted or renamed)
+		const removedEntries = Object.entries(this.state.files[sourceFile]?.entries || {})
+			.filter(([entryKey]) => !seenKeys.has(entryKey))
+			.map(([entryKey, entryState]) => ({entryKey, outputFile: entryState.output_file}));
+
 		return {
 			changed: true,
 			fileHash,
+			data,
 			entries: changedEntries,
+			removed: removedEntries,
 		};
 	}
 
+	/**
+	 * Detect previously-exported source files which no longer exist
+	 * Returns [{ sourceFile, removed: [...removedEntries] }]
+	 */
+	async detectRemovedFiles () {
+		await this.loadState();
+
+		return Object.entries(this.state.files)
+			.filter(([sourceFile]) => !fs.existsSync(sourceFile))
+			.map(([sourceFile, fileState]) => ({
+				sourceFile,
+				removed: Object.entries(fileState.entries || {})
+					.map(([entryKey, entryState]) => ({entryKey, outputFile: entryState.output_file})),
+			}));
+	}
+
 	/**
 	 * Update state after exporting an entry
 	 */
@@ -214,6 +463,7 @@ class ExportStateTracker {
 		}
 
 		this.state.files[sourceFile].hash = fileHash;
+		delete this.state.removed?.[entryKey];
 		this.state.files[sourceFile].entries[entryKey] = {
 			entry_hash: entryHash,
 			output_file: outputFile,
@@ -228,11 +478,104 @@ class ExportStateTracker {
 		};
 	}
 
+	/**
+	 * Update state after removing an entry whose source no longer exists
+	 */
+	removeEntryState (sourceFile, entryKey, {action, outputFile = null} = {}) {
+		const fileState = this.state.files[sourceFile];
+		if (fileState) {
+			delete fileState.entries[entryKey];
+			if (!Object.keys(fileState.entries).length) delete this.state.files[sourceFile];
+		}
+
+		// Point the index at another file still exporting the entry, if any
+		if (this.state.index?.[entryKey]?.source_file === sourceFile) {
+			const [sourceFileOther, fileStateOther] = Object.entries(this.state.files)
+				.find(([, fileState]) => fileState.entries?.[entryKey]) || [];
+			if (sourceFileOther) this.state.index[entryKey] = {source_file: sourceFileOther, output_file: fileStateOther.entries[entryKey].output_file};
+			else delete this.state.index[entryKey];
+		}
+
+		this.state.removed[entryKey] = {
+			source_file: sourceFile,
+			output_file: outputFile,
+			action,
+			removed_at: new Date().toISOString(),
+		};
+	}
+
+	_pruneRemoved () {
+		const minRemovedAt = Date.now() - ExportStateTracker.REMOVED_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+		Object.entries(this.state.removed)
+			.filter(([, {removed_at: removedAt}]) => !(Date.parse(removedAt) >= minRemovedAt))
+			.forEach(([entryKey]) => delete this.state.removed[entryKey]);
+	}
+
+	/**
+	 * Update a source file's hash without exporting any entries (e.g. when entries were only removed)
+	 */
+	updateFileHash (sourceFile, fileHash) {
+		if (this.state.files[sourceFile]) this.state.files[sourceFile].hash = fileHash;
+	}
+
+	/**
+	 * Get the state of a single source file, e.g. to hand to a worker thread
+	 */
+	getFileState (sourceFile) {
+		return this.state.files[sourceFile] || null;
+	}
+
+	/**
+	 * Set the state of a single source file, without loading the rest of the state from disk.
+	 * Used by worker threads, which only detect changes, and never save state.
+	 */
+	setFileState (sourceFile, fileState) {
+		this.state ||= this._createEmptyState();
+		if (fileState) this.state.files[sourceFile] = fileState;
+		else delete this.state.files[sourceFile];
+	}
+
+	/**
+	 * Get the render options the notes were last exported with (see `MarkdownExportEngine._getRenderOptions`), or null
+	 * if they are unknown
+	 */
+	getRenderOptions () {
+		return this.state.render_options || null;
+	}
+
+	setRenderOptions (renderOptions) {
+		this.state.render_options = renderOptions;
+	}
+
+	/**
+	 * Check if any tracked entry, other than the given one, is exported to an output file
+	 */
+	isOutputFileShared (outputFile, {sourceFile, entryKey}) {
+		return Object.entries(this.state.files)
+			.some(([otherSourceFile, fileState]) => Object.entries(fileState.entries || {})
+				.some(([otherEntryKey, entryState]) => {
+					if (otherSourceFile === sourceFile && otherEntryKey === entryKey) return false;
+					return entryState.output_file === outputFile;
+				}));
+	}
+
 	/**
 	 * Generate a unique key for an entry
 	 * Format: "type|name|source"
+	 * @param entryType
+	 * @param entry
+	 * @param [entryIndex] The entry's position in its data file.
 	 */
-	_getEntryKey(entryType, entry) {
+	_getEntryKey (entryType, entry, entryIndex = null) {
+		// Adventure/book chapter notes are numbered by position (see `AdventureBookIndex.getChapterNotePath`), so a chapter
+		//   which moves (e.g. as one is inserted before it) is exported anew, and its old note removed
+		if (entryType === "data" && entryIndex != null) return `${entryType}|${entryIndex}|${entry.name || "unknown"}|${entry.source || "unknown"}`.toLowerCase();
+		// Feature names repeat across classes and levels (e.g. "Ability Score Improvement")
+		if (entryType === "classFeature") return `${entryType}|${DataUtil.class.packUidClassFeature(entry)}`.toLowerCase();
+		if (entryType === "subclassFeature") return `${entryType}|${DataUtil.class.packUidSubclassFeature(entry)}`.toLowerCase();
+		// ...as do card names across decks
+		if (entryType === "card") return `${entryType}|${entry.name}|${entry.set}|${entry.source}`.toLowerCase();
+
 		const name = (entry.name || "unknown").toLowerCase();
 		const source = (entry.source || "unknown").toLowerCase();
 		return `${entryType}|${name}|${source}`;
@@ -252,8 +595,10 @@ class ExportStateTracker {
 		return {
 			version: "1.0.0",
 			last_export: null,
+			render_options: null,
 			files: {},
 			index: {},
+			removed: {},
 		};
 	}
 }
@@ -268,10 +613,33 @@ class FrontmatterGenerator {
 
 	/**
 	 * Generate frontmatter for any resource type
+	 * @param entry The (resolved) entry.
+	 * @param entryType The entry's data property, e.g. "monster".
+	 * @param entryHash Hash of the source entry.
+	 * @param [opts] Options object.
+	 * @param [opts.copy] The `_copy` block the entry was resolved from, if any.
+	 * @param [opts.scaledFrom] For a scaled creature, the creature it was scaled from, and the scaling, as
+	 * `{name, source, mode, level}`.
 	 */
-	generate(entry, entryType, entryHash) {
+	generate (entry, entryType, entryHash, {copy = null, brewSource = null, deckIndex = null, scaledFrom = null} = {}) {
 		const base = this._generateBase(entry, entryType, entryHash);
 
+		if (copy) base.copied_from = this._generateCopiedFrom(copy);
+
+		// Named as on the site, e.g. "Goblin (CR 3)", so as not to share the creature's own alias
+		if (scaledFrom) {
+			base.name = entry._displayName;
+			base.aliases = [`${entry._displayName} (${entry.source})`];
+			base.scaled_from = this._generateScaledFrom(scaledFrom);
+		}
+
+		if (entry.reprintedAs?.length) base.reprinted_as = this._generateReprintedAs(entry, entryType);
+
+		if (brewSource) {
+			base.tags.push("homebrew");
+			base.homebrew = this._generateHomebrew(brewSource);
+		}
+
 		// Add resource-specific metadata
 		let result;
 		switch (entryType) {
@@ -289,11 +657,15 @@ class FrontmatterGenerator {
 				return {...base, ...this._generateMonster(entry)};
 			case "item":
 			case "baseitem":
+			case "magicvariant":
 				return {...base, ...this._generateItem(entry)};
 			case "class":
 				return {...base, ...this._generateClass(entry)};
 			case "subclass":
 				return {...base, ...this._generateSubclass(entry)};
+			case "classFeature":
+			case "subclassFeature":
+				return {...base, ...this._generateClassFeature(entry)};
 			case "race":
 				return {...base, ...this._generateRace(entry)};
 			case "subrace":
@@ -317,11 +689,89 @@ class FrontmatterGenerator {
 				return {...base, ...this._generatePsionic(entry)};
 			case "reward":
 				return {...base, ...this._generateReward(entry)};
+			case "facility":
+				return {...base, ...this._generateFacility(entry)};
+			case "recipe":
+				return {...base, ...this._generateRecipe(entry)};
+			case "deck":
+				return {...base, ...this._generateDeck(entry)};
+			case "card":
+				return {...base, ...this._generateCard(entry, deckIndex)};
+			case "charoption":
+				return {...base, ...this._generateCharoption(entry)};
+			case "table":
+				return {...base, ...this._generateTable(entry)};
+			case "tableGroup":
+				return {...base, ...this._generateTableGroup(entry)};
+			case "adventure":
+			case "book":
+				return {...base, ...this._generateAdventureBook(entry)};
 			default:
 				return base;
 		}
 	}
 
+	/**
+	 * Generate frontmatter for an adventure/book chapter, or one of its sections
+	 */
+	generateAdventureBookChapter (chapter, prop, meta, chapterIx, entryHash, {section = null} = {}) {
+		const chapterName = chapter.name || meta.contents?.[chapterIx]?.name || `Chapter ${chapterIx}`;
+		const base = this._generateBase(
+			{
+				name: section ? Renderer.stripTags(section.name) : chapterName,
+				source: meta.source,
+				page: (section || chapter).page,
+			},
+			`${prop}-chapter`,
+			entryHash,
+		);
+
+		const fm = {
+			...base,
+			[prop]: meta.name,
+			[`${prop}_id`]: meta.id,
+			chapter: chapterName,
+			chapter_index: chapterIx,
+		};
+
+		const ordinal = meta.contents?.[chapterIx]?.ordinal;
+		if (ordinal) fm.ordinal = AdventureBookIndex.getOrdinalText(ordinal);
+
+		if (section) fm.section = Renderer.stripTags(section.name);
+
+		return fm;
+	}
+
+	/**
+	 * Generate frontmatter for a class or subclass spell list index note
+	 */
+	generateSpellList (spellList, entryHash) {
+		const {className, classSource, subclassName, subclassSource, spells} = spellList;
+
+		const base = this._generateBase(
+			{
+				name: `${subclassName || className} Spells`,
+				source: subclassSource || classSource,
+			},
+			"spell-list",
+			entryHash,
+		);
+		base.tags.push(`dnd5e/spell-list/class-${className.toLowerCase()}`);
+
+		const fm = {
+			...base,
+			class: className,
+			class_source: classSource,
+		};
+		if (subclassName) {
+			fm.subclass = subclassName;
+			fm.subclass_source = subclassSource;
+		}
+		fm.spell_count = spells.length;
+
+		return fm;
+	}
+
 	/**
 	 * Generate base frontmatter common to all entries
 	 */
@@ -341,6 +791,56 @@ class FrontmatterGenerator {
 		};
 	}
 
+	/**
+	 * Record the entity a `_copy` entry was resolved from
+	 */
+	_generateCopiedFrom (copy) {
+		const out = {
+			name: copy.name,
+			source: copy.source,
+		};
+		if (copy._mod) out.modified = true;
+		if (copy._templates?.length) out.templates = copy._templates.map(it => it.name).join(", ");
+		return out;
+	}
+
+	/**
+	 * Record the creature a scaled creature was scaled from, and what it was scaled to
+	 */
+	_generateScaledFrom ({name, source, mode, level}) {
+		const out = {name, source};
+		switch (mode) {
+			case "cr": out.cr = Parser.numberToCr(level); break;
+			case "spell": out.spell_level = level; break;
+			case "class": out.class_level = level; break;
+		}
+		return out;
+	}
+
+	/**
+	 * Record the entities an entry was reprinted as, e.g. the 2024 version of a 2014 spell
+	 */
+	_generateReprintedAs (entry, entryType) {
+		const tag = Parser.getPropTag(entryType);
+		return entry.reprintedAs.map(it => {
+			const {name, source} = DataUtil.proxy.unpackUid(entryType, it.uid ?? it, it.tag ?? tag);
+			return {name, source};
+		});
+	}
+
+	/**
+	 * Record the homebrew/prerelease source (from the brew file's `_meta.sources`) an entry belongs to
+	 */
+	_generateHomebrew (brewSource) {
+		const out = {source: brewSource.json};
+		if (brewSource.full) out.full = brewSource.full;
+		if (brewSource.abbreviation) out.abbreviation = brewSource.abbreviation;
+		if (brewSource.authors?.length) out.authors = brewSource.authors.join(", ");
+		if (brewSource.version) out.version = brewSource.version;
+		if (brewSource.url) out.url = brewSource.url;
+		return out;
+	}
+
 	/**
 	 * Generate tags for Obsidian
 	 */
@@ -355,9 +855,7 @@ class FrontmatterGenerator {
 		if (entryType === "spell" && entry.level !== undefined) {
 			tags.push(`dnd5e/spell/level-${entry.level}`);
 			if (entry.school) {
-				const schoolMap = {C: "conjuration", A: "abjuration", E: "evocation", I: "illusion", D: "divination", N: "necromancy", T: "transmutation", V: "enchantment"};
-				const schoolName = schoolMap[entry.school] || entry.school;
-				tags.push(`dnd5e/spell/school-${schoolName}`);
+				tags.push(`dnd5e/spell/school-${Parser.spSchoolAbvToFull(entry.school).toLowerCase()}`);
 			}
 		}
 
@@ -402,8 +900,7 @@ class FrontmatterGenerator {
 
 		// School
 		if (spell.school) {
-			const schoolMap = {C: "conjuration", A: "abjuration", E: "evocation", I: "illusion", D: "divination", N: "necromancy", T: "transmutation", V: "enchantment"};
-			fm.school = schoolMap[spell.school] || spell.school;
+			fm.school = Parser.spSchoolAbvToFull(spell.school).toLowerCase();
 		}
 
 		// Casting time
@@ -425,7 +922,7 @@ class FrontmatterGenerator {
 			fm.components = {
 				verbal: !!spell.components.v,
 				somatic: !!spell.components.s,
-				material: spell.components.m ? (typeof spell.components.m === "string" ? spell.components.m : true) : false,
+				material: this._generateSpellMaterial(spell.components.m),
 			};
 		}
 
@@ -464,6 +961,19 @@ class FrontmatterGenerator {
 		return fm;
 	}
 
+	/**
+	 * Material components are a string, `true`, or an object with a cost (in copper pieces) and whether it is consumed
+	 */
+	_generateSpellMaterial (m) {
+		if (!m) return false;
+		if (typeof m !== "object") return m;
+
+		const out = {text: m.text};
+		if (m.cost != null) out.cost_cp = m.cost;
+		if (m.consume != null) out.consume = m.consume;
+		return out;
+	}
+
 	/**
 	 * Extract classes that can cast a spell from lookup data
 	 */
@@ -552,9 +1062,10 @@ class FrontmatterGenerator {
 			}
 		}
 
-		// CR
+		// CR - whole-number CRs stay numeric, so Dataview can compare them
 		if (monster.cr) {
-			fm.cr = typeof monster.cr === "object" ? monster.cr.cr : monster.cr;
+			const cr = typeof monster.cr === "object" ? monster.cr.cr : monster.cr;
+			fm.cr = /^\d+$/.test(cr) ? Number(cr) : cr;
 		}
 
 		// AC - extract numeric value from AC objects
@@ -570,6 +1081,17 @@ class FrontmatterGenerator {
 			});
 			// Store just the primary AC value or all values if multiple
 			fm.ac = acValues.length === 1 ? acValues[0] : acValues;
+
+			// Where the AC comes from (e.g. natural armor), and alternate ACs (e.g. with mage armor)
+			if (acArray.some(ac => typeof ac === "object")) {
+				fm.ac_details = acArray.map(ac => {
+					if (typeof ac !== "object") return {ac};
+					const out = {ac: ac.ac ?? Renderer.stripTags(ac.special || "")};
+					if (ac.from) out.from = ac.from.map(it => Renderer.stripTags(it));
+					if (ac.condition) out.condition = Renderer.stripTags(ac.condition);
+					return out;
+				});
+			}
 		}
 
 		// HP
@@ -673,6 +1195,20 @@ class FrontmatterGenerator {
 			});
 		}
 
+		// Bonuses, e.g. `bonusWeapon` -> `bonus.weapon`, `bonusSpellSaveDc` -> `bonus.spell_save_dc`
+		const bonus = Object.fromEntries(
+			Object.entries(item)
+				.filter(([prop]) => /^bonus[A-Z]/.test(prop))
+				.map(([prop, value]) => [prop.slice("bonus".length).replace(/(?!^)([A-Z])/g, "_$1").toLowerCase(), value]),
+		);
+		if (Object.keys(bonus).length) fm.bonus = bonus;
+
+		// Specific variants of a generic magic item variant, e.g. "Longsword, +1"
+		if (item.genericVariant) {
+			fm.generic_variant = `${item.genericVariant.name}|${item.genericVariant.source}`;
+			fm.base_item = `${item._baseName}|${item._baseSource || item.source}`;
+		}
+
 		return fm;
 	}
 
@@ -732,6 +1268,24 @@ class FrontmatterGenerator {
 		return fm;
 	}
 
+	/**
+	 * Generate class/subclass feature-specific frontmatter
+	 */
+	_generateClassFeature (feature) {
+		const fm = {
+			level: feature.level,
+			class_name: feature.className,
+			class_source: feature.classSource,
+		};
+
+		if (feature.subclassShortName) {
+			fm.subclass_short_name = feature.subclassShortName;
+			fm.subclass_source = feature.subclassSource;
+		}
+
+		return fm;
+	}
+
 	/**
 	 * Generate race-specific frontmatter
 	 */
@@ -1110,272 +1664,845 @@ class FrontmatterGenerator {
 
 		return fm;
 	}
-}
 
-/**
- * Formats markdown content for different resource types
- */
-class MarkdownFormatter {
-	constructor(renderer, legendaryGroups = []) {
-		this.renderer = renderer;
-		this.legendaryGroups = legendaryGroups;
+	/**
+	 * Generate bastion facility-specific frontmatter
+	 */
+	_generateFacility (facility) {
+		const fm = {};
 
-		// Build a lookup map for faster access
-		this.legendaryGroupMap = new Map();
-		if (legendaryGroups) {
-			for (const group of legendaryGroups) {
-				const key = `${group.name}|${group.source}`.toLowerCase();
-				this.legendaryGroupMap.set(key, group);
-			}
+		if (facility.facilityType) fm.facility_type = facility.facilityType.toTitleCase();
+		if (facility.level) fm.level = facility.level;
+
+		if (facility.prerequisite?.length) {
+			fm.prerequisites = Renderer.utils.prerequisite.getHtml(facility.prerequisite, {isTextOnly: true, isSkipPrefix: true});
 		}
+
+		if (facility.space?.length) fm.space = facility.space.map(it => it.toTitleCase());
+		if (facility.orders?.length) fm.orders = facility.orders.map(it => it.toTitleCase());
+
+		return fm;
 	}
 
 	/**
-	 * Format a complete entry as markdown
+	 * Generate recipe-specific frontmatter
 	 */
-	format(entry, entryType, frontmatter, additionalData = null) {
-		// Generate frontmatter YAML
-		const yaml = this._generateYAML(frontmatter);
+	_generateRecipe (recipe) {
+		const fm = {};
 
-		// Generate content based on type
-		let content;
-		switch (entryType) {
-			case "spell":
-				content = this._formatSpell(entry);
-				break;
-			case "monster":
-				content = this._formatMonster(entry);
-				break;
-			case "item":
-			case "baseitem":
-				content = this._formatItem(entry);
-				break;
-			case "class":
-				content = this._formatClass(entry, additionalData);
-				break;
-			case "subclass":
-				content = this._formatSubclass(entry, additionalData);
-				break;
-			case "feat":
-				content = this._formatFeat(entry);
-				break;
-			case "subrace":
-				content = this._formatSubrace(entry);
-				break;
-			case "language":
-				content = this._formatLanguage(entry);
-				break;
-			case "deity":
-				content = this._formatDeity(entry);
-				break;
-			case "object":
-				content = this._formatObject(entry);
-				break;
-			case "psionic":
-				content = this._formatPsionic(entry);
-				break;
-			case "reward":
-				content = this._formatReward(entry);
-				break;
-			case "table":
-				content = this._formatTable(entry);
-				break;
-			case "vehicle":
-				content = this._formatVehicle(entry);
-				break;
-			default:
-				content = this._formatGeneric(entry);
-				break;
+		if (recipe.type) fm.recipe_type = recipe.type;
+		if (recipe.dishTypes?.length) fm.dish_types = recipe.dishTypes.map(it => it.toTitleCase());
+
+		if (recipe.diet) {
+			const dietMap = {
+				"V": "Vegan",
+				"C": "Vegetarian",
+				"X": "Omni",
+			};
+			fm.diet = dietMap[recipe.diet] || recipe.diet;
+		}
+
+		if (recipe.serves) {
+			const {min, max, exact} = recipe.serves;
+			fm.serves = min != null && max != null ? `${min}-${max}` : exact;
 		}
+		if (recipe.makes) fm.makes = Renderer.stripTags(recipe.makes);
 
-		// Assemble complete markdown
-		return `${yaml}\n${content}`;
+		// Plain-text ingredients, for searching (e.g. every recipe with "bacon")
+		if (recipe.ingredients?.length) {
+			fm.ingredients = this._getRecipeIngredients(Renderer.applyAllProperties(MiscUtil.copyFast(recipe.ingredients)));
+		}
+
+		return fm;
+	}
+
+	_getRecipeIngredients (ingredients) {
+		return ingredients.flatMap(it => {
+			if (typeof it === "string") return [Renderer.stripTags(it)];
+			if (it.type === "ingredient") return [Renderer.stripTags(it.entry)];
+			return this._getRecipeIngredients(it.entries || []);
+		});
 	}
 
 	/**
-	 * Generate YAML frontmatter block
+	 * Generate deck-specific frontmatter
 	 */
-	_generateYAML(frontmatter) {
-		const lines = ["---"];
+	_generateDeck (deck) {
+		return {
+			card_count: (deck.cards || []).reduce((total, card) => total + (card.count ?? 1), 0),
+		};
+	}
 
-		for (const [key, value] of Object.entries(frontmatter)) {
-			if (value === undefined || value === null) continue;
+	/**
+	 * Generate card-specific frontmatter; cards are numbered by their position in their deck's card list
+	 */
+	_generateCard (card, deckIndex) {
+		const fm = {
+			deck: card.set,
+			deck_source: card.source,
+		};
 
-			if (typeof value === "string") {
-				// Escape quotes and wrap in quotes if needed
-				const needsQuotes = value.includes(":") || value.includes("#") || value.includes("'") || value.includes('"');
-				lines.push(`${key}: ${needsQuotes ? `"${value.replace(/"/g, '\\"')}"` : value}`);
-			} else if (typeof value === "number" || typeof value === "boolean") {
-				lines.push(`${key}: ${value}`);
-			} else if (Array.isArray(value)) {
-				if (value.length === 0) {
-					lines.push(`${key}: []`);
-				} else {
-					lines.push(`${key}:`);
-					for (const item of value) {
-						if (typeof item === "string") {
-							lines.push(`  - "${item}"`);
-						} else {
-							lines.push(`  - ${item}`);
-						}
-					}
-				}
-			} else if (typeof value === "object") {
-				lines.push(`${key}:`);
-				for (const [subKey, subValue] of Object.entries(value)) {
-					if (typeof subValue === "string") {
-						lines.push(`  ${subKey}: "${subValue}"`);
-					} else {
-						lines.push(`  ${subKey}: ${subValue}`);
-					}
-				}
-			}
-		}
+		if (deckIndex != null) fm.deck_index = deckIndex;
+		if (card.suit) fm.suit = card.suit.toTitleCase();
+		if (card.valueName || card.value != null) fm.value = card.valueName || card.value;
 
-		lines.push("---");
-		return lines.join("\n");
+		return fm;
 	}
 
 	/**
-	 * Format spell content
+	 * Generate character creation option-specific frontmatter
 	 */
-	_formatSpell(spell) {
-		const parts = [];
+	_generateCharoption (charoption) {
+		const fm = {};
 
-		// Title
-		parts.push(`# ${spell.name}\n`);
+		if (charoption.optionType?.length) fm.option_type = charoption.optionType.map(it => Parser.charCreationOptionTypeToFull(it));
 
-		// Spell level and school
-		if (spell.level !== undefined) {
-			const levelStr = spell.level === 0 ? "cantrip" : `${spell.level}${this._getOrdinalSuffix(spell.level)}-level`;
-			const schoolMap = {C: "conjuration", A: "abjuration", E: "evocation", I: "illusion", D: "divination", N: "necromancy", T: "transmutation", V: "enchantment"};
-			const schoolStr = schoolMap[spell.school] || spell.school || "";
-			parts.push(`*${levelStr} ${schoolStr}${spell.meta?.ritual ? " (ritual)" : ""}*\n`);
+		if (charoption.prerequisite?.length) {
+			fm.prerequisites = Renderer.utils.prerequisite.getHtml(charoption.prerequisite, {isTextOnly: true, isSkipPrefix: true});
 		}
 
-		// Spell properties
-		const props = [];
-		if (spell.time && spell.time[0]) {
-			props.push(`**Casting Time:** ${spell.time[0].number} ${spell.time[0].unit}`);
-		}
-		if (spell.range) {
-			if (spell.range.type === "point" && spell.range.distance) {
-				props.push(`**Range:** ${spell.range.distance.amount} ${spell.range.distance.type}`);
-			} else {
-				props.push(`**Range:** ${spell.range.type}`);
-			}
-		}
-		if (spell.components) {
-			const comps = [];
-			if (spell.components.v) comps.push("V");
-			if (spell.components.s) comps.push("S");
-			if (spell.components.m) {
-				const matStr = typeof spell.components.m === "string" ? ` (${spell.components.m})` : "";
-				comps.push(`M${matStr}`);
-			}
-			props.push(`**Components:** ${comps.join(", ")}`);
+		return fm;
+	}
+
+	/**
+	 * Generate table-specific frontmatter
+	 */
+	_generateTable (table) {
+		const fm = {};
+
+		// The dice rolled on the table, e.g. "d100"
+		const headerRowMetas = Renderer.table.getHeaderRowMetas(table);
+		if (Renderer.table.getAutoConvertedRollMode(table, {headerRowMetas}) !== RollerUtil.ROLL_COL_NONE) {
+			const cellHeader = headerRowMetas.at(-1)[0];
+			fm.roll = Renderer.stripTags(`${cellHeader?.type === "cellHeader" ? cellHeader.entry : cellHeader}`);
 		}
-		if (spell.duration && spell.duration[0]) {
-			const dur = spell.duration[0];
-			let durStr;
-			if (dur.type === "timed") {
-				durStr = `${dur.duration.amount} ${dur.duration.type}`;
-				if (dur.concentration) durStr = `Concentration, up to ${durStr}`;
+
+		if (table.chapter?.name) fm.chapter = table.chapter.name;
+
+		return fm;
+	}
+
+	/**
+	 * Generate table group-specific frontmatter
+	 */
+	_generateTableGroup (tableGroup) {
+		const fm = {
+			table_count: (tableGroup.tables || []).length,
+		};
+
+		if (tableGroup.chapter?.name) fm.chapter = tableGroup.chapter.name;
+
+		return fm;
+	}
+
+	/**
+	 * Generate adventure/book-specific frontmatter (for the table-of-contents note)
+	 */
+	_generateAdventureBook (meta) {
+		const fm = {
+			id: meta.id,
+		};
+
+		if (meta.group) fm.group = meta.group;
+		if (meta.published) fm.published = meta.published;
+		if (meta.author) fm.author = meta.author;
+		if (meta.storyline) fm.storyline = meta.storyline;
+
+		if (meta.level) {
+			if (meta.level.custom) {
+				fm.level = meta.level.custom;
 			} else {
-				durStr = dur.type.charAt(0).toUpperCase() + dur.type.slice(1);
+				fm.level_start = meta.level.start;
+				fm.level_end = meta.level.end;
 			}
-			props.push(`**Duration:** ${durStr}`);
 		}
 
-		parts.push(props.join("  \n") + "\n");
+		if (meta.contents) fm.chapters = meta.contents.length;
 
-		// Description
-		if (spell.entries) {
-			parts.push(this._renderEntries(spell.entries));
-		}
+		return fm;
+	}
+}
 
-		// At Higher Levels
-		if (spell.entriesHigherLevel && spell.entriesHigherLevel.length > 0) {
-			parts.push("\n" + this._renderEntries(spell.entriesHigherLevel));
+/**
+ * Formats markdown content for different resource types
+ */
+class MarkdownFormatter {
+	constructor (renderer, legendaryGroups = [], {monsterFormat = "prose", noteTemplates = null, isFeatureNotes = false} = {}) {
+		this.renderer = renderer;
+		this.legendaryGroups = legendaryGroups;
+		this.monsterFormat = monsterFormat;
+		// Class/subclass features are written as their own notes, and embedded in class/subclass notes
+		this.isFeatureNotes = isFeatureNotes;
+		this.noteTemplates = noteTemplates || new NoteTemplates();
+
+		// Build a lookup map for faster access
+		this.legendaryGroupMap = new Map();
+		if (legendaryGroups) {
+			for (const group of legendaryGroups) {
+				const key = `${group.name}|${group.source}`.toLowerCase();
+				this.legendaryGroupMap.set(key, group);
+			}
 		}
+	}
 
-		// Source
-		if (spell.source) {
-			const sourceFull = Parser.sourceJsonToFull(spell.source);
-			const pageStr = spell.page ? `, page ${spell.page}` : "";
-			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+	/**
+	 * Format a complete entry as markdown
+	 */
+	format (entry, entryType, frontmatter, additionalData = null, {fluff = null} = {}) {
+		// Generate content based on type
+		let content;
+		switch (entryType) {
+			case "spell":
+				content = this._formatSpell(entry);
+				break;
+			case "monster":
+				content = this.monsterFormat === "statblock" ? this._formatMonsterStatblock(entry, additionalData) : this._formatMonster(entry, additionalData);
+				break;
+			case "item":
+			case "baseitem":
+			case "magicvariant":
+				content = this._formatItem(entry, additionalData);
+				break;
+			case "class":
+				content = this._formatClass(entry, additionalData);
+				break;
+			case "subclass":
+				content = this._formatSubclass(entry, additionalData);
+				break;
+			case "classFeature":
+			case "subclassFeature":
+				content = this._formatClassFeature(entry, entryType, additionalData);
+				break;
+			case "feat":
+				content = this._formatFeat(entry);
+				break;
+			case "subrace":
+				content = this._formatSubrace(entry);
+				break;
+			case "language":
+				content = this._formatLanguage(entry);
+				break;
+			case "deity":
+				content = this._formatDeity(entry);
+				break;
+			case "object":
+				content = this._formatObject(entry);
+				break;
+			case "psionic":
+				content = this._formatPsionic(entry);
+				break;
+			case "reward":
+				content = this._formatReward(entry);
+				break;
+			case "facility":
+				content = this._formatFacility(entry);
+				break;
+			case "recipe":
+				content = this._formatRecipe(entry);
+				break;
+			case "deck":
+				content = this._formatDeck(entry);
+				break;
+			case "card":
+				content = this._formatCard(entry, additionalData);
+				break;
+			case "charoption":
+				content = this._formatCharoption(entry);
+				break;
+			case "table":
+				content = this._formatTable(entry, additionalData);
+				break;
+			case "tableGroup":
+				content = this._formatTableGroup(entry, additionalData);
+				break;
+			case "vehicle":
+				content = this._formatVehicle(entry);
+				break;
+			case "adventure":
+			case "book":
+				content = this._formatAdventureBook(entry, entryType, additionalData);
+				break;
+			default:
+				content = this._formatGeneric(entry);
+				break;
 		}
 
-		return parts.join("\n");
+		return this._renderNote({entity: entry, frontmatter, content, fluff});
 	}
 
+	// `[[path#heading|display]]`, `[[path^block]]` (e.g. Dice Roller table rolls) or `![[path]]`; the pipe may be
+	//   escaped, for links inside tables
+	static RE_WIKILINK = /(!?)\[\[([^\]|#^\\]+)([#^][^\]|\\]*)?(?:\\?\|([^\]]*))?\]\]/g;
+
 	/**
-	 * Format monster content
+	 * Assemble a complete note through the note type's template. Templates are rendered with the context:
+	 * - `entity`: the (resolved) source entry, or the generated list for spell list notes
+	 * - `type`: the note's type, as in its frontmatter
+	 * - `frontmatter`: the frontmatter as an object, and `yaml`: the frontmatter as a `---`-delimited block
+	 * - `content`: the complete note body, as written by the default template
+	 * - `title`: the text of the note's top-level heading
+	 * - `intro`: the body above the first "##" section, and `sections`: `[{title, content}]` for each "##" section
+	 * - `image`: the embed of the entry's first fluff image, and `lore`: its rendered fluff text
+	 * - `source`: the "**Source:**" footer line
+	 * - `links`: `[{path, display}]` for each note linked from the body
+	 * Each of these is null (or empty) if the note doesn't have it.
 	 */
-	_formatMonster(monster) {
-		const parts = [];
+	_renderNote ({entity = null, frontmatter, content, fluff = null}) {
+		const {image = null, lore = null} = fluff ? this._getFluffParts(entity, fluff) : {};
+
+		const context = {
+			entity,
+			type: frontmatter.type,
+			frontmatter,
+			yaml: this._generateYAML(frontmatter),
+			content: this._addFluff(content, {image, lore}),
+			image,
+			lore,
+			...this._getContentParts(content),
+		};
 
-		// Title
-		parts.push(`# ${monster.name}\n`);
+		return this.noteTemplates.render(frontmatter.type, context);
+	}
 
-		// Size, type, alignment
-		const typeStr = [];
-		if (monster.size) {
-			const sizeMap = {T: "Tiny", S: "Small", M: "Medium", L: "Large", H: "Huge", G: "Gargantuan"};
-			const sizes = Array.isArray(monster.size) ? monster.size : [monster.size];
-			typeStr.push(sizes.map(s => sizeMap[s] || s).join(" or "));
-		}
-		if (monster.type) {
-			let type = typeof monster.type === "string" ? monster.type : monster.type.type;
-			// Add subtype tags in parentheses if they exist
-			if (typeof monster.type === "object" && monster.type.tags && monster.type.tags.length > 0) {
-				type += ` (${monster.type.tags.join(", ")})`;
-			}
-			typeStr.push(type);
-		}
-		if (monster.alignment) {
-			const alignments = Array.isArray(monster.alignment) ? monster.alignment : [monster.alignment];
-			typeStr.push(Parser.alignmentListToFull(alignments));
-		}
+	/**
+	 * Split formatted content into its title, body sections, and source footer
+	 */
+	_getContentParts (content) {
+		let body = content;
 
-		if (typeStr.length) {
-			parts.push(`*${typeStr.join(" ")}*\n`);
+		let title = null;
+		const mTitle = /^# (.*)(?:\n|$)/.exec(body);
+		if (mTitle) {
+			title = mTitle[1];
+			body = body.slice(mTitle[0].length);
 		}
 
-		// Stats block
-		const stats = [];
-		if (monster.ac) {
-			const acStr = Array.isArray(monster.ac) ? monster.ac.map(ac => typeof ac === "number" ? ac : ac.ac).join(", ") : monster.ac;
-			stats.push(`**Armor Class** ${acStr}`);
-		}
-		if (monster.hp) {
-			const hpStr = monster.hp.average || monster.hp.special;
-			const formulaStr = monster.hp.formula ? ` (${monster.hp.formula})` : "";
-			stats.push(`**Hit Points** ${hpStr}${formulaStr}`);
+		let source = null;
+		const ixFooter = body.lastIndexOf("\n---\n**Source:**");
+		if (~ixFooter) {
+			source = body.slice(ixFooter + "\n---\n".length).trim();
+			body = body.slice(0, ixFooter);
 		}
-		if (monster.speed) {
-			stats.push(`**Speed** ${Parser.getSpeedString(monster)}`);
+
+		const [intro, ...sectionChunks] = body.split(/^(?=## )/m);
+		const sections = sectionChunks.map(chunk => {
+			const [heading, ...lines] = chunk.split("\n");
+			return {title: heading.slice("## ".length).trim(), content: lines.join("\n").trim()};
+		});
+
+		const links = [];
+		for (const [, embed, linkPath, , display] of content.matchAll(MarkdownFormatter.RE_WIKILINK)) {
+			if (embed || links.some(it => it.path === linkPath)) continue;
+			links.push({path: linkPath, display: display ?? linkPath});
 		}
 
-		if (stats.length) {
-			parts.push(stats.join("  \n") + "\n");
+		return {title, intro: intro.trim() || null, sections, source, links};
+	}
+
+	/**
+	 * Render an entry's fluff: the embed of its first image, and its text
+	 */
+	_getFluffParts (entry, fluff) {
+		const image = fluff.images?.[0] ? this._renderEntries([fluff.images[0]]) || null : null;
+
+		let lore = null;
+		if (fluff.entries?.length) {
+			// As on the site, drop the first entry's name if it only repeats the entry's own name
+			const fluffEntries = fluff.entries.map((fluffEntry, ix) => {
+				if (!Renderer.utils._getFluffTabContent_isSkipEntryName({entity: entry, fluff, ix, fluffEntry})) return fluffEntry;
+				const cpy = MiscUtil.copyFast(fluffEntry);
+				delete cpy.name;
+				return cpy;
+			});
+			lore = this._renderEntries(fluffEntries);
 		}
 
-		// Ability scores
-		if (monster.str !== undefined) {
-			const abilities = [];
-			abilities.push(`| STR | DEX | CON | INT | WIS | CHA |`);
-			abilities.push(`|-----|-----|-----|-----|-----|-----|`);
-			const scores = [
-				`${monster.str} (${Parser.getAbilityModifier(monster.str)})`,
-				`${monster.dex} (${Parser.getAbilityModifier(monster.dex)})`,
-				`${monster.con} (${Parser.getAbilityModifier(monster.con)})`,
-				`${monster.int} (${Parser.getAbilityModifier(monster.int)})`,
-				`${monster.wis} (${Parser.getAbilityModifier(monster.wis)})`,
-				`${monster.cha} (${Parser.getAbilityModifier(monster.cha)})`,
-			];
-			abilities.push(`| ${scores.join(" | ")} |`);
-			parts.push(abilities.join("\n") + "\n");
+		return {image, lore};
+	}
+
+	/**
+	 * Merge rendered fluff into formatted content: the image is embedded below the title, and the text is added as a
+	 * "Lore" section above the source footer
+	 */
+	_addFluff (content, {image = null, lore = null} = {}) {
+		if (image) {
+			const ixTitleEnd = content.startsWith("# ") ? content.indexOf("\n") : -1;
+			content = ~ixTitleEnd
+				? `${content.slice(0, ixTitleEnd)}\n\n${image}${content.slice(ixTitleEnd)}`
+				: `${image}\n\n${content}`;
+		}
+
+		if (lore) {
+			const loreSection = `## Lore\n\n${lore}\n`;
+
+			const ixFooter = content.lastIndexOf("\n---\n**Source:**");
+			content = ~ixFooter
+				? `${content.slice(0, ixFooter)}\n${loreSection}${content.slice(ixFooter)}`
+				: `${content}\n\n${loreSection}`;
+		}
+
+		return content;
+	}
+
+	/**
+	 * Generate YAML frontmatter block.
+	 * Values may be nested objects and arrays. Every block is parsed back and compared against the input, so a
+	 * value which would not survive the trip (e.g. a string read back as a number) fails the export of its note
+	 * rather than silently corrupting it.
+	 */
+	_generateYAML (frontmatter) {
+		const lines = this._getYAMLMappingLines(frontmatter, 0);
+
+		const expected = JSON.stringify(this._getYAMLNormalized(frontmatter));
+		const actual = JSON.stringify(this._parseYAMLLines(lines));
+		if (actual !== expected) throw new Error(`Generated frontmatter does not round-trip! Expected ${expected}, got ${actual}`);
+
+		return ["---", ...lines, "---"].join("\n");
+	}
+
+	_getYAMLMappingLines (obj, indent) {
+		return Object.entries(obj)
+			.filter(([, value]) => value != null)
+			.flatMap(([key, value]) => {
+				const ptKey = `${" ".repeat(indent)}${this._getYAMLScalar(key, {isPlainAllowed: true})}:`;
+				if (!this._isYAMLCollection(value)) return [`${ptKey} ${this._getYAMLScalar(value, {isPlainAllowed: indent === 0})}`];
+				if (!this._getYAMLCollectionSize(value)) return [`${ptKey} ${Array.isArray(value) ? "[]" : "{}"}`];
+				return [ptKey, ...this._getYAMLCollectionLines(value, indent + 2)];
+			});
+	}
+
+	_getYAMLCollectionLines (value, indent) {
+		if (!Array.isArray(value)) return this._getYAMLMappingLines(value, indent);
+
+		const pad = " ".repeat(indent);
+		return value.flatMap(item => {
+			if (!this._isYAMLCollection(item)) return [`${pad}- ${this._getYAMLScalar(item)}`];
+			if (!this._getYAMLCollectionSize(item)) return [`${pad}- ${Array.isArray(item) ? "[]" : "{}"}`];
+
+			// The item's first line follows the dash, e.g. `- name: ...`, and the rest are aligned with it
+			const [first, ...rest] = this._getYAMLCollectionLines(item, indent + 2);
+			return [`${pad}- ${first.trimStart()}`, ...rest];
+		});
+	}
+
+	_isYAMLCollection (value) { return value != null && typeof value === "object"; }
+
+	_getYAMLCollectionSize (value) {
+		return Array.isArray(value) ? value.length : Object.values(value).filter(it => it != null).length;
+	}
+
+	/**
+	 * Strings are double-quoted (with JSON escaping, which is valid YAML) unless plain style is allowed and the string
+	 * can't be read back as anything else. By convention, only top-level values and keys are written plain.
+	 */
+	_getYAMLScalar (value, {isPlainAllowed = false} = {}) {
+		if (value == null) return "null";
+		if (typeof value === "boolean") return `${value}`;
+		if (typeof value === "number") {
+			if (Number.isNaN(value)) return ".nan";
+			if (!Number.isFinite(value)) return value > 0 ? ".inf" : "-.inf";
+			return `${value}`;
+		}
+
+		const str = `${value}`;
+		if (isPlainAllowed && this._isYAMLPlainSafe(str)) return str;
+		return JSON.stringify(str);
+	}
+
+	static _RE_YAML_NON_STRING = /^(?:~|null|true|false|yes|no|on|off|y|n|[-+]?\.(?:inf|nan)|[-+]?(?:\d[\d_]*)?\.?\d*(?:e[-+]?\d+)?|[-+]?\d[\d_]*(?::[0-5]?\d)+(?:\.[\d_]*)?|[-+]?0b[01_]+|[-+]?0x[\da-f_]+|0o[0-7]+|\d{4}-\d\d?-\d\d?(?:[t\s].*)?)$/i;
+
+	_isYAMLPlainSafe (str) {
+		if (!str || str !== str.trim()) return false;
+		// Indicator characters, which start a non-plain node
+		if (/^[-?:,[\]{}#&*!|>'"%@`]/.test(str)) return false;
+		// Mapping values and comments, and non-printable characters (including line breaks)
+		if (/: |:$| #|\p{Cc}/u.test(str)) return false;
+		return !MarkdownFormatter._RE_YAML_NON_STRING.test(str);
+	}
+
+	/**
+	 * The value the frontmatter should be read back as: `null`/`undefined` mapping values are omitted, as in the output
+	 */
+	_getYAMLNormalized (value) {
+		if (value === undefined) return null;
+		if (!this._isYAMLCollection(value)) return value;
+		if (Array.isArray(value)) return value.map(it => this._getYAMLNormalized(it));
+		return Object.fromEntries(
+			Object.entries(value)
+				.filter(([, v]) => v != null)
+				.map(([k, v]) => [k, this._getYAMLNormalized(v)]),
+		);
+	}
+
+	/**
+	 * Read back the frontmatter of a note, as an object. Supports the block-style YAML written by `_generateYAML`, and
+	 * the common flow-style and quoting variants of it which may appear in hand-edited notes.
+	 */
+	parseFrontmatter (markdown) {
+		const match = /^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/.exec(markdown);
+		if (!match) return null;
+
+		try {
+			return this._parseYAMLLines(match[1].split(/\r?\n/));
+		} catch (e) {
+			return null;
+		}
+	}
+
+	_parseYAMLLines (lines) {
+		lines = lines.filter(line => line.trim() && !line.trimStart().startsWith("#"));
+		if (!lines.length) return {};
+
+		const ptr = {ix: 0};
+		const out = this._parseYAMLBlock(lines, ptr, this._getYAMLIndent(lines[0]));
+		if (ptr.ix < lines.length) throw new Error(`Unexpected YAML indentation: "${lines[ptr.ix]}"`);
+		return out;
+	}
+
+	_getYAMLIndent (line) { return line.length - line.trimStart().length; }
+
+	_isYAMLSequenceItem (text) { return text === "-" || text.startsWith("- "); }
+
+	/**
+	 * Parse the mapping or sequence starting at the current line, whose entries are at exactly `indent`
+	 */
+	_parseYAMLBlock (lines, ptr, indent) {
+		const isSequence = this._isYAMLSequenceItem(lines[ptr.ix].slice(indent));
+		const out = isSequence ? [] : {};
+
+		while (ptr.ix < lines.length) {
+			const line = lines[ptr.ix];
+			if (this._getYAMLIndent(line) !== indent) break;
+
+			const text = line.slice(indent);
+			if (isSequence !== this._isYAMLSequenceItem(text)) break;
+
+			if (isSequence) {
+				const itemText = text.slice(1).trimStart();
+				if (!itemText) {
+					ptr.ix++;
+					out.push(this._parseYAMLNestedValue(lines, ptr, indent, {isSequenceItem: true}));
+					continue;
+				}
+
+				// A collection starting on the dash's line, e.g. `- name: ...`; re-read it as if it started on its own line
+				if (this._isYAMLSequenceItem(itemText) || this._getYAMLKeyValue(itemText)) {
+					const itemIndent = indent + text.length - itemText.length;
+					lines[ptr.ix] = `${" ".repeat(itemIndent)}${itemText}`;
+					out.push(this._parseYAMLBlock(lines, ptr, itemIndent));
+					continue;
+				}
+
+				out.push(this._parseYAMLScalar(itemText));
+				ptr.ix++;
+				continue;
+			}
+
+			const keyValue = this._getYAMLKeyValue(text);
+			if (!keyValue) throw new Error(`Invalid YAML line: "${line}"`);
+			ptr.ix++;
+			out[keyValue.key] = keyValue.valueText
+				? this._parseYAMLScalar(keyValue.valueText)
+				: this._parseYAMLNestedValue(lines, ptr, indent);
+		}
+
+		return out;
+	}
+
+	/**
+	 * Parse the collection nested under a `key:` or `-` line, if any
+	 */
+	_parseYAMLNestedValue (lines, ptr, parentIndent, {isSequenceItem = false} = {}) {
+		const line = lines[ptr.ix];
+		if (line == null) return null;
+
+		const indent = this._getYAMLIndent(line);
+		// Sequences may be nested under a mapping key without being indented
+		const isIndentless = !isSequenceItem && indent === parentIndent && this._isYAMLSequenceItem(line.slice(indent));
+		if (indent <= parentIndent && !isIndentless) return null;
+		return this._parseYAMLBlock(lines, ptr, indent);
+	}
+
+	/**
+	 * Split a `key: value` line, where the key may be quoted. Returns null if the text isn't a mapping entry.
+	 */
+	_getYAMLKeyValue (text) {
+		const mQuoted = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*')\s*:(?:\s+(.*))?$/.exec(text);
+		if (mQuoted) return {key: `${this._parseYAMLScalar(mQuoted[1])}`, valueText: (mQuoted[2] || "").trim()};
+
+		if (/^["'[{]/.test(text)) return null;
+		const mPlain = /^(.*?):(?:\s+(.*))?$/.exec(text);
+		if (!mPlain || / #/.test(mPlain[1])) return null;
+		return {key: mPlain[1].trim(), valueText: (mPlain[2] || "").trim()};
+	}
+
+	_parseYAMLScalar (str) {
+		if (str.startsWith(`"`)) {
+			const mQuoted = /^("(?:[^"\\]|\\.)*")/.exec(str);
+			if (mQuoted) {
+				try {
+					return JSON.parse(mQuoted[1]);
+				} catch (e) {
+					// YAML escapes which JSON lacks, e.g. `\x41`
+					return mQuoted[1].slice(1, -1).replace(/\\(.)/g, "$1");
+				}
+			}
+		}
+		if (str.startsWith(`'`)) {
+			const mQuoted = /^'((?:[^']|'')*)'/.exec(str);
+			if (mQuoted) return mQuoted[1].replace(/''/g, `'`);
+		}
+
+		// Flow collections; JSON is a subset of YAML's flow style
+		if (str.startsWith("[") || str.startsWith("{")) {
+			try {
+				return JSON.parse(str);
+			} catch (e) {
+				if (str.startsWith("[") && str.endsWith("]")) {
+					const inner = str.slice(1, -1).trim();
+					return inner ? inner.split(",").map(it => this._parseYAMLScalar(it.trim())) : [];
+				}
+				return str;
+			}
+		}
+
+		// Plain scalars end at a comment
+		str = str.replace(/\s+#.*$/, "");
+
+		if (/^(?:~|null)$/i.test(str)) return null;
+		if (/^(?:true|false)$/i.test(str)) return str.toLowerCase() === "true";
+		if (/^[-+]?\.inf$/i.test(str)) return str.startsWith("-") ? -Infinity : Infinity;
+		if (/^\.nan$/i.test(str)) return NaN;
+		if (/^[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?$/i.test(str)) return Number(str);
+		return str;
+	}
+
+	/**
+	 * Format the index note for a resource directory: a static table of its notes, sorted by name and source,
+	 * optionally followed by an equivalent Dataview query which stays up to date as notes are added
+	 */
+	formatResourceIndex ({dir, title, entryTypes, columns, notes, isDataview = false}) {
+		const frontmatter = {
+			name: title,
+			type: "index",
+			tags: ["dnd5e/index"],
+			note_count: notes.length,
+		};
+
+		const parts = [`# ${title}\n`];
+
+		if (isDataview) {
+			const ptColumns = [
+				`file.link AS "Name"`,
+				`source AS "Source"`,
+				...Object.entries(columns).map(([prop, header]) => `${prop} AS "${header}"`),
+			].join(", ");
+			const ptWhere = entryTypes.map(entryType => `type = "${entryType}"`).join(" OR ");
+			parts.push(`\`\`\`dataview\nTABLE WITHOUT ID ${ptColumns}\nFROM "${dir}"\nWHERE ${ptWhere}\nSORT file.name ASC\n\`\`\`\n`);
+		}
+
+		const headers = ["Name", "Source", ...Object.values(columns)];
+		const rows = [...notes]
+			.sort((a, b) => SortUtil.ascSortLower(a.frontmatter.name, b.frontmatter.name) || SortUtil.ascSortLower(a.frontmatter.source, b.frontmatter.source))
+			.map(({notePath, frontmatter: fm}) => [
+				`[[${notePath}\\|${this._getIndexCellText(fm.name)}]]`,
+				this._getIndexCellText(fm.source),
+				...Object.keys(columns).map(prop => this._getIndexCellText(fm[prop])),
+			]);
+
+		parts.push([
+			`| ${headers.join(" | ")} |`,
+			`|${headers.map(() => "---").join("|")}|`,
+			...rows.map(row => `| ${row.join(" | ")} |`),
+		].join("\n"));
+
+		return this._renderNote({frontmatter, content: `${parts.join("\n")}\n`});
+	}
+
+	_getIndexCellText (value) {
+		if (value == null) return "";
+		if (Array.isArray(value)) return value.map(it => this._getIndexCellText(it)).join(", ");
+		if (typeof value === "object") return Object.entries(value).map(([k, v]) => `${k} ${this._getIndexCellText(v)}`).join(", ");
+		return `${value}`.replace(/\|/g, "\\|");
+	}
+
+	/**
+	 * Format the vault's top-level note, linking the index note of each resource directory
+	 */
+	formatHome (indexes) {
+		const frontmatter = {
+			name: "Home",
+			type: "home",
+			tags: ["dnd5e/index"],
+		};
+
+		const lines = [...indexes]
+			.sort((a, b) => SortUtil.ascSortLower(a.title, b.title))
+			.map(({title, indexPath, noteCount}) => `| [[${indexPath}\\|${title}]] | ${noteCount} |`);
+
+		return this._renderNote({frontmatter, content: `# Home\n\n| Section | Notes |\n|---|---|\n${lines.join("\n")}\n`});
+	}
+
+	/**
+	 * Format the section listing the notes which link to a note, with a line per group of notes (e.g. "Monsters")
+	 * @param groups Array of `{title, notePaths}`.
+	 */
+	formatReferencedBy (groups) {
+		const lines = [...groups]
+			.sort((a, b) => SortUtil.ascSortLower(a.title, b.title))
+			.map(({title, notePaths}) => {
+				const links = [...notePaths]
+					.sort((a, b) => SortUtil.ascSortLower(path.posix.basename(a), path.posix.basename(b)))
+					.map(notePath => `[[${notePath}|${path.posix.basename(notePath)}]]`);
+				return `**${title}:** ${links.join(", ")}`;
+			});
+
+		return `${MarkdownExportEngine.REFERENCED_BY_HEADING}\n\n${lines.join("\n\n")}`;
+	}
+
+	/**
+	 * Format spell content
+	 */
+	_formatSpell(spell) {
+		const parts = [];
+
+		// Title
+		parts.push(`# ${spell.name}\n`);
+
+		// Spell level and school
+		if (spell.level !== undefined) {
+			const levelStr = spell.level === 0 ? "cantrip" : `${spell.level}${this._getOrdinalSuffix(spell.level)}-level`;
+			const schoolStr = spell.school ? Parser.spSchoolAbvToFull(spell.school).toLowerCase() : "";
+			parts.push(`*${levelStr} ${schoolStr}${spell.meta?.ritual ? " (ritual)" : ""}*\n`);
+		}
+
+		// Spell properties
+		const props = [];
+		if (spell.time && spell.time[0]) {
+			props.push(`**Casting Time:** ${spell.time[0].number} ${spell.time[0].unit}`);
+		}
+		if (spell.range) {
+			if (spell.range.type === "point" && spell.range.distance) {
+				props.push(`**Range:** ${spell.range.distance.amount} ${spell.range.distance.type}`);
+			} else {
+				props.push(`**Range:** ${spell.range.type}`);
+			}
+		}
+		if (spell.components) {
+			const comps = [];
+			if (spell.components.v) comps.push("V");
+			if (spell.components.s) comps.push("S");
+			if (spell.components.m) {
+				const matStr = typeof spell.components.m === "string" ? ` (${spell.components.m})` : "";
+				comps.push(`M${matStr}`);
+			}
+			props.push(`**Components:** ${comps.join(", ")}`);
+		}
+		if (spell.duration && spell.duration[0]) {
+			const dur = spell.duration[0];
+			let durStr;
+			if (dur.type === "timed") {
+				durStr = `${dur.duration.amount} ${dur.duration.type}`;
+				if (dur.concentration) durStr = `Concentration, up to ${durStr}`;
+			} else {
+				durStr = dur.type.charAt(0).toUpperCase() + dur.type.slice(1);
+			}
+			props.push(`**Duration:** ${durStr}`);
+		}
+
+		parts.push(props.join("  \n") + "\n");
+
+		// Description
+		if (spell.entries) {
+			parts.push(this._renderEntries(spell.entries));
+		}
+
+		// At Higher Levels
+		if (spell.entriesHigherLevel && spell.entriesHigherLevel.length > 0) {
+			parts.push("\n" + this._renderEntries(spell.entriesHigherLevel));
+		}
+
+		// Source
+		if (spell.source) {
+			const sourceFull = Parser.sourceJsonToFull(spell.source);
+			const pageStr = spell.page ? `, page ${spell.page}` : "";
+			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+		}
+
+		return parts.join("\n");
+	}
+
+	/**
+	 * Format monster content
+	 * @param monster
+	 * @param [scaling] Links to the creature's scaled versions, or the creature a scaled creature was scaled from, see
+	 * `_getMonsterScalingParts`.
+	 */
+	_formatMonster (monster, scaling = null) {
+		const parts = [];
+
+		// Title
+		parts.push(`# ${monster._displayName || monster.name}\n`);
+		parts.push(...this._getMonsterScalingParts(scaling).intro);
+
+		// Size, type, alignment
+		const typeStr = [];
+		if (monster.size) {
+			const sizeMap = {T: "Tiny", S: "Small", M: "Medium", L: "Large", H: "Huge", G: "Gargantuan"};
+			const sizes = Array.isArray(monster.size) ? monster.size : [monster.size];
+			typeStr.push(sizes.map(s => sizeMap[s] || s).join(" or "));
+		}
+		if (monster.type) {
+			let type = typeof monster.type === "string" ? monster.type : monster.type.type;
+			// Add subtype tags in parentheses if they exist
+			if (typeof monster.type === "object" && monster.type.tags && monster.type.tags.length > 0) {
+				type += ` (${monster.type.tags.join(", ")})`;
+			}
+			typeStr.push(type);
+		}
+		if (monster.alignment) {
+			const alignments = Array.isArray(monster.alignment) ? monster.alignment : [monster.alignment];
+			typeStr.push(Parser.alignmentListToFull(alignments));
+		}
+
+		if (typeStr.length) {
+			parts.push(`*${typeStr.join(" ")}*\n`);
+		}
+
+		// Stats block
+		const stats = [];
+		if (monster.ac) {
+			const acStr = Array.isArray(monster.ac) ? monster.ac.map(ac => typeof ac === "number" ? ac : ac.ac).join(", ") : monster.ac;
+			stats.push(`**Armor Class** ${acStr}`);
+		}
+		if (monster.hp) {
+			const hpStr = monster.hp.average || monster.hp.special;
+			const formulaStr = monster.hp.formula ? ` (${monster.hp.formula})` : "";
+			stats.push(`**Hit Points** ${hpStr}${formulaStr}`);
+		}
+		if (monster.speed) {
+			stats.push(`**Speed** ${Parser.getSpeedString(monster)}`);
+		}
+
+		if (stats.length) {
+			parts.push(stats.join("  \n") + "\n");
+		}
+
+		// Ability scores
+		if (monster.str !== undefined) {
+			const abilities = [];
+			abilities.push(`| STR | DEX | CON | INT | WIS | CHA |`);
+			abilities.push(`|-----|-----|-----|-----|-----|-----|`);
+			const scores = [
+				`${monster.str} (${Parser.getAbilityModifier(monster.str)})`,
+				`${monster.dex} (${Parser.getAbilityModifier(monster.dex)})`,
+				`${monster.con} (${Parser.getAbilityModifier(monster.con)})`,
+				`${monster.int} (${Parser.getAbilityModifier(monster.int)})`,
+				`${monster.wis} (${Parser.getAbilityModifier(monster.wis)})`,
+				`${monster.cha} (${Parser.getAbilityModifier(monster.cha)})`,
+			];
+			abilities.push(`| ${scores.join(" | ")} |`);
+			parts.push(abilities.join("\n") + "\n");
 		}
 
 		// Additional stats (saves, skills, etc.)
@@ -1527,9 +2654,7 @@ class MarkdownFormatter {
 
 			// Add legendary actions header text (standard D&D 5e format)
 			// The number of actions is typically 3 unless specified otherwise
-			const actionCount = monster.legendaryActions || 3;
-			const creatureName = monster.isNamedCreature || monster.isNpc ? monster.name : `the ${monster.name.toLowerCase()}`;
-			parts.push(`${creatureName.charAt(0).toUpperCase() + creatureName.slice(1)} can take ${actionCount} legendary actions, choosing from the options below. Only one legendary action option can be used at a time and only at the end of another creature's turn. ${creatureName.charAt(0).toUpperCase() + creatureName.slice(1)} regains spent legendary actions at the start of its turn.\n`);
+			parts.push(`${this._getLegendaryActionsIntro(monster)}\n`);
 
 			for (const legendary of monster.legendary) {
 				if (legendary.name) {
@@ -1554,31 +2679,10 @@ class MarkdownFormatter {
 			}
 		}
 
-		// Lair Actions (from monster data or legendary group)
-		let lairActions = monster.lair;
-		if (!lairActions && monster.legendaryGroup) {
-			const group = this._getLegendaryGroup(monster.legendaryGroup);
-			if (group && group.lairActions) {
-				lairActions = group.lairActions;
-			}
-		}
-		if (lairActions && lairActions.length) {
-			parts.push("## Lair Actions\n");
-			parts.push(this._renderEntries(lairActions) + "\n");
-		}
+		// Lair Actions and Regional Effects (from monster data or legendary group)
+		parts.push(...this._getMonsterLairRegionalParts(monster));
 
-		// Regional Effects (from monster data or legendary group)
-		let regionalEffects = monster.regional;
-		if (!regionalEffects && monster.legendaryGroup) {
-			const group = this._getLegendaryGroup(monster.legendaryGroup);
-			if (group && group.regionalEffects) {
-				regionalEffects = group.regionalEffects;
-			}
-		}
-		if (regionalEffects && regionalEffects.length) {
-			parts.push("## Regional Effects\n");
-			parts.push(this._renderEntries(regionalEffects) + "\n");
-		}
+		parts.push(...this._getMonsterScalingParts(scaling).sections);
 
 		// Source
 		if (monster.source) {
@@ -1591,10 +2695,257 @@ class MarkdownFormatter {
 	}
 
 	/**
-	 * Format item content
+	 * Get the standard introduction text for a monster's legendary actions
 	 */
-	_formatItem(item) {
-		const parts = [];
+	_getLegendaryActionsIntro (monster) {
+		// The number of actions is typically 3 unless specified otherwise
+		const actionCount = monster.legendaryActions || 3;
+		const creatureName = monster.isNamedCreature || monster.isNpc ? monster.name : `the ${monster.name.toLowerCase()}`;
+		const creatureNameUpper = creatureName.charAt(0).toUpperCase() + creatureName.slice(1);
+		return `${creatureNameUpper} can take ${actionCount} legendary actions, choosing from the options below. Only one legendary action option can be used at a time and only at the end of another creature's turn. ${creatureNameUpper} regains spent legendary actions at the start of its turn.`;
+	}
+
+	/**
+	 * Render the links between a creature and its scaled versions (see `MarkdownExportEngine._pExportScaledCreatures`)
+	 * @param [scaling]
+	 * @param [scaling.scaledFrom] For a scaled creature, `{notePath, label}` of the creature it was scaled from.
+	 * @param [scaling.scaledVersions] For a creature, `[{notePath, label}]` of its scaled versions.
+	 * @return {{intro: Array<string>, sections: Array<string>}} Parts to add below the title, and above the footer.
+	 */
+	_getMonsterScalingParts (scaling) {
+		const {scaledFrom = null, scaledVersions = null} = scaling || {};
+		const out = {intro: [], sections: []};
+
+		if (scaledFrom) out.intro.push(`*Scaled to ${scaledFrom.label} from [[${scaledFrom.notePath}|${path.posix.basename(scaledFrom.notePath)}]].*\n`);
+
+		if (scaledVersions?.length) {
+			out.sections.push("## Scaled Versions\n");
+			out.sections.push(`${scaledVersions.map(({notePath, label}) => `- [[${notePath}|${label}]]`).join("\n")}\n`);
+		}
+
+		return out;
+	}
+
+	/**
+	 * Render the "Lair Actions" and "Regional Effects" sections of a monster,
+	 * taken from the monster itself or its legendary group
+	 */
+	_getMonsterLairRegionalParts (monster) {
+		const parts = [];
+		const group = monster.legendaryGroup ? this._getLegendaryGroup(monster.legendaryGroup) : null;
+
+		const lairActions = monster.lair || group?.lairActions;
+		if (lairActions && lairActions.length) {
+			parts.push("## Lair Actions\n");
+			parts.push(this._renderEntries(lairActions) + "\n");
+		}
+
+		const regionalEffects = monster.regional || group?.regionalEffects;
+		if (regionalEffects && regionalEffects.length) {
+			parts.push("## Regional Effects\n");
+			parts.push(this._renderEntries(regionalEffects) + "\n");
+		}
+
+		return parts;
+	}
+
+	/**
+	 * Format monster content as a Fantasy Statblocks plugin ```statblock``` block
+	 * Lair actions and regional effects have no place in the plugin's layout, so are kept as prose below the block
+	 */
+	_formatMonsterStatblock (monster, scaling = null) {
+		const parts = [];
+
+		parts.push(`# ${monster._displayName || monster.name}\n`);
+		parts.push(...this._getMonsterScalingParts(scaling).intro);
+		parts.push(`\`\`\`statblock\n${this._generateStatblockYAML(this._getMonsterStatblock(monster))}\n\`\`\`\n`);
+
+		parts.push(...this._getMonsterLairRegionalParts(monster));
+		parts.push(...this._getMonsterScalingParts(scaling).sections);
+
+		if (monster.source) {
+			const sourceFull = Parser.sourceJsonToFull(monster.source);
+			const pageStr = monster.page ? `, page ${monster.page}` : "";
+			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+		}
+
+		return parts.join("\n");
+	}
+
+	/**
+	 * Build the Fantasy Statblocks field layout for a monster
+	 * See: https://plugins.javalent.com/statblocks/layouts/default
+	 */
+	_getMonsterStatblock (monster) {
+		const out = {
+			layout: "Basic 5e Layout",
+			name: monster._displayName || monster.name,
+		};
+
+		if (monster.size) {
+			const sizes = Array.isArray(monster.size) ? monster.size : [monster.size];
+			out.size = sizes.map(size => Parser.sizeAbvToFull(size)).join(" or ");
+		}
+		if (monster.type) {
+			const typeObj = Parser.monTypeToFullObj(monster.type);
+			out.type = typeObj.types.joinConjunct(", ", " or ");
+			const tagMetas = Parser.monTypeToFullObj._getTagMetas(monster.type.tags);
+			if (tagMetas.length) out.subtype = tagMetas.map(({displayTag}) => displayTag.toLowerCase()).join(", ");
+		}
+		if (monster.alignment) out.alignment = Parser.alignmentListToFull(monster.alignment).toLowerCase();
+
+		// Strip tags before rendering, as the site's renderer would otherwise turn e.g. `{@item shield|phb}` into HTML
+		if (monster.ac) out.ac = Parser.acToFull(MiscUtil.getWalker().walk(MiscUtil.copyFast(monster.ac), {string: str => Renderer.stripTags(str)}));
+		if (monster.hp) {
+			if (monster.hp.special != null) out.hp = Renderer.stripTags(monster.hp.special);
+			else out.hp = monster.hp.average;
+			if (monster.hp.formula) out.hit_dice = monster.hp.formula;
+		}
+		if (monster.speed) out.speed = Parser.getSpeedString(monster);
+
+		out.stats = Parser.ABIL_ABVS.map(ab => monster[ab] ?? 10);
+
+		if (monster.save) {
+			out.saves = Object.keys(monster.save)
+				.sort(SortUtil.ascSortAtts)
+				.map(ab => ({[Parser.attAbvToFull(ab).toLowerCase()]: this._getStatblockBonus(monster.save[ab])}));
+		}
+		if (monster.skill) {
+			out.skillsaves = Object.entries(monster.skill)
+				.filter(([skill, value]) => typeof value === "string")
+				.map(([skill, value]) => ({[skill]: this._getStatblockBonus(value)}));
+		}
+
+		if (monster.vulnerable) out.damage_vulnerabilities = Parser.getFullImmRes(monster.vulnerable, {isPlainText: true});
+		if (monster.resist) out.damage_resistances = Parser.getFullImmRes(monster.resist, {isPlainText: true});
+		if (monster.immune) out.damage_immunities = Parser.getFullImmRes(monster.immune, {isPlainText: true});
+		if (monster.conditionImmune) out.condition_immunities = Parser.getFullCondImm(monster.conditionImmune, {isPlainText: true});
+
+		const senses = monster.senses ? Renderer.stripTags([monster.senses].flat().join(", ")) : null;
+		const passive = monster.passive != null ? `passive Perception ${monster.passive}` : null;
+		if (senses || passive) out.senses = [senses, passive].filter(Boolean).join(", ");
+		if (monster.languages) out.languages = Renderer.stripTags(Renderer.monster.getRenderedLanguages(monster.languages, {styleHint: "classic"}));
+
+		if (monster.cr != null) out.cr = typeof monster.cr === "object" ? monster.cr.cr : monster.cr;
+
+		const initBonus = this._getInitiativeBonus(monster);
+		if (initBonus !== null && monster.initiative != null) out.initiative = initBonus;
+
+		// Spellcasting shown as a trait goes in the plugin's dedicated "spells" block; any further spellcasting
+		//   blocks are added to the section they are displayed in.
+		const spellcasting = monster.spellcasting || [];
+		const ixSpells = spellcasting.findIndex(sc => (sc.displayAs || "trait") === "trait");
+		if (~ixSpells) out.spells = this._getStatblockSpells(spellcasting[ixSpells]);
+
+		const getSpellcastingItems = displayAs => spellcasting
+			.filter((sc, ix) => ix !== ixSpells && (sc.displayAs || "trait") === displayAs)
+			.map(sc => ({name: this._renderString(sc.name), desc: this._getStatblockSpells(sc).join("\n")}));
+
+		const sections = [
+			["traits", monster.trait, "trait"],
+			["actions", monster.action, "action"],
+			["bonus_actions", monster.bonus, "bonus"],
+			["reactions", monster.reaction, "reaction"],
+			["legendary_actions", monster.legendary, "legendary"],
+			["mythic_actions", monster.mythic, "mythic"],
+		];
+		for (const [prop, items, displayAs] of sections) {
+			const statblockItems = [
+				...(items || []).map(it => this._getStatblockItem(it)),
+				...getSpellcastingItems(displayAs),
+			];
+			if (statblockItems.length) out[prop] = statblockItems;
+		}
+
+		if (out.legendary_actions) out.legendary_description = this._getLegendaryActionsIntro(monster);
+		if (out.mythic_actions && monster.mythicHeader) out.mythic_description = this._renderEntries(monster.mythicHeader);
+
+		return out;
+	}
+
+	/**
+	 * Convert a 5etools bonus string (e.g. "+5") to a number where possible
+	 */
+	_getStatblockBonus (value) {
+		const num = Number(value);
+		return isNaN(num) ? Renderer.stripTags(`${value}`) : num;
+	}
+
+	/**
+	 * Convert a named trait/action to the plugin's `{name, desc}` form
+	 */
+	_getStatblockItem (item) {
+		return {
+			name: item.name ? this._renderString(item.name) : "",
+			desc: this._renderEntries(item.entries || []),
+		};
+	}
+
+	/**
+	 * Convert a spellcasting block to the plugin's "spells" list: description lines as strings, then one
+	 * `{"1st level (4 slots)": "spell, spell"}` item per spell level/frequency
+	 */
+	_getStatblockSpells (spellcasting) {
+		const [header, ...footers] = this.renderer._renderSpellcasting_getEntries(spellcasting);
+
+		const out = [];
+		for (const ent of header.entries) {
+			if (ent.type === "list" && ent.data?.isSpellList) {
+				for (const item of ent.items) out.push({[item.name.replace(/:$/, "")]: this._renderString(item.entry)});
+			} else {
+				out.push(this._renderEntries([ent]));
+			}
+		}
+		for (const footer of footers) out.push(this._renderEntries(footer.entries));
+
+		return out;
+	}
+
+	/**
+	 * Serialize a statblock as YAML for the plugin
+	 * Strings are emitted in JSON's double-quoted form, which is also valid YAML
+	 */
+	_generateStatblockYAML (statblock) {
+		const getKey = key => /^[a-z_]+$/i.test(key) ? key : JSON.stringify(key);
+		const getScalar = value => typeof value === "string" ? JSON.stringify(value) : `${value}`;
+
+		const lines = [];
+		for (const [key, value] of Object.entries(statblock)) {
+			if (value === undefined || value === null) continue;
+
+			if (!Array.isArray(value)) {
+				lines.push(`${getKey(key)}: ${getScalar(value)}`);
+				continue;
+			}
+
+			if (value.every(it => typeof it !== "object")) {
+				lines.push(`${getKey(key)}: [${value.map(getScalar).join(", ")}]`);
+				continue;
+			}
+
+			lines.push(`${getKey(key)}:`);
+			for (const item of value) {
+				if (typeof item !== "object") {
+					lines.push(`  - ${getScalar(item)}`);
+					continue;
+				}
+				Object.entries(item)
+					.forEach(([subKey, subValue], ix) => lines.push(`  ${ix === 0 ? "- " : "  "}${getKey(subKey)}: ${getScalar(subValue)}`));
+			}
+		}
+
+		return lines.join("\n");
+	}
+
+	/**
+	 * Format item content
+	 * @param item The item.
+	 * @param [specificVariants] For generic variants, the specific variants created from the base items.
+	 * @param [specificVariants.variants] Array of `{base, specificVariant}`.
+	 * @param [specificVariants.isLinked] If the specific variants have their own notes.
+	 */
+	_formatItem (item, specificVariants = null) {
+		const parts = [];
 
 		// Title
 		parts.push(`# ${item.name}\n`);
@@ -1626,6 +2977,12 @@ class MarkdownFormatter {
 			parts.push(`*${typeStr.join(", ")}*\n`);
 		}
 
+		if (item.genericVariant) {
+			const ptGeneric = `{@item ${item.genericVariant.name}|${item.genericVariant.source}}`;
+			const ptBase = `{@item ${item._baseName}|${item._baseSource || item.source}}`;
+			parts.push(`*Specific variant of ${this._renderString(ptGeneric)}, based on ${this._renderString(ptBase)}.*\n`);
+		}
+
 		// Weapon/Armor properties
 		const [ptDamage, ptProperties] = Renderer.item.getRenderedDamageAndProperties(item, {renderer: this.renderer});
 		if (ptDamage || ptProperties || item.property) {
@@ -1693,1487 +3050,4559 @@ class MarkdownFormatter {
 				propParts.push(`**Mastery:** ${masteryLinks}`);
 			}
 
-			if (item.weight) {
-				propParts.push(`**Weight:** ${item.weight} lb.`);
-			}
-			if (item.value) {
-				const valueGp = item.value / 100;
-				propParts.push(`**Value:** ${valueGp} gp`);
-			}
-			if (propParts.length) {
-				parts.push(propParts.join("  \n") + "\n");
-			}
-		}
+			if (item.weight) {
+				propParts.push(`**Weight:** ${item.weight} lb.`);
+			}
+			if (item.value) {
+				const valueGp = item.value / 100;
+				propParts.push(`**Value:** ${valueGp} gp`);
+			}
+			if (propParts.length) {
+				parts.push(propParts.join("  \n") + "\n");
+			}
+		}
+
+		// Description
+		// Specific magic item variants have their generic variant's text merged into `_fullEntries`
+		const entries = item._fullEntries || item.entries;
+		if (entries) {
+			parts.push(this._renderEntries(entries));
+		}
+
+		if (specificVariants?.variants?.length) {
+			parts.push(this._getItemSpecificVariantsTable(specificVariants));
+		}
+
+		// Source
+		if (item.source) {
+			const sourceFull = Parser.sourceJsonToFull(item.source);
+			const pageStr = item.page ? `, page ${item.page}` : "";
+			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+		}
+
+		return parts.join("\n");
+	}
+
+	_getItemSpecificVariantsTable ({variants, isLinked = false}) {
+		const rows = [...variants]
+			.sort((a, b) => SortUtil.ascSortLower(a.base.name, b.base.name) || SortUtil.ascSortLower(a.base.source, b.base.source))
+			.map(({base, specificVariant}) => {
+				const ptName = isLinked
+					? this._renderString(`{@item ${specificVariant.name}|${specificVariant.source}}`)
+					: specificVariant.name;
+				return [
+					ptName,
+					this._renderString(`{@item ${base.name}|${base.source}}`),
+					specificVariant.rarity,
+					specificVariant.value ? `${specificVariant.value / 100} gp` : "",
+					specificVariant.weight ? `${specificVariant.weight} lb.` : "",
+				];
+			});
+
+		return [
+			"\n## Specific Variants\n",
+			"| Item | Base Item | Rarity | Value | Weight |",
+			"|---|---|---|---|---|",
+			...rows.map(row => `| ${row.map(cell => this._getIndexCellText(cell)).join(" | ")} |`),
+		].join("\n");
+	}
+
+	/**
+	 * Format class content
+	 */
+	_formatClass(cls, classData) {
+		const parts = [];
+
+		// Title
+		parts.push(`# ${cls.name}\n`);
+
+		// Hit die and primary ability
+		if (cls.hd) {
+			parts.push(`**Hit Die:** d${cls.hd.faces}\n`);
+		}
+
+		if (cls.primaryAbility || cls.proficiency) {
+			const abilities = [];
+			if (cls.primaryAbility) {
+				const primary = cls.primaryAbility.map(a => {
+					const abilMap = {str: "Strength", dex: "Dexterity", con: "Constitution", int: "Intelligence", wis: "Wisdom", cha: "Charisma"};
+					return Object.keys(a).map(k => abilMap[k]).join(" or ");
+				}).join(", ");
+				abilities.push(`**Primary Ability:** ${primary}`);
+			}
+			if (cls.proficiency) {
+				const savingThrows = cls.proficiency.map(p => p.toUpperCase()).join(", ");
+				abilities.push(`**Saving Throw Proficiencies:** ${savingThrows}`);
+			}
+			parts.push(abilities.join("  \n") + "\n");
+		}
+
+		// Proficiencies with wikilinks
+		if (cls.startingProficiencies) {
+			parts.push(this._renderClassProficiencies(cls.startingProficiencies) + "\n");
+		}
+
+		// Class Features Table
+		if (cls.classFeatures && cls.classFeatures.length) {
+			parts.push(this._renderClassTable(cls, classData) + "\n");
+		}
+
+		// Detailed Class Features
+		if (cls.classFeatures && cls.classFeatures.length && classData?.classFeature) {
+			parts.push(this._renderClassFeatureDetails(cls, classData) + "\n");
+		}
+
+		// Source
+		if (cls.source) {
+			const sourceFull = Parser.sourceJsonToFull(cls.source);
+			const pageStr = cls.page ? `, page ${cls.page}` : "";
+			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+		}
+
+		return parts.join("\n");
+	}
+
+	/**
+	 * Render class proficiencies with wikilinks
+	 */
+	_renderClassProficiencies(prof) {
+		const parts = ["## Proficiencies\n"];
+		const profParts = [];
+
+		if (prof.armor) {
+			// Convert armor proficiencies to wikilinks
+			const armorLinks = prof.armor.map(a => {
+				if (a === "light") return "Light Armor";
+				if (a === "medium") return "Medium Armor";
+				if (a === "heavy") return "Heavy Armor";
+				if (a === "shield") return "Shields";
+				return a;
+			});
+			profParts.push(`**Armor:** ${armorLinks.join(", ")}`);
+		}
+
+		if (prof.weapons) {
+			// Convert weapon proficiencies to wikilinks
+			const weaponLinks = prof.weapons.map(w => {
+				if (w === "simple") return "Simple Weapons";
+				if (w === "martial") return "Martial Weapons";
+				return this._renderString(w);
+			});
+			profParts.push(`**Weapons:** ${weaponLinks.join(", ")}`);
+		}
+
+		if (prof.tools) {
+			const toolStr = Array.isArray(prof.tools)
+				? prof.tools.map(t => this._renderString(t)).join(", ")
+				: this._renderString(JSON.stringify(prof.tools));
+			profParts.push(`**Tools:** ${toolStr}`);
+		}
+
+		if (prof.skills) {
+			// Handle skill selection
+			if (Array.isArray(prof.skills)) {
+				const first = prof.skills[0];
+				if (typeof first === "object") {
+					if (first.choose) {
+						const choose = first.choose;
+						profParts.push(`**Skills:** Choose ${choose.count || 2} from the class skill list`);
+					} else if (first.any !== undefined) {
+						profParts.push(`**Skills:** Choose ${first.any} from the class skill list`);
+					} else {
+						profParts.push(`**Skills:** ${JSON.stringify(prof.skills)}`);
+					}
+				} else {
+					profParts.push(`**Skills:** ${prof.skills.join(", ")}`);
+				}
+			} else {
+				profParts.push(`**Skills:** ${prof.skills.toString()}`);
+			}
+		}
+
+		parts.push(profParts.join("  \n"));
+		return parts.join("");
+	}
+
+	/**
+	 * Render class features table
+	 */
+	_renderClassTable(cls, classData) {
+		const parts = [`## ${cls.name} Features Table\n`];
+
+		// Build table header
+		const headers = ["Level", "Proficiency Bonus", "Features"];
+
+		// Add class-specific columns from classTableGroups
+		if (cls.classTableGroups) {
+			for (const group of cls.classTableGroups) {
+				if (group.title) {
+					// For spell progression, add the group title as a super-header
+					headers.push(`${group.title}`);
+				} else if (group.colLabels) {
+					// Add each column label
+					for (const label of group.colLabels) {
+						headers.push(this._renderString(label));
+					}
+				}
+			}
+		}
+
+		// Create markdown table
+		parts.push(`| ${headers.join(" | ")} |`);
+		parts.push(`| ${headers.map(() => "---").join(" | ")} |`);
+
+		// Add rows for levels 1-20
+		for (let level = 1; level <= 20; level++) {
+			const profBonus = Math.ceil(level / 4) + 1; // Proficiency bonus by level
+			const row = [level.toString(), `+${profBonus}`];
+
+			// Get features for this level
+			const features = this._getClassFeaturesForLevel(cls, level, classData);
+			row.push(features.join(", "));
+
+			// Add class-specific columns
+			if (cls.classTableGroups) {
+				for (const group of cls.classTableGroups) {
+					const levelIndex = level - 1;
+					if (group.rowsSpellProgression) {
+						// Spell progression table
+						const spellRow = group.rowsSpellProgression[levelIndex];
+						if (spellRow) {
+							row.push(...spellRow.map(slots => slots === 0 ? "—" : slots.toString()));
+						}
+					} else if (group.rows) {
+						// Regular table group
+						const groupRow = group.rows[levelIndex];
+						if (groupRow) {
+							for (const cell of groupRow) {
+								if (typeof cell === "object") {
+									if (cell.type === "bonus") {
+										row.push(`+${cell.value}`);
+									} else if (cell.type === "dice") {
+										// Render dice notation
+										const dice = cell.toRoll[0];
+										row.push(`${dice.number}d${dice.faces}`);
+									} else {
+										// Try to render as entry object
+										row.push(this._renderString(cell));
+									}
+								} else {
+									row.push(this._renderString(cell.toString()));
+								}
+							}
+						}
+					}
+				}
+			}
+
+			parts.push(`| ${row.join(" | ")} |`);
+		}
+
+		parts.push("");
+		return parts.join("\n");
+	}
+
+	/**
+	 * Get class features for a specific level
+	 */
+	_getClassFeaturesForLevel(cls, level, classData) {
+		const features = [];
+
+		for (const feature of cls.classFeatures) {
+			const isSubclassFeature = typeof feature === "object" && feature.gainSubclassFeature;
+			const featureName = typeof feature === "string" ? feature : feature.classFeature;
+			const match = featureName.match(/\|(\d+)(?:\||$)/);
+			const featureLevel = match ? parseInt(match[1]) : null;
+
+			if (featureLevel === level) {
+				const displayName = featureName.split("|")[0];
+
+				if (isSubclassFeature) {
+					// For subclass selection level, add links to all subclasses
+					if (level === 3 || displayName.includes(cls.subclassTitle)) {
+						features.push(`[[#${cls.subclassTitle}|${displayName}]]`);
+					} else {
+						features.push(displayName);
+					}
+				} else if (this.isFeatureNotes) {
+					features.push(`[[${MarkdownExportEngine.getClassFeatureNotePath(DataUtil.class.unpackUidClassFeature(featureName))}|${displayName}]]`);
+				} else {
+					features.push(`[[#${displayName}|${displayName}]]`);
+				}
+			}
+		}
+
+		return features;
+	}
+
+	/**
+	 * Render detailed class feature descriptions (organized by level)
+	 */
+	_renderClassFeatureDetails(cls, classData) {
+		const parts = [];
+
+		// Group features by level
+		const featuresByLevel = {};
+		for (const feature of cls.classFeatures) {
+			const isSubclassFeature = typeof feature === "object" && feature.gainSubclassFeature;
+			const featureName = typeof feature === "string" ? feature : feature.classFeature;
+			const match = featureName.match(/\|(\d+)(?:\||$)/);
+			const level = match ? parseInt(match[1]) : null;
+
+			if (level) {
+				if (!featuresByLevel[level]) featuresByLevel[level] = [];
+				featuresByLevel[level].push({featureName, isSubclassFeature});
+			}
+		}
+
+		// Track if we've already listed subclasses
+		let subclassesListed = false;
+
+		// Render each level's features
+		for (const level of Object.keys(featuresByLevel).sort((a, b) => parseInt(a) - parseInt(b))) {
+			parts.push(`## Level ${level}\n`);
+
+			for (const {featureName, isSubclassFeature} of featuresByLevel[level]) {
+				if (isSubclassFeature) {
+					// Handle subclass feature
+					const subclassFeature = this._findClassFeature(featureName, classData);
+					if (subclassFeature) {
+						parts.push(...this._getFeatureDetailParts(subclassFeature, MarkdownExportEngine.getClassFeatureNotePath(subclassFeature)));
+					}
+
+					// List all available subclasses only the first time
+					if (!subclassesListed && cls.subclassTitle && classData?.subclass) {
+						parts.push(`**Available ${cls.subclassTitle} Options:**\n`);
+						const subclasses = classData.subclass
+							.filter(sc => sc.className === cls.name && sc.classSource === cls.source)
+							.sort((a, b) => a.name.localeCompare(b.name));
+
+						for (const sc of subclasses) {
+							parts.push(`- [[subclasses/${sc.name} (${sc.source})|${sc.name}]]\n`);
+						}
+						parts.push("");
+						subclassesListed = true;
+					} else if (subclassesListed) {
+						// Reference the earlier list
+						parts.push(`*See the available ${cls.subclassTitle} options listed at Level 3.*\n`);
+					}
+				} else {
+					// Handle regular feature
+					const featureData = this._findClassFeature(featureName, classData);
+					if (featureData) {
+						parts.push(...this._getFeatureDetailParts(featureData, MarkdownExportEngine.getClassFeatureNotePath(featureData)));
+					}
+				}
+			}
+		}
+
+		return parts.join("\n");
+	}
+
+	/**
+	 * A class/subclass feature's heading and text, or, when features are written as their own notes, an embed of its note
+	 */
+	_getFeatureDetailParts (feature, notePath) {
+		if (this.isFeatureNotes) return [`![[${notePath}]]\n`];
+
+		const parts = [`### ${feature.name}\n`];
+		if (feature.entries) parts.push(`${this._renderEntries(feature.entries)}\n`);
+		return parts;
+	}
+
+	/**
+	 * Format a class or subclass feature, written as its own note
+	 */
+	_formatClassFeature (feature, entryType, classData) {
+		const parts = [];
+
+		parts.push(`# ${feature.name}\n`);
+
+		const classLink = `[[classes/${feature.className} (${feature.classSource})|${feature.className}]]`;
+		if (entryType === "subclassFeature") {
+			const subclass = (classData?.subclass || [])
+				.find(sc => sc.shortName === feature.subclassShortName && sc.source === feature.subclassSource && sc.className === feature.className && sc.classSource === feature.classSource);
+			const subclassLink = subclass ? `[[subclasses/${subclass.name} (${subclass.source})|${subclass.name}]]` : feature.subclassShortName;
+			parts.push(`*Level ${feature.level} ${classLink} (${subclassLink}) feature*\n`);
+		} else {
+			parts.push(`*Level ${feature.level} ${classLink} feature*\n`);
+		}
+
+		if (feature.entries) {
+			parts.push(`${this._renderEntries(feature.entries)}\n`);
+		}
+
+		// Source
+		if (feature.source) {
+			const sourceFull = Parser.sourceJsonToFull(feature.source);
+			const pageStr = feature.page ? `, page ${feature.page}` : "";
+			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+		}
+
+		return parts.join("\n");
+	}
+
+	/**
+	 * Find a class feature by its reference string
+	 */
+	_findClassFeature(featureName, classData) {
+		if (!classData?.classFeature) return null;
+
+		// Parse the feature reference - handles two formats:
+		// PHB format: "Feature Name|ClassName||Level|Source"
+		// XPHB format: "Feature Name|ClassName|Source|Level"
+		const parts = featureName.split("|");
+		const name = parts[0];
+		const className = parts[1];
+
+		// Determine format by checking if part 2 is empty (PHB) or has content (XPHB)
+		let level, source;
+		if (parts[2] === "") {
+			// PHB format
+			level = parts[3] ? parseInt(parts[3]) : null;
+			source = parts[4];
+		} else {
+			// XPHB format
+			source = parts[2];
+			level = parts[3] ? parseInt(parts[3]) : null;
+		}
+
+		return classData.classFeature.find(f =>
+			f.name === name &&
+			f.className === className &&
+			(!level || f.level === level) &&
+			(!source || f.source === source)
+		);
+	}
+
+	/**
+	 * Format subclass content
+	 */
+	_formatSubclass(subclass, classData) {
+		const parts = [];
+
+		// Title
+		parts.push(`# ${subclass.name}\n`);
+
+		// Class info
+		if (subclass.className) {
+			parts.push(`**Class:** [[classes/${subclass.className} (${subclass.classSource})|${subclass.className}]]\n`);
+		}
+
+		// Subclass features table (if has features at multiple levels)
+		if (subclass.subclassFeatures && subclass.subclassFeatures.length > 1) {
+			parts.push(this._renderSubclassTable(subclass) + "\n");
+		}
+
+		// Detailed Subclass Features
+		if (subclass.subclassFeatures && subclass.subclassFeatures.length && classData?.subclassFeature) {
+			parts.push(this._renderSubclassFeatureDetails(subclass, classData) + "\n");
+		}
+
+		// Source
+		if (subclass.source) {
+			const sourceFull = Parser.sourceJsonToFull(subclass.source);
+			const pageStr = subclass.page ? `, page ${subclass.page}` : "";
+			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+		}
+
+		return parts.join("\n");
+	}
+
+	/**
+	 * Render subclass features table
+	 */
+	_renderSubclassTable(subclass) {
+		const parts = [`## ${subclass.name} Features\n`];
+
+		// Build table
+		parts.push(`| Level | Feature |`);
+		parts.push(`| --- | --- |`);
+
+		// Add rows for each subclass feature
+		for (const feature of subclass.subclassFeatures) {
+			const featureName = typeof feature === "string" ? feature : feature.subclassFeature;
+			const match = featureName.match(/\|(\d+)(?:\||$)/);
+			const level = match ? parseInt(match[1]) : null;
+
+			if (level) {
+				const displayName = featureName.split("|")[0];
+				const linkPath = this.isFeatureNotes
+					? MarkdownExportEngine.getSubclassFeatureNotePath(DataUtil.class.unpackUidSubclassFeature(featureName))
+					: `#${displayName}`;
+				parts.push(`| ${level} | [[${linkPath}|${displayName}]] |`);
+			}
+		}
+
+		parts.push("");
+		return parts.join("\n");
+	}
+
+	/**
+	 * Render detailed subclass feature descriptions (organized by level)
+	 */
+	_renderSubclassFeatureDetails(subclass, classData) {
+		const parts = [];
+
+		// Group features by level
+		const featuresByLevel = {};
+		for (const feature of subclass.subclassFeatures) {
+			const featureName = typeof feature === "string" ? feature : feature.subclassFeature;
+			const match = featureName.match(/\|(\d+)(?:\||$)/);
+			const level = match ? parseInt(match[1]) : null;
+
+			if (level) {
+				if (!featuresByLevel[level]) featuresByLevel[level] = [];
+				featuresByLevel[level].push(featureName);
+			}
+		}
+
+		// Render each level's features
+		for (const level of Object.keys(featuresByLevel).sort((a, b) => parseInt(a) - parseInt(b))) {
+			parts.push(`## Level ${level}\n`);
+
+			for (const featureName of featuresByLevel[level]) {
+				const featureData = this._findSubclassFeature(featureName, classData);
+
+				if (featureData) {
+					parts.push(...this._getFeatureDetailParts(featureData, MarkdownExportEngine.getSubclassFeatureNotePath(featureData)));
+				}
+			}
+		}
+
+		return parts.join("\n");
+	}
+
+	/**
+	 * Find a subclass feature by its reference string
+	 */
+	_findSubclassFeature(featureName, classData) {
+		if (!classData?.subclassFeature) return null;
+
+		// Parse the feature reference - handles multiple formats:
+		// PHB format (6 parts): "Feature Name|ClassName||SubclassName||Level|Source"
+		// XPHB format (6 parts): "Feature Name|ClassName|Source|SubclassName|Source|Level"
+		// Extended format (7 parts): "Feature Name|ClassName|ClassSource|SubclassName|SubclassSource|Level|Source"
+		const parts = featureName.split("|");
+		const name = parts[0];
+		const className = parts[1];
+
+		let subclassShortName, level, source, classSource, subclassSource;
+
+		if (parts.length === 7) {
+			// Extended format with both classSource and subclassSource
+			classSource = parts[2];
+			subclassShortName = parts[3];
+			subclassSource = parts[4];
+			level = parts[5] ? parseInt(parts[5]) : null;
+			source = parts[6];
+		} else if (parts[2] === "") {
+			// PHB format
+			subclassShortName = parts[3];
+			level = parts[5] ? parseInt(parts[5]) : null;
+			source = parts[6];
+		} else {
+			// XPHB format
+			source = parts[2];
+			subclassShortName = parts[3];
+			level = parts[5] ? parseInt(parts[5]) : null;
+		}
+
+		return classData.subclassFeature.find(f =>
+			f.name === name &&
+			f.className === className &&
+			f.subclassShortName === subclassShortName &&
+			(!level || f.level === level) &&
+			(!source || f.source === source) &&
+			(!classSource || f.classSource === classSource) &&
+			(!subclassSource || f.subclassSource === subclassSource)
+		);
+	}
+
+	/**
+	 * Format feat content
+	 */
+	_formatFeat(entry) {
+		const parts = [];
+
+		// Title
+		parts.push(`# ${entry.name}\n`);
+
+		// Initialize full entries (required for feats)
+		// First try the feat-specific initialization
+		Renderer.feat.initFullEntries(entry);
+
+		// If that didn't work, use the generic initializer
+		if (!entry._fullEntries && entry.entries) {
+			Renderer.utils.initFullEntries_(entry);
+		}
+
+		// Description - use _fullEntries if available
+		const entriesToRender = entry._fullEntries || entry.entries;
+		if (entriesToRender) {
+			parts.push(this._renderEntries(entriesToRender));
+		}
+
+		// Source
+		if (entry.source) {
+			const sourceFull = Parser.sourceJsonToFull(entry.source);
+			const pageStr = entry.page ? `, page ${entry.page}` : "";
+			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+		}
+
+		return parts.join("\n");
+	}
+
+	/**
+	 * Format subrace content
+	 */
+	_formatSubrace(entry) {
+		const parts = [];
+
+		// Title - include base race name
+		const fullName = entry.raceName ? `${entry.name} ${entry.raceName}` : entry.name;
+		parts.push(`# ${fullName}\n`);
+
+		// Description
+		if (entry.entries) {
+			parts.push(this._renderEntries(entry.entries));
+		}
+
+		// Source
+		if (entry.source) {
+			const sourceFull = Parser.sourceJsonToFull(entry.source);
+			const pageStr = entry.page ? `, page ${entry.page}` : "";
+			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+		}
+
+		return parts.join("\n");
+	}
+
+	/**
+	 * Format language content
+	 */
+	_formatLanguage(entry) {
+		const parts = [];
+
+		// Title
+		parts.push(`# ${entry.name}\n`);
+
+		// Type
+		if (entry.type) {
+			const typeMap = {
+				'standard': 'Standard Language',
+				'exotic': 'Exotic Language',
+				'rare': 'Rare Language',
+				'secret': 'Secret Language'
+			};
+			const typeStr = typeMap[entry.type] || entry.type;
+			parts.push(`*${typeStr}*\n`);
+		}
+
+		// Origin
+		if (entry.origin) {
+			parts.push(`**Origin:** ${entry.origin}\n`);
+		}
+
+		// Script
+		if (entry.script) {
+			parts.push(`**Script:** ${entry.script}\n`);
+		}
+
+		// Typical Speakers
+		if (entry.typicalSpeakers && entry.typicalSpeakers.length > 0) {
+			const speakers = entry.typicalSpeakers.map(s => this._renderString(s)).join(", ");
+			parts.push(`**Typical Speakers:** ${speakers}\n`);
+		}
+
+		// Description (if exists)
+		if (entry.entries) {
+			parts.push(this._renderEntries(entry.entries));
+		}
+
+		// Source
+		if (entry.source) {
+			const sourceFull = Parser.sourceJsonToFull(entry.source);
+			const pageStr = entry.page ? `, page ${entry.page}` : "";
+			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+		}
+
+		return parts.join("\n");
+	}
+
+	/**
+	 * Format deity content
+	 */
+	_formatDeity(entry) {
+		const parts = [];
+
+		// Title
+		parts.push(`# ${entry.name}\n`);
+
+		// Title/epithet
+		if (entry.title) {
+			parts.push(`*${entry.title}*\n`);
+		}
+
+		// Alignment
+		if (entry.alignment) {
+			const alignmentStr = Parser.alignmentListToFull(entry.alignment);
+			parts.push(`**Alignment:** ${alignmentStr}\n`);
+		}
+
+		// Domains
+		if (entry.domains && entry.domains.length > 0) {
+			parts.push(`**Domains:** ${entry.domains.join(", ")}\n`);
+		}
+
+		// Pantheon
+		if (entry.pantheon) {
+			parts.push(`**Pantheon:** ${entry.pantheon}\n`);
+		}
+
+		// Province
+		if (entry.province) {
+			parts.push(`**Province:** ${entry.province}\n`);
+		}
+
+		// Symbol
+		if (entry.symbol) {
+			parts.push(`**Symbol:** ${entry.symbol}\n`);
+		}
+
+		// Description
+		if (entry.entries) {
+			parts.push("\n" + this._renderEntries(entry.entries));
+		}
+
+		// Source
+		if (entry.source) {
+			const sourceFull = Parser.sourceJsonToFull(entry.source);
+			const pageStr = entry.page ? `, page ${entry.page}` : "";
+			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+		}
+
+		return parts.join("\n");
+	}
+
+	/**
+	 * Format object content
+	 */
+	_formatObject(entry) {
+		const parts = [];
+
+		// Title
+		parts.push(`# ${entry.name}\n`);
+
+		// Size and Type
+		const typeInfo = [];
+		if (entry.size) {
+			const sizeMap = {T: "Tiny", S: "Small", M: "Medium", L: "Large", H: "Huge", G: "Gargantuan"};
+			const sizes = Array.isArray(entry.size) ? entry.size : [entry.size];
+			typeInfo.push(sizes.map(s => sizeMap[s] || s).join(" or "));
+		}
+		if (entry.objectType) {
+			const typeMap = {
+				'SW': 'siege weapon',
+				'SPC': 'space object',
+				'VEH': 'vehicle'
+			};
+			typeInfo.push(typeMap[entry.objectType] || entry.objectType);
+		}
+		if (typeInfo.length) {
+			parts.push(`*${typeInfo.join(" ")}*\n`);
+		}
+
+		// Stats
+		const stats = [];
+		if (entry.ac !== undefined) {
+			const ac = typeof entry.ac === 'object' ? entry.ac.ac : entry.ac;
+			stats.push(`**Armor Class** ${ac}`);
+		}
+		if (entry.hp !== undefined) {
+			const hp = typeof entry.hp === 'object' ? entry.hp.hp : entry.hp;
+			stats.push(`**Hit Points** ${hp}`);
+		}
+		if (stats.length) {
+			parts.push(stats.join("  \n") + "\n");
+		}
+
+		// Immunities
+		if (entry.immune && entry.immune.length > 0) {
+			parts.push(`**Damage Immunities** ${entry.immune.join(", ")}\n`);
+		}
+
+		// Description
+		if (entry.entries) {
+			parts.push(this._renderEntries(entry.entries) + "\n");
+		}
+
+		// Actions
+		if (entry.actionEntries && entry.actionEntries.length > 0) {
+			parts.push("## Actions\n");
+			for (const action of entry.actionEntries) {
+				if (action.name) {
+					parts.push(`### ${this._renderString(action.name)}\n`);
+				}
+				if (action.entries) {
+					parts.push(this._renderEntries(action.entries) + "\n");
+				}
+			}
+		}
+
+		// Source
+		if (entry.source) {
+			const sourceFull = Parser.sourceJsonToFull(entry.source);
+			const pageStr = entry.page ? `, page ${entry.page}` : "";
+			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+		}
+
+		return parts.join("\n");
+	}
+
+	/**
+	 * Format psionic entry content
+	 */
+	_formatPsionic(entry) {
+		const parts = [];
+
+		// Title
+		parts.push(`# ${entry.name}\n`);
+
+		// Type and Order (for disciplines)
+		const typeInfo = [];
+		if (entry.type) {
+			const typeMap = {'D': 'Psionic Discipline', 'T': 'Psionic Talent'};
+			typeInfo.push(typeMap[entry.type] || entry.type);
+		}
+		if (entry.order) {
+			typeInfo.push(`(${entry.order})`);
+		}
+		if (typeInfo.length) {
+			parts.push(`*${typeInfo.join(" ")}*\n`);
+		}
+
+		// Description
+		if (entry.entries) {
+			parts.push(this._renderEntries(entry.entries) + "\n");
+		}
+
+		// Psychic Focus (only for disciplines)
+		if (entry.focus) {
+			parts.push(`## Psychic Focus\n`);
+			parts.push(`${this._renderString(entry.focus)}\n`);
+		}
+
+		// Modes (only for disciplines)
+		if (entry.modes && entry.modes.length > 0) {
+			parts.push(`## Discipline Modes\n`);
+			for (const mode of entry.modes) {
+				if (mode.name) {
+					// Mode name with cost
+					let modeName = mode.name;
+					if (mode.cost) {
+						const costStr = mode.cost.min === mode.cost.max
+							? `${mode.cost.min} psi`
+							: `${mode.cost.min}-${mode.cost.max} psi`;
+						modeName += ` (${costStr})`;
+					}
+					parts.push(`### ${this._renderString(modeName)}\n`);
+				}
+
+				// Concentration
+				if (mode.concentration) {
+					const duration = mode.concentration.duration;
+					const unit = mode.concentration.unit;
+					parts.push(`*Concentration, up to ${duration} ${unit}*\n`);
+				}
+
+				// Mode description
+				if (mode.entries) {
+					parts.push(this._renderEntries(mode.entries) + "\n");
+				}
+			}
+		}
+
+		// Source
+		if (entry.source) {
+			const sourceFull = Parser.sourceJsonToFull(entry.source);
+			const pageStr = entry.page ? `, page ${entry.page}` : "";
+			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+		}
+
+		return parts.join("\n");
+	}
+
+	/**
+	 * Format reward entry content
+	 */
+	_formatReward(entry) {
+		const parts = [];
+
+		// Title
+		parts.push(`# ${entry.name}\n`);
+
+		// Reward type
+		if (entry.type) {
+			parts.push(`*${entry.type}*\n`);
+		}
+
+		// Description
+		if (entry.entries) {
+			parts.push(this._renderEntries(entry.entries) + "\n");
+		}
+
+		// Source
+		if (entry.source) {
+			const sourceFull = Parser.sourceJsonToFull(entry.source);
+			const pageStr = entry.page ? `, page ${entry.page}` : "";
+			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+		}
+
+		return parts.join("\n");
+	}
+
+	/**
+	 * Format bastion facility content, as laid out on the site's bastions page
+	 */
+	_formatFacility (entry) {
+		const parts = [];
+
+		// Title
+		parts.push(`# ${entry.name}\n`);
+
+		const {entryLevel, entrySpace, entryHirelings, entryOrders} = Renderer.facility.getFacilityRenderableEntriesMeta(entry);
+		if (entryLevel) {
+			parts.push(`${this._renderString(entryLevel)}\n`);
+		}
+
+		// Prerequisite, space, hirelings and orders
+		const stats = [];
+		if (entry.prerequisite) {
+			stats.push(`**Prerequisite:** ${Renderer.utils.prerequisite.getHtml(entry.prerequisite, {isTextOnly: true, isSkipPrefix: true})}`);
+		} else if (entry.facilityType !== "basic") {
+			stats.push(`**Prerequisite:** None`);
+		}
+		if (entrySpace) stats.push(`**Space:** ${this._renderString(entrySpace)}`);
+		if (entryHirelings) stats.push(`**Hirelings:** ${this._renderString(entryHirelings)}`);
+		if (entryOrders) stats.push(`**Order${entry.orders.length !== 1 ? "s" : ""}:** ${this._renderString(entryOrders)}`);
+		if (stats.length) {
+			parts.push(`${stats.join("  \n")}\n`);
+		}
+
+		// Description
+		if (entry.entries) {
+			parts.push(`${this._renderEntries(entry.entries)}\n`);
+		}
+
+		// Source
+		if (entry.source) {
+			const sourceFull = Parser.sourceJsonToFull(entry.source);
+			const pageStr = entry.page ? `, page ${entry.page}` : "";
+			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+		}
+
+		return parts.join("\n");
+	}
+
+	/**
+	 * Format recipe content, as laid out on the site's recipes page
+	 */
+	_formatRecipe (entry) {
+		const parts = [];
+
+		// Title
+		parts.push(`# ${entry.name}\n`);
+
+		if (entry.type) {
+			parts.push(`*${entry.type}*\n`);
+		}
+
+		Renderer.recipe.populateFullIngredients(entry);
+		const entriesMeta = Renderer.recipe.getRecipeRenderableEntriesMeta(entry);
+
+		// Time, yield and servings
+		const stats = [
+			...(entriesMeta.entryMetasTime || []).map(({entryName, entryContent}) => `${entryName} ${entryContent}`),
+			entriesMeta.entryMakes,
+			entriesMeta.entryServes,
+		]
+			.filter(Boolean)
+			.map(it => this._renderString(it));
+		if (stats.length) {
+			parts.push(`${stats.join("  \n")}\n`);
+		}
+
+		parts.push(`## Ingredients\n`);
+		parts.push(`${this._renderEntries(entriesMeta.entryIngredients.entries)}\n`);
+
+		if (entriesMeta.entryEquipment) {
+			parts.push(`## Equipment\n`);
+			parts.push(`${this._renderEntries(entriesMeta.entryEquipment.entries)}\n`);
+		}
+
+		if (entriesMeta.entryCooksNotes) {
+			parts.push(`## Cook's Notes\n`);
+			parts.push(`${this._renderEntries(entriesMeta.entryCooksNotes.entries)}\n`);
+		}
+
+		parts.push(`## Instructions\n`);
+		parts.push(`${this._renderEntries(entriesMeta.entryInstructions.entries)}\n`);
+
+		// Source
+		if (entry.source) {
+			const sourceFull = Parser.sourceJsonToFull(entry.source);
+			const pageStr = entry.page ? `, page ${entry.page}` : "";
+			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+		}
+
+		return parts.join("\n");
+	}
+
+	/**
+	 * Format deck content, with a numbered list of its cards (each of which has its own note)
+	 */
+	_formatDeck (entry) {
+		const parts = [];
+
+		// Title
+		parts.push(`# ${entry.name}\n`);
+
+		// Description
+		if (entry.entries) {
+			parts.push(`${this._renderEntries(entry.entries)}\n`);
+		}
+
+		if (entry.cards?.length) {
+			parts.push(`## Cards\n`);
+			parts.push(`${entry.cards
+				.map((card, i) => {
+					const {uid, count = 1} = typeof card === "string" ? {uid: card} : card;
+					return `${i + 1}. ${this._renderString(`{@card ${uid}}`)}${count !== 1 ? ` (×${count})` : ""}`;
+				})
+				.join("\n")}\n`);
+		}
+
+		// Left out if the image is unavailable
+		const back = entry.back ? this._renderEntries([entry.back]) : null;
+		if (back) {
+			parts.push(`## Card Back\n`);
+			parts.push(`${back}\n`);
+		}
+
+		// Source
+		if (entry.source) {
+			const sourceFull = Parser.sourceJsonToFull(entry.source);
+			const pageStr = entry.page ? `, page ${entry.page}` : "";
+			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+		}
+
+		return parts.join("\n");
+	}
+
+	/**
+	 * Format card content; the card is linked to its deck's note, which lists the deck's cards
+	 */
+	_formatCard (entry, {deckIndex = null} = {}) {
+		const parts = [];
+
+		// Title
+		parts.push(`# ${entry.name}\n`);
+
+		const deckLink = this._renderString(`{@deck ${entry.set}|${entry.source}}`);
+		parts.push(`*${deckIndex != null ? `Card ${deckIndex} of ` : "Card from "}${deckLink}*\n`);
+
+		const face = entry.face ? this._renderEntries([entry.face]) : null;
+		if (face) {
+			parts.push(`${face}\n`);
+		}
+
+		// Description, including the card's suit and value, and art credits
+		const fullEntries = Renderer.card.getFullEntries(entry);
+		if (fullEntries.length) {
+			parts.push(`${this._renderEntries(fullEntries)}\n`);
+		}
+
+		// Source
+		if (entry.source) {
+			const sourceFull = Parser.sourceJsonToFull(entry.source);
+			const pageStr = entry.page ? `, page ${entry.page}` : "";
+			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+		}
+
+		return parts.join("\n");
+	}
+
+	/**
+	 * Format character creation option content
+	 */
+	_formatCharoption (entry) {
+		const parts = [];
+
+		// Title
+		parts.push(`# ${entry.name}\n`);
+
+		if (entry.optionType?.length) {
+			parts.push(`*${entry.optionType.map(it => Parser.charCreationOptionTypeToFull(it)).join(", ")}*\n`);
+		}
+
+		if (entry.prerequisite) {
+			parts.push(`**Prerequisite:** ${Renderer.utils.prerequisite.getHtml(entry.prerequisite, {isTextOnly: true, isSkipPrefix: true})}\n`);
+		}
+
+		// Notes on the option's type (e.g. where character secrets are explained)
+		const optionTypeMeta = Renderer.charoption.getCharoptionRenderableEntriesMeta(entry);
+		if (optionTypeMeta) {
+			parts.push(`${this._renderEntries([optionTypeMeta.entryOptionType])}\n`);
+		}
+
+		// Description
+		if (entry.entries) {
+			parts.push(`${this._renderEntries(entry.entries)}\n`);
+		}
+
+		// Source
+		if (entry.source) {
+			const sourceFull = Parser.sourceJsonToFull(entry.source);
+			const pageStr = entry.page ? `, page ${entry.page}` : "";
+			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+		}
+
+		return parts.join("\n");
+	}
+
+	/**
+	 * Format a table, from `tables.json` or the tables collected from books and adventures, with a block ID, so the Dice
+	 * Roller plugin can roll on it (`dice: [[Table^table]]`)
+	 */
+	_formatTable (entry, adventureBookIndex) {
+		const parts = [`# ${entry.name}\n`];
+
+		if (entry.caption && entry.caption !== entry.name) parts.push(`*${entry.caption}*\n`);
+
+		const ptFrom = this._getTableFrom(entry, adventureBookIndex);
+		if (ptFrom) parts.push(`${ptFrom}\n`);
+
+		parts.push(...this._getTableParts(entry, {blockId: "table"}));
+
+		if (entry.source) {
+			const sourceFull = Parser.sourceJsonToFull(entry.source);
+			const pageStr = entry.page ? `, page ${entry.page}` : "";
+			parts.push(`---\n**Source:** *${sourceFull}*${pageStr}`);
+		}
+
+		return parts.join("\n");
+	}
+
+	/**
+	 * Format a group of tables (e.g. one per background), each with its own block ID
+	 */
+	_formatTableGroup (entry, adventureBookIndex) {
+		const parts = [`# ${entry.name}\n`];
+
+		const ptFrom = this._getTableFrom(entry, adventureBookIndex);
+		if (ptFrom) parts.push(`${ptFrom}\n`);
+
+		(entry.tables || []).forEach((table, ix) => {
+			if (table.caption) parts.push(`## ${table.caption}\n`);
+			parts.push(...this._getTableParts({...table, caption: null}, {blockId: `table-${ix + 1}`, entry}));
+		});
+
+		if (entry.source) {
+			const sourceFull = Parser.sourceJsonToFull(entry.source);
+			const pageStr = entry.page ? `, page ${entry.page}` : "";
+			parts.push(`---\n**Source:** *${sourceFull}*${pageStr}`);
+		}
+
+		return parts.join("\n");
+	}
+
+	/**
+	 * Tables collected from books and adventures (see "node/generate-tables-data.js") know the chapter they are from
+	 */
+	_getTableFrom (entry, adventureBookIndex) {
+		if (!entry.chapter?.name) return null;
+
+		const prop = ["book", "adventure"].find(prop => adventureBookIndex?.getMeta(prop, entry.source));
+		const chapterLink = prop ? adventureBookIndex.getWikilink(prop, entry.source, {chapterIx: entry.chapter.index, displayText: entry.chapter.name}) : null;
+		return `*From ${chapterLink || entry.chapter.name}*`;
+	}
+
+	/**
+	 * Render a table (without its caption, which is the note's or section's title), followed by its block ID, and, with
+	 * the Dice Roller option, an inline roll on the table
+	 */
+	_getTableParts (table, {blockId, entry = table}) {
+		// Footnotes are written after the block ID, as otherwise they would be read as a row of the table
+		const {footnotes, outro, ...tableRollable} = MarkdownFormatter.getDiceRollerTable(table);
+		const parts = [this._renderEntries([{...tableRollable, type: "table", caption: null}]), "", `^${blockId}\n`];
+		if (footnotes?.length || outro?.length) parts.push(`${this._renderEntries([...footnotes || [], ...outro || []])}\n`);
+
+		// Tables without a roll column (e.g. "Check Total") are looked up rather than rolled on
+		if (this.renderer.isDiceRoller() && entry.name && entry.source && Renderer.table.getAutoConvertedRollMode(table) !== RollerUtil.ROLL_COL_NONE) {
+			const notePath = `${MarkdownExportEngine.RESOURCE_TYPE_MAP.table.dir}/${MarkdownExportEngine.sanitizeFilename(`${entry.name} (${entry.source})`)}`;
+			parts.push(`**Roll:** \`dice: [[${notePath}^${blockId}]]\`\n`);
+		}
+
+		return parts;
+	}
+
+	/**
+	 * Get a copy of a table whose first column is rolled on (e.g. "d100"), with the roll column written as plain numbers
+	 * and ranges which the Dice Roller plugin can look up a roll in: "96-00" as "96-100", and open ranges (e.g. "9 or
+	 * higher", "21+") as ranges up to the die's maximum, where it is known
+	 */
+	static getDiceRollerTable (table) {
+		const headerRowMetas = Renderer.table.getHeaderRowMetas(table);
+		const rollMode = Renderer.table.getAutoConvertedRollMode(table, {headerRowMetas});
+		if (rollMode === RollerUtil.ROLL_COL_NONE) return table;
+
+		// Variable roll columns (e.g. "d20 + your level") can total more than the dice
+		const [rollMin, rollMax] = rollMode === RollerUtil.ROLL_COL_STANDARD ? MarkdownFormatter._getRollRange(headerRowMetas.at(-1)[0]) : [null, null];
+		const getText = (val, valDisplay, valInfinite) => {
+			if (Math.abs(val) === Renderer.dice.POS_INFINITE) val = valInfinite ?? valDisplay;
+			return val === 0 ? 100 : val;
+		};
+
+		const rows = table.rows.map((row, ixRow) => {
+			const cells = row.type === "row" ? row.row : row;
+			const [cellRoll, ...cellsOther] = Renderer.getRollableRow(
+				cells,
+				{
+					isForceInfiniteResults: rollMode === RollerUtil.ROLL_COL_VARIABLE,
+					isFirstRow: ixRow === 0,
+					isLastRow: ixRow === table.rows.length - 1,
+				},
+			);
+			if (!cellRoll?.roll) return row;
+
+			const {exact, min, max, displayMin, displayMax, pad} = cellRoll.roll;
+			const [lo, hi] = [
+				getText(exact ?? min, displayMin, rollMin),
+				getText(exact ?? max, displayMax, rollMax),
+			]
+				.map(val => val != null && pad ? StrUtil.padNumber(val, 2, "0") : val);
+
+			let text;
+			if (lo == null) text = `${hi} or lower`;
+			else if (hi == null) text = `${lo}+`;
+			else text = lo === hi ? `${lo}` : `${lo}-${hi}`;
+
+			return row.type === "row" ? {...row, row: [text, ...cellsOther]} : [text, ...cellsOther];
+		});
+
+		return {...table, rows};
+	}
+
+	/**
+	 * Get the lowest and highest roll of a roll column's dice (e.g. "d100", "{@dice 2d6}"), if simple enough to work out
+	 */
+	static _getRollRange (cellHeader) {
+		const label = Renderer.stripTags(`${cellHeader?.type === "cellHeader" ? cellHeader.entry : cellHeader}`)
+			.replace(/\s+/g, "")
+			// e.g. the footnote marker in "d12*"
+			.replace(/\W+$/, "");
+		const m = /^(\d*)d(\d+)$/i.exec(label);
+		if (!m) return [null, null];
+		const count = Number(m[1] || 1);
+		return [count, count * Number(m[2])];
+	}
+
+	/**
+	 * Format vehicle entry content
+	 */
+	_formatVehicle(entry) {
+		const parts = [];
+
+		// Title
+		parts.push(`# ${entry.name}\n`);
+
+		// Vehicle type and size
+		const typeInfo = [];
+		if (entry.vehicleType) {
+			const vehicleTypeMap = {
+				'SHIP': 'Ship',
+				'SPELLJAMMER': 'Spelljammer',
+				'INFWAR': 'Infernal War Machine',
+				'CREATURE': 'Creature',
+				'OBJECT': 'Object',
+				'ELEMENTAL_AIRSHIP': 'Elemental Airship'
+			};
+			typeInfo.push(vehicleTypeMap[entry.vehicleType] || entry.vehicleType);
+		}
+		if (entry.size) {
+			const sizeMap = {T: "Tiny", S: "Small", M: "Medium", L: "Large", H: "Huge", G: "Gargantuan"};
+			const sizes = Array.isArray(entry.size) ? entry.size : [entry.size];
+			typeInfo.push(sizes.map(s => sizeMap[s] || s).join(" or "));
+		}
+		if (typeInfo.length) {
+			parts.push(`*${typeInfo.join(", ")}*\n`);
+		}
+
+		// Dimensions and pace (for ships)
+		const shipInfo = [];
+		if (entry.dimensions) {
+			shipInfo.push(`**Dimensions:** ${entry.dimensions.join(" × ")}`);
+		}
+		if (entry.pace !== undefined) {
+			shipInfo.push(`**Travel Pace:** ${entry.pace} miles per hour`);
+		}
+		// Crew capacity (capCreature for infernal war machines, capCrew for ships)
+		if (entry.capCreature !== undefined) {
+			shipInfo.push(`**Crew Capacity:** ${entry.capCreature}`);
+		}
+		// Cargo capacity - tons for ships, pounds for infernal war machines
+		if (entry.capCargo !== undefined) {
+			const isShip = entry.vehicleType === 'SHIP' || entry.vehicleType === 'SPELLJAMMER';
+			const unit = isShip ? 'tons' : 'lb.';
+			shipInfo.push(`**Cargo Capacity:** ${entry.capCargo} ${unit}`);
+		}
+		if (shipInfo.length) {
+			parts.push(shipInfo.join("  \n") + "\n");
+		}
+
+		// Ability scores (for ships/creatures)
+		if (entry.str !== undefined || entry.dex !== undefined || entry.con !== undefined) {
+			const abilities = [];
+			if (entry.str !== undefined) abilities.push(`**STR** ${entry.str}`);
+			if (entry.dex !== undefined) abilities.push(`**DEX** ${entry.dex}`);
+			if (entry.con !== undefined) abilities.push(`**CON** ${entry.con}`);
+			if (entry.int !== undefined) abilities.push(`**INT** ${entry.int}`);
+			if (entry.wis !== undefined) abilities.push(`**WIS** ${entry.wis}`);
+			if (entry.cha !== undefined) abilities.push(`**CHA** ${entry.cha}`);
+			if (abilities.length) {
+				parts.push(abilities.join(", ") + "\n");
+			}
+		}
+
+		// Condition immunities
+		if (entry.conditionImmune && entry.conditionImmune.length > 0) {
+			parts.push(`**Condition Immunities** ${entry.conditionImmune.join(", ")}\n`);
+		}
+
+		// Description from entries
+		if (entry.entries) {
+			parts.push(this._renderEntries(entry.entries) + "\n");
+		}
+
+		// Hull (for ships)
+		if (entry.hull) {
+			parts.push(`## Hull\n`);
+			const hullStats = [];
+			if (entry.hull.ac !== undefined) hullStats.push(`**Armor Class:** ${entry.hull.ac}`);
+			if (entry.hull.hp !== undefined) hullStats.push(`**Hit Points:** ${entry.hull.hp}`);
+			if (entry.hull.dt !== undefined) hullStats.push(`**Damage Threshold:** ${entry.hull.dt}`);
+			parts.push(hullStats.join("  \n") + "\n");
+		}
+
+		// Control (for ships - helm)
+		if (entry.control && entry.control.length > 0) {
+			parts.push(`## Control\n`);
+			for (const ctrl of entry.control) {
+				if (ctrl.name) {
+					parts.push(`### ${this._renderString(ctrl.name)}\n`);
+				}
+				const ctrlStats = [];
+				if (ctrl.ac !== undefined) ctrlStats.push(`**Armor Class:** ${ctrl.ac}`);
+				if (ctrl.hp !== undefined) ctrlStats.push(`**Hit Points:** ${ctrl.hp}`);
+				if (ctrlStats.length) {
+					parts.push(ctrlStats.join("  \n") + "\n");
+				}
+				if (ctrl.entries) {
+					parts.push(this._renderEntries(ctrl.entries) + "\n");
+				}
+			}
+		}
+
+		// Movement (for ships - oars, sails)
+		if (entry.movement && entry.movement.length > 0) {
+			parts.push(`## Movement\n`);
+			for (const move of entry.movement) {
+				if (move.name) {
+					parts.push(`### ${this._renderString(move.name)}\n`);
+				}
+				const moveStats = [];
+				if (move.ac !== undefined) moveStats.push(`**Armor Class:** ${move.ac}`);
+				if (move.hp !== undefined) moveStats.push(`**Hit Points:** ${move.hp}`);
+				if (move.hpNote) moveStats.push(`(${move.hpNote})`);
+				if (moveStats.length) {
+					parts.push(moveStats.join(" ") + "\n");
+				}
+				if (move.speed) {
+					for (const spd of move.speed) {
+						if (spd.entries) {
+							parts.push(`**Speed (${spd.mode}):** ${spd.entries.join(", ")}\n`);
+						}
+					}
+				}
+				if (move.entries) {
+					parts.push(this._renderEntries(move.entries) + "\n");
+				}
+			}
+		}
+
+		// Weapons (for ships - ballistas, mangonels, naval ram)
+		if (entry.weapon && entry.weapon.length > 0) {
+			parts.push(`## Weapons\n`);
+			for (const weapon of entry.weapon) {
+				if (weapon.name) {
+					let weaponName = this._renderString(weapon.name);
+					if (weapon.count && weapon.count > 1) {
+						weaponName = `${weapon.count} ${weaponName}`;
+					}
+					parts.push(`### ${weaponName}\n`);
+				}
+				const weaponStats = [];
+				if (weapon.ac !== undefined) weaponStats.push(`**Armor Class:** ${weapon.ac}`);
+				if (weapon.hp !== undefined) weaponStats.push(`**Hit Points:** ${weapon.hp}`);
+				if (weapon.dt !== undefined) weaponStats.push(`**Damage Threshold:** ${weapon.dt}`);
+				if (weaponStats.length) {
+					parts.push(weaponStats.join("  \n") + "\n");
+				}
+				if (weapon.entries) {
+					parts.push(this._renderEntries(weapon.entries) + "\n");
+				}
+			}
+		}
+
+		// Actions
+		if (entry.action) {
+			parts.push(`## Actions\n`);
+			parts.push(this._renderEntries(entry.action) + "\n");
+		}
+
+		// Traits (for infernal war machines)
+		if (entry.trait && entry.trait.length > 0) {
+			parts.push(`## Traits\n`);
+			for (const trait of entry.trait) {
+				if (trait.name) {
+					parts.push(`### ${this._renderString(trait.name)}\n`);
+				}
+				if (trait.entries) {
+					parts.push(this._renderEntries(trait.entries) + "\n");
+				}
+			}
+		}
+
+		// Action Stations (for infernal war machines)
+		if (entry.actionStation && entry.actionStation.length > 0) {
+			parts.push(`## Action Stations\n`);
+			for (const station of entry.actionStation) {
+				if (station.name) {
+					parts.push(`### ${this._renderString(station.name)}\n`);
+				}
+				if (station.entries) {
+					parts.push(this._renderEntries(station.entries) + "\n");
+				}
+			}
+		}
+
+		// Source
+		if (entry.source) {
+			const sourceFull = Parser.sourceJsonToFull(entry.source);
+			const pageStr = entry.page ? `, page ${entry.page}` : "";
+			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+		}
+
+		return parts.join("\n");
+	}
+
+	/**
+	 * Format an adventure/book's table of contents, linking to each chapter note and its headers
+	 */
+	_formatAdventureBook (entry, prop, adventureBookIndex) {
+		const parts = [];
+
+		// Title
+		parts.push(`# ${entry.name}\n`);
+
+		const info = [];
+		if (entry.author) info.push(`**Author:** ${entry.author}`);
+		if (entry.published) info.push(`**Published:** ${entry.published}`);
+		if (entry.storyline) info.push(`**Storyline:** ${entry.storyline}`);
+		if (entry.level) {
+			const levelStr = entry.level.custom || `${entry.level.start}\u2013${entry.level.end}`;
+			info.push(`**Levels:** ${levelStr}`);
+		}
+		if (info.length) {
+			parts.push(`${info.join("  \n")}\n`);
+		}
+
+		// Contents
+		if (entry.contents?.length) {
+			parts.push("## Contents\n");
+
+			const lines = [];
+			entry.contents.forEach((chapter, chapterIx) => {
+				const ordinalText = AdventureBookIndex.getOrdinalText(chapter.ordinal);
+				const displayText = ordinalText ? `${ordinalText}: ${chapter.name}` : chapter.name;
+				lines.push(`- ${adventureBookIndex.getWikilink(prop, entry.id, {chapterIx, displayText})}`);
+
+				for (const header of chapter.headers || []) {
+					const headerText = header.header || header;
+					const indent = "  ".repeat((header.depth || 0) + 1);
+					lines.push(`${indent}- ${adventureBookIndex.getWikilink(prop, entry.id, {chapterIx, header: headerText, displayText: headerText})}`);
+				}
+			});
+			parts.push(`${lines.join("\n")}\n`);
+		}
+
+		// Source
+		if (entry.source) {
+			const sourceFull = Parser.sourceJsonToFull(entry.source);
+			parts.push(`\n---\n**Source:** *${sourceFull}*`);
+		}
+
+		return parts.join("\n");
+	}
+
+	/**
+	 * Format a class or subclass spell list as a complete note, with spells grouped by level and then school
+	 */
+	formatSpellList (spellList, frontmatter) {
+		const {className, classSource, subclassName, subclassSource, spells} = spellList;
+
+		const parts = [];
+		parts.push(`# ${frontmatter.name}\n`);
+		parts.push(subclassName
+			? `*${subclassName} (${className}) spell list, ${Parser.sourceJsonToFull(subclassSource)}*\n`
+			: `*${className} spell list, ${Parser.sourceJsonToFull(classSource)}*\n`);
+		parts.push(`*(C)* concentration, *(R)* ritual, *†* optional spell added to the list by another source\n`);
+
+		const byLevel = {};
+		for (const listSpell of spells) {
+			const school = Parser.spSchoolAbvToFull(listSpell.spell.school);
+			((byLevel[listSpell.spell.level] ||= {})[school] ||= []).push(listSpell);
+		}
+
+		for (const level of Object.keys(byLevel).map(Number).sort(SortUtil.ascSort)) {
+			parts.push(`## ${level === 0 ? "Cantrips" : `${Parser.spLevelToFull(level)} Level`}\n`);
+
+			for (const school of Object.keys(byLevel[level]).sort(SortUtil.ascSortLower)) {
+				parts.push(`### ${school}\n`);
+
+				const lines = byLevel[level][school]
+					.sort((a, b) => SortUtil.ascSortLower(a.spell.name, b.spell.name))
+					.map(({spell, notePath, variantSources}) => {
+						const markers = [
+							spell.duration?.some(dur => dur.concentration) ? "C" : null,
+							spell.meta?.ritual ? "R" : null,
+						].filter(Boolean);
+						const ptMarkers = markers.length ? ` *(${markers.join(", ")})*` : "";
+						const ptVariant = variantSources ? ` *† ${variantSources.join(", ")}*` : "";
+						return `- [[${notePath}|${spell.name}]]${ptMarkers}${ptVariant}`;
+					});
+				parts.push(`${lines.join("\n")}\n`);
+			}
+		}
+
+		return this._renderNote({entity: spellList, frontmatter, content: parts.join("\n")});
+	}
+
+	/**
+	 * Format an adventure/book chapter as a complete note.
+	 * Sections which were exported as their own notes are transcluded in place.
+	 */
+	formatAdventureBookChapter (chapter, frontmatter, {sectionNotePaths = {}} = {}) {
+		if (!Object.keys(sectionNotePaths).length) {
+			return this._renderNote({entity: chapter, frontmatter, content: this._renderChapterEntry(chapter)});
+		}
+
+		const parts = [`# ${Renderer.stripTags(chapter.name || frontmatter.chapter)}\n`];
+
+		// Render runs of inline entries between the transcluded sections
+		let stack = [];
+		const doFlush = () => {
+			if (!stack.length) return;
+			parts.push(`${this._renderEntries(stack)}\n`);
+			stack = [];
+		};
+		(chapter.entries || []).forEach((ent, ix) => {
+			if (sectionNotePaths[ix] == null) return stack.push(ent);
+			doFlush();
+			parts.push(`![[${sectionNotePaths[ix]}]]\n`);
+		});
+		doFlush();
+
+		return this._renderNote({entity: chapter, frontmatter, content: parts.join("\n")});
+	}
+
+	/**
+	 * Format a top-level section of an adventure/book chapter as a complete note
+	 */
+	formatAdventureBookSection (section, frontmatter) {
+		return this._renderNote({entity: section, frontmatter, content: this._renderChapterEntry(section)});
+	}
+
+	/**
+	 * Render a chapter (or section) so that its own name becomes the note's top-level heading
+	 */
+	_renderChapterEntry (entry) {
+		const textStack = [""];
+		this.renderer.recursiveRender(entry, textStack, {depth: -1});
+		return textStack[0].trim();
+	}
+
+	/**
+	 * Format generic entry content
+	 */
+	_formatGeneric(entry) {
+		const parts = [];
+
+		// Title
+		parts.push(`# ${entry.name}\n`);
+
+		// Description
+		if (entry.entries) {
+			parts.push(this._renderEntries(entry.entries));
+		}
+
+		// Source
+		if (entry.source) {
+			const sourceFull = Parser.sourceJsonToFull(entry.source);
+			const pageStr = entry.page ? `, page ${entry.page}` : "";
+			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+		}
+
+		return parts.join("\n");
+	}
+
+	/**
+	 * Render entry content using the markdown renderer
+	 */
+	_renderEntries(entries) {
+		const textStack = [""];
+		const meta = {depth: 0};
+		this.renderer.recursiveRender({entries}, textStack, meta);
+		return textStack[0].trim();
+	}
+
+	/**
+	 * Render a string that may contain tags like {@recharge 5}
+	 */
+	_renderString(str) {
+		if (!str) return "";
+		const textStack = [""];
+		this.renderer.recursiveRender(str, textStack, {depth: 0});
+		return textStack[0].trim();
+	}
+
+	/**
+	 * Get ordinal suffix for numbers
+	 */
+	_getOrdinalSuffix(n) {
+		const s = ["th", "st", "nd", "rd"];
+		const v = n % 100;
+		return s[(v - 20) % 10] || s[v] || s[0];
+	}
+
+	/**
+	 * Look up legendary group data for a monster
+	 */
+	_getLegendaryGroup(legendaryGroupRef) {
+		if (!legendaryGroupRef || !this.legendaryGroupMap) {
+			return null;
+		}
+		const key = `${legendaryGroupRef.name}|${legendaryGroupRef.source}`.toLowerCase();
+		return this.legendaryGroupMap.get(key);
+	}
+
+	/**
+	 * Calculate initiative bonus for a monster
+	 * Based on Renderer.monster.getInitiativeBonusNumber from render.js
+	 */
+	_getInitiativeBonus(mon) {
+		// If no initiative field and no dex, or dex is special, return null
+		if (mon.initiative == null && (mon.dex == null || (typeof mon.dex === "object" && mon.dex.special))) {
+			return null;
+		}
+		// If no initiative field, use DEX modifier
+		if (mon.initiative == null) {
+			return Parser.getAbilityModNumber(mon.dex);
+		}
+		// If initiative is a direct number, use it
+		if (typeof mon.initiative === "number") {
+			return mon.initiative;
+		}
+		// If initiative is not an object, return null
+		if (typeof mon.initiative !== "object") {
+			return null;
+		}
+		// If initiative object has a direct initiative value, use it
+		if (typeof mon.initiative.initiative === "number") {
+			return mon.initiative.initiative;
+		}
+		// Calculate with proficiency bonus (expertise)
+		if (mon.dex == null) return null;
+		const profBonus = mon.initiative.proficiency
+			? mon.initiative.proficiency * Parser.crToPb(typeof mon.cr === "object" ? mon.cr.cr : mon.cr)
+			: 0;
+		return Parser.getAbilityModNumber(mon.dex) + profBonus;
+	}
+}
+
+/**
+ * Indexes adventures and books (from `adventures.json`/`books.json`), for exporting them as one folder of chaptered
+ * notes per adventure/book, and for resolving `@adventure`/`@book`/`@area` references to those notes
+ */
+class AdventureBookIndex {
+	constructor ({dataDir = "data", isSplitSections = false} = {}) {
+		this.dataDir = dataDir;
+		this.isSplitSections = isSplitSections;
+
+		// prop -> lowercase ID -> index entry
+		this._metas = null;
+		// "prop|id" -> lookups built from the adventure/book's data file
+		this._contentLookups = {};
+	}
+
+	static PROPS = {
+		adventure: {dir: "adventures", dataDir: "adventure", indexFile: "adventures.json"},
+		book: {dir: "books", dataDir: "book", indexFile: "books.json"},
+	};
+
+	_getMetas () {
+		if (this._metas) return this._metas;
+
+		this._metas = {};
+		for (const [prop, {indexFile}] of Object.entries(AdventureBookIndex.PROPS)) {
+			this._metas[prop] = {};
+
+			const indexPath = path.join(this.dataDir, indexFile);
+			if (!fs.existsSync(indexPath)) continue;
+
+			for (const meta of readJson(indexPath)[prop] || []) {
+				this._metas[prop][meta.id.toLowerCase()] = meta;
+			}
+		}
+		return this._metas;
+	}
+
+	getMeta (prop, id) {
+		if (!id) return null;
+		return this._getMetas()[prop]?.[id.toLowerCase()] || null;
+	}
+
+	getMetas (prop) {
+		return Object.values(this._getMetas()[prop] || {});
+	}
+
+	/**
+	 * Get the adventure/book a data file (e.g. "data/adventure/adventure-lmop.json") contains, if any
+	 */
+	getFileMeta (sourceFile) {
+		const dirName = path.basename(path.dirname(sourceFile));
+		const prop = Object.keys(AdventureBookIndex.PROPS).find(prop => AdventureBookIndex.PROPS[prop].dataDir === dirName);
+		if (!prop) return null;
+
+		const fileName = path.basename(sourceFile);
+		const meta = Object.values(this._getMetas()[prop]).find(meta => this._getDataFileName(prop, meta.id) === fileName);
+		if (!meta) return null;
+		return {prop, meta};
+	}
+
+	_getDataFileName (prop, id) { return `${prop}-${id.toLowerCase()}.json`; }
+
+	getDataFilePath (prop, meta) {
+		return path.join(this.dataDir, AdventureBookIndex.PROPS[prop].dataDir, this._getDataFileName(prop, meta.id));
+	}
+
+	/* -------------------------------------------- */
+
+	getBookDir (prop, meta) {
+		return `${AdventureBookIndex.PROPS[prop].dir}/${MarkdownExportEngine.sanitizeFilename(meta.name)}`;
+	}
+
+	/** Path of the table-of-contents note, relative to the output directory and without extension */
+	getIndexNotePath (prop, meta) {
+		return `${this.getBookDir(prop, meta)}/${MarkdownExportEngine.sanitizeFilename(meta.name)}`;
+	}
+
+	getChapterName (meta, chapterIx) {
+		return meta.contents?.[chapterIx]?.name || `Chapter ${chapterIx}`;
+	}
+
+	/** Path of a chapter note, relative to the output directory and without extension */
+	getChapterNotePath (prop, meta, chapterIx) {
+		const name = `${`${chapterIx}`.padStart(2, "0")} ${this.getChapterName(meta, chapterIx)}`;
+		return `${this.getBookDir(prop, meta)}/${MarkdownExportEngine.sanitizeFilename(name)}`;
+	}
+
+	/** Path of a section note (when splitting chapters by section), relative to the output directory and without extension */
+	getSectionNotePath (prop, meta, chapterIx, sectionIx, sectionName) {
+		const name = `${`${sectionIx}`.padStart(2, "0")} ${Renderer.stripTags(sectionName)}`;
+		return `${this.getChapterNotePath(prop, meta, chapterIx)}/${MarkdownExportEngine.sanitizeFilename(name)}`;
+	}
+
+	/**
+	 * Get the indexes of a chapter's entries which are exported as their own section notes
+	 */
+	getSectionIndexes (chapter) {
+		if (!this.isSplitSections) return [];
+		return (chapter.entries || [])
+			.map((ent, ix) => ent?.name && ent.entries ? ix : null)
+			.filter(ix => ix != null);
+	}
+
+	static getOrdinalText (ordinal) {
+		if (!ordinal) return null;
+		return [ordinal.type.toTitleCase(), ordinal.identifier].filter(it => it != null).join(" ");
+	}
+
+	/* -------------------------------------------- */
+
+	/**
+	 * Build (and cache) the area and header lookups for an adventure/book, from its data file
+	 */
+	_getContentLookup (prop, meta) {
+		const key = `${prop}|${meta.id}`.toLowerCase();
+		if (this._contentLookups[key] !== undefined) return this._contentLookups[key];
+
+		const dataPath = this.getDataFilePath(prop, meta);
+		if (!fs.existsSync(dataPath)) return this._contentLookups[key] = null;
+
+		return this._contentLookups[key] = this.getContentLookup(readJson(dataPath).data || []);
+	}
+
+	getContentLookup (chapters) {
+		const out = {
+			// Area ID -> {chapter, name, ...}, as used by the site's book renderer
+			areas: Renderer.adventureBook.getEntryIdLookup(chapters, false),
+			// For split sections: chapter index -> {section index: name}, chapter index -> {header: section index},
+			//   and area ID -> section index
+			sectionNames: {},
+			sectionIxByHeader: {},
+			sectionIxByAreaId: {},
+		};
+
+		if (!this.isSplitSections) return out;
+
+		const walker = MiscUtil.getWalker({isNoModification: true, keyBlocklist: new Set(["mapParent"])});
+		chapters.forEach((chapter, chapterIx) => {
+			const sectionNames = out.sectionNames[chapterIx] = {};
+			const sectionIxByHeader = out.sectionIxByHeader[chapterIx] = {};
+			this.getSectionIndexes(chapter).forEach(sectionIx => {
+				sectionNames[sectionIx] = chapter.entries[sectionIx].name;
+				walker.walk(
+					chapter.entries[sectionIx],
+					{
+						object: (obj) => {
+							if (obj.name) sectionIxByHeader[Renderer.stripTags(obj.name).toLowerCase()] ??= sectionIx;
+							if (obj.id) out.sectionIxByAreaId[obj.id] = sectionIx;
+							return obj;
+						},
+					},
+				);
+			});
+		});
+
+		return out;
+	}
+
+	/* -------------------------------------------- */
+
+	/**
+	 * Get a wikilink to an adventure/book, one of its chapters, or a header within a chapter
+	 */
+	getWikilink (prop, id, {chapterIx = null, header = null, displayText = null} = {}) {
+		const meta = this.getMeta(prop, id);
+		if (!meta) return null;
+
+		displayText ||= header || (chapterIx != null ? this.getChapterName(meta, chapterIx) : meta.name);
+
+		if (chapterIx == null || isNaN(chapterIx)) return this._getWikilink(this.getIndexNotePath(prop, meta), null, displayText);
+		if (!header) return this._getWikilink(this.getChapterNotePath(prop, meta, chapterIx), null, displayText);
+
+		const sectionIx = this.isSplitSections
+			? this._getContentLookup(prop, meta)?.sectionIxByHeader[chapterIx]?.[Renderer.stripTags(header).toLowerCase()]
+			: null;
+		return this._getNoteWikilink(prop, meta, chapterIx, sectionIx, header, displayText);
+	}
+
+	/**
+	 * Get a wikilink to the heading of an area (an entry with an `id`) within an adventure/book
+	 */
+	getAreaWikilink (prop, id, areaId, displayText) {
+		const target = this.getAreaLinkTarget(prop, id, areaId);
+		if (!target) return null;
+		return this._getWikilink(target.notePath, target.header, displayText);
+	}
+
+	/**
+	 * Get the note (relative to the output directory and without extension) and heading an area is written under
+	 * @return `{notePath, header, name}`, where `header` is null if the area is the note's own title, or null if the
+	 * area is unknown
+	 */
+	getAreaLinkTarget (prop, id, areaId) {
+		const meta = this.getMeta(prop, id);
+		if (!meta) return null;
+
+		const lookup = this._getContentLookup(prop, meta);
+		const area = lookup?.areas[areaId];
+		if (!area || area.chapter == null) return null;
+
+		return {...this._getNoteLinkTarget(prop, meta, area.chapter, lookup.sectionIxByAreaId[areaId], area.name), name: area.name};
+	}
+
+	_getNoteWikilink (prop, meta, chapterIx, sectionIx, header, displayText) {
+		const target = this._getNoteLinkTarget(prop, meta, chapterIx, sectionIx, header);
+		return this._getWikilink(target.notePath, target.header, displayText);
+	}
+
+	_getNoteLinkTarget (prop, meta, chapterIx, sectionIx, header) {
+		if (sectionIx == null) return {notePath: this.getChapterNotePath(prop, meta, chapterIx), header};
+
+		const sectionName = this._getContentLookup(prop, meta).sectionNames[chapterIx][sectionIx];
+		const notePath = this.getSectionNotePath(prop, meta, chapterIx, sectionIx, sectionName);
+		// The section's own title is the note itself
+		if (header && Renderer.stripTags(header).toLowerCase() === Renderer.stripTags(sectionName).toLowerCase()) return {notePath, header: null};
+		return {notePath, header};
+	}
+
+	_getWikilink (notePath, header, displayText) {
+		const ptHeader = header ? `#${AdventureBookIndex.getHeadingLinkText(header)}` : "";
+		return `[[${notePath}${ptHeader}|${Renderer.stripTags(displayText || "")}]]`;
+	}
+
+	/**
+	 * Clean heading text for use in a wikilink; Obsidian does not allow these characters in heading links
+	 */
+	static getHeadingLinkText (header) {
+		return Renderer.stripTags(header)
+			.replace(/[#|^[\]]/g, " ")
+			.replace(/\s+/g, " ")
+			.trim();
+	}
+}
+
+/**
+ * Resolves image entries to markdown embeds. Site-hosted ("internal") images are either copied into the vault from
+ * a local image directory, or linked from a base URL (by default, that of the deployed site's images); external images
+ * are linked as-is. Site-hosted images which are neither available locally nor online are left out.
+ */
+class ImageResolver {
+	constructor ({outputDir, imageBaseUrl = null, imageDir = null} = {}) {
+		imageBaseUrl ||= globalThis.DEPLOYED_IMG_ROOT || null;
+
+		this.outputDir = outputDir;
+		this.imageBaseUrl = imageBaseUrl && !imageBaseUrl.endsWith("/") ? `${imageBaseUrl}/` : imageBaseUrl;
+		this.imageDir = imageDir;
+
+		// Image paths already copied into the vault during this run
+		this._copied = new Set();
+	}
+
+	static IMAGE_DIR = "_images";
+
+	/**
+	 * @return The image's embed, or null if it is site-hosted and unavailable
+	 */
+	getImageEmbed (entry) {
+		const title = Renderer.stripTags(entry.title || "").replace(/[[\]]/g, "");
+
+		if (entry.href?.type === "internal") {
+			const vaultPath = this.getVaultPath(entry);
+			if (vaultPath) return `![[${vaultPath}]]`;
+			if (!this.imageBaseUrl) return null;
+			return `![${title}](${encodeURI(`${this.imageBaseUrl}${entry.href.path}`)})`;
+		}
+
+		return `![${title}](${Renderer.utils.getEntryMediaUrl(entry, "href", "img", {isUrlEncode: true})})`;
+	}
+
+	/**
+	 * Get the vault path of a site-hosted image, copied from the local image directory, or null if it is not available
+	 */
+	getVaultPath (entry) {
+		if (entry.href?.type !== "internal") return null;
+		return this._copyToVault(entry.href.path);
+	}
+
+	/**
+	 * Copy an image from the local image directory into the vault, returning its vault path, or null if unavailable
+	 */
+	_copyToVault (imagePath) {
+		if (!this.imageDir) return null;
+
+		const vaultPath = path.posix.join(ImageResolver.IMAGE_DIR, imagePath);
+		if (this._copied.has(vaultPath)) return vaultPath;
+
+		const sourcePath = path.join(this.imageDir, imagePath);
+		if (!fs.existsSync(sourcePath)) return null;
+
+		const outputPath = path.join(this.outputDir, vaultPath);
+		fs.mkdirSync(path.dirname(outputPath), {recursive: true});
+		fs.copyFileSync(sourcePath, outputPath);
+		this._copied.add(vaultPath);
+
+		return vaultPath;
+	}
+}
+
+/**
+ * Renders complete notes through Handlebars templates. A note is rendered with the template named after its
+ * frontmatter `type` (e.g. "monster.hbs", "spell-list.hbs") from the user's template directory, falling back on the
+ * user's "note.hbs", and then on the default template.
+ */
+class NoteTemplates {
+	constructor ({templateDir = null} = {}) {
+		if (templateDir && !fs.existsSync(templateDir)) throw new Error(`Template directory "${templateDir}" does not exist!`);
+		this.templateDir = templateDir;
+
+		// Note type -> compiled template
+		this._cache = {};
+
+		UtilHandlebars.init();
+	}
+
+	static DEFAULT_TEMPLATE_NAME = "note";
+	static DEFAULT_TEMPLATE_PATH = fileURLToPath(new URL(`./generate-markdown-export/template/${NoteTemplates.DEFAULT_TEMPLATE_NAME}.hbs`, import.meta.url));
+
+	render (type, context) {
+		return this._getTemplate(type)(context);
+	}
+
+	/**
+	 * @return A hash of every template notes may be rendered with, which changes as any of them is edited
+	 */
+	getHash () {
+		const templates = [
+			{name: "(default)", templatePath: NoteTemplates.DEFAULT_TEMPLATE_PATH},
+			...this.templateDir
+				? fs.readdirSync(this.templateDir).filter(it => it.endsWith(".hbs")).sort().map(name => ({name, templatePath: path.join(this.templateDir, name)}))
+				: [],
+		];
+
+		const hash = crypto.createHash("sha256");
+		templates.forEach(({name, templatePath}) => hash.update(`${name}\n${fs.readFileSync(templatePath, "utf8")}\n`));
+		return hash.digest("hex").slice(0, 12);
+	}
+
+	_getTemplate (type) {
+		if (this._cache[type]) return this._cache[type];
+
+		const templatePath = [
+			...this.templateDir ? [type, NoteTemplates.DEFAULT_TEMPLATE_NAME].map(name => path.join(this.templateDir, `${name}.hbs`)) : [],
+			NoteTemplates.DEFAULT_TEMPLATE_PATH,
+		].find(it => fs.existsSync(it));
+
+		// Templates may end with a newline, like any other text file, without adding one to every note
+		const source = fs.readFileSync(templatePath, "utf8").replace(/\r?\n$/, "");
+		// Notes are markdown, so nothing is HTML-escaped
+		return (this._cache[type] = Handlebars.compile(source, {noEscape: true}));
+	}
+}
+
+/**
+ * Builds Obsidian Canvas (`.canvas`) files: a class's progression, with a row per level, a card per feature, and a
+ * column per subclass; and an adventure/book chapter's maps, with a card per keyed area, linked from its region on the
+ * map. Cards are file nodes, showing the linked note (or heading, when features are not exported as their own notes).
+ */
+class CanvasGenerator {
+	constructor ({adventureBookIndex, imageResolver, isFeatureNotes = false}) {
+		this.adventureBookIndex = adventureBookIndex;
+		this.imageResolver = imageResolver;
+		this.isFeatureNotes = isFeatureNotes;
+	}
+
+	static _CARD_WIDTH = 400;
+	static _CARD_HEIGHT = 240;
+	static _GAP = 40;
+	static _GROUP_PADDING = 20;
+	static _LEVEL_LABEL_WIDTH = 200;
+	static _MAP_WIDTH = 1200;
+
+	// Area names are usually prefixed with their key on the map, e.g. "H1. Tower Exterior" or "L13b: Gargoyle Bridge"
+	static _RE_AREA_KEY = /^([A-Z]{0,3}\d+[a-zA-Z]?|[A-Z])[.:]\s/;
+
+	/**
+	 * @param cls
+	 * @param classData The class's data file, for its subclasses.
+	 * @param [opts]
+	 * @param [opts.isSubclassExported] Subclasses for which this returns false are left out.
+	 */
+	getClassCanvas (cls, classData, {isSubclassExported = () => true} = {}) {
+		const {_CARD_HEIGHT, _GAP, _LEVEL_LABEL_WIDTH} = CanvasGenerator;
+		const canvas = {nodes: [], edges: []};
+		const classKey = `${cls.name}|${cls.source}`;
+		const classNotePath = `${MarkdownExportEngine.RESOURCE_TYPE_MAP.class.dir}/${MarkdownExportEngine.sanitizeFilename(`${cls.name} (${cls.source})`)}`;
+
+		const getRowY = level => (level - 1) * (_CARD_HEIGHT + _GAP);
+		for (let level = 1; level <= 20; ++level) {
+			canvas.nodes.push(this._getNode(`${classKey}|level|${level}`, {
+				type: "text",
+				text: `**Level ${level}**\nProficiency Bonus +${Math.ceil(level / 4) + 1}`,
+				x: 0,
+				y: getRowY(level),
+				width: _LEVEL_LABEL_WIDTH,
+				height: _CARD_HEIGHT,
+			}));
+		}
+
+		const classFeatures = (cls.classFeatures || [])
+			.map(ref => ({
+				feature: DataUtil.class.unpackUidClassFeature(ref.classFeature || ref),
+				isGainSubclassFeature: !!ref.gainSubclassFeature,
+			}))
+			.filter(({feature}) => feature.level >= 1 && feature.level <= 20);
+		const {cardNodes: classCardNodes, groupNode: classGroupNode} = this._addFeatureCards(canvas, {
+			groupKey: classKey,
+			groupLabel: cls.name,
+			x: _LEVEL_LABEL_WIDTH + _GAP,
+			getRowY,
+			features: classFeatures.map(({feature}) => feature),
+			getCardProps: feature => this.isFeatureNotes
+				? {file: `${MarkdownExportEngine.getClassFeatureNotePath(feature)}.md`}
+				: {file: `${classNotePath}.md`, subpath: CanvasGenerator._getFeatureSubpath(feature)},
+		});
+
+		const subclasses = (classData?.subclass || [])
+			.filter(sc => sc.className === cls.name && sc.classSource === cls.source && sc.subclassFeatures?.length && isSubclassExported(sc))
+			.sort((a, b) => a.name.localeCompare(b.name));
+
+		// The subclass branches from the feature at which it is chosen
+		const ixSubclassChoice = classFeatures.findIndex(({isGainSubclassFeature}) => isGainSubclassFeature);
+		const subclassChoiceNode = ~ixSubclassChoice ? classCardNodes[ixSubclassChoice] : null;
+
+		let x = classGroupNode.x + classGroupNode.width + _GAP * 2;
+		for (const subclass of subclasses) {
+			const subclassKey = `${classKey}|${subclass.shortName}|${subclass.source}`;
+			const subclassNotePath = `${MarkdownExportEngine.RESOURCE_TYPE_MAP.subclass.dir}/${MarkdownExportEngine.sanitizeFilename(`${subclass.name} (${subclass.source})`)}`;
+
+			const {groupNode} = this._addFeatureCards(canvas, {
+				groupKey: subclassKey,
+				groupLabel: subclass.name,
+				x,
+				getRowY,
+				features: subclass.subclassFeatures
+					.map(ref => DataUtil.class.unpackUidSubclassFeature(ref.subclassFeature || ref))
+					.filter(feature => feature.level >= 1 && feature.level <= 20),
+				getCardProps: feature => this.isFeatureNotes
+					? {file: `${MarkdownExportEngine.getSubclassFeatureNotePath(feature)}.md`}
+					: {file: `${subclassNotePath}.md`, subpath: CanvasGenerator._getFeatureSubpath(feature)},
+			});
+
+			if (subclassChoiceNode) {
+				canvas.edges.push(this._getEdge(subclassChoiceNode, groupNode, {fromSide: "right", toSide: "left"}));
+			}
+
+			x = groupNode.x + groupNode.width + _GAP;
+		}
+
+		return canvas;
+	}
+
+	/**
+	 * Features are written under a heading per level, which also tells apart repeated features (e.g. "Ability Score
+	 * Improvement"), and subclass features from their subclass's title
+	 */
+	static _getFeatureSubpath ({name, level}) {
+		return `#Level ${level}#${AdventureBookIndex.getHeadingLinkText(name)}`;
+	}
+
+	/**
+	 * Add a group of feature cards, with each level's features in a row
+	 * @return The card nodes, in feature order, and the group node
+	 */
+	_addFeatureCards (canvas, {groupKey, groupLabel, x, getRowY, features, getCardProps}) {
+		const {_CARD_WIDTH, _CARD_HEIGHT, _GAP, _GROUP_PADDING} = CanvasGenerator;
+
+		const ixGroupNode = canvas.nodes.length;
+		const countsByLevel = {};
+		const cardNodes = features.map((feature, ix) => {
+			const ixInRow = (countsByLevel[feature.level] = (countsByLevel[feature.level] || 0) + 1) - 1;
+			const node = this._getNode(`${groupKey}|${ix}|${feature.name}`, {
+				type: "file",
+				...getCardProps(feature),
+				x: x + ixInRow * (_CARD_WIDTH + _GAP),
+				y: getRowY(feature.level),
+				width: _CARD_WIDTH,
+				height: _CARD_HEIGHT,
+			});
+			canvas.nodes.push(node);
+			return node;
+		});
+
+		const maxPerRow = Math.max(1, ...Object.values(countsByLevel));
+		const groupNode = this._getNode(`${groupKey}|group`, {
+			type: "group",
+			label: groupLabel,
+			x: x - _GROUP_PADDING,
+			y: getRowY(1) - _GROUP_PADDING,
+			width: maxPerRow * (_CARD_WIDTH + _GAP) - _GAP + _GROUP_PADDING * 2,
+			height: getRowY(20) + _CARD_HEIGHT - getRowY(1) + _GROUP_PADDING * 2,
+		});
+		// Groups are drawn behind the nodes after them
+		canvas.nodes.splice(ixGroupNode, 0, groupNode);
+
+		return {cardNodes, groupNode};
+	}
+
+	/**
+	 * @return A canvas of the chapter's maps, or null if it has none
+	 */
+	getChapterCanvas (chapter, {prop, meta, chapterIx}) {
+		const {_CARD_WIDTH, _CARD_HEIGHT, _GAP, _GROUP_PADDING, _MAP_WIDTH} = CanvasGenerator;
+
+		const maps = [];
+		MiscUtil.getWalker({isNoModification: true, keyBlocklist: new Set(["mapParent"])})
+			.walk(
+				chapter,
+				{
+					object: (obj) => {
+						if (obj.type === "image" && obj.imageType === "map") maps.push(obj);
+						return obj;
+					},
+				},
+			);
+		if (!maps.length) return null;
+
+		const canvas = {nodes: [], edges: []};
+		const chapterKey = `${prop}|${meta.id}|${chapterIx}`;
+
+		let y = 0;
+		maps.forEach((map, ixMap) => {
+			const mapKey = `${chapterKey}|${map.id ?? ixMap}`;
+			const scale = map.width ? _MAP_WIDTH / map.width : 1;
+			const mapHeight = map.width && map.height ? Math.round(map.height * scale) : Math.round(_MAP_WIDTH * 0.75);
+
+			const ixGroupNode = canvas.nodes.length;
+			const vaultPath = this.imageResolver.getVaultPath(map);
+			const mapNode = this._getNode(mapKey, {
+				// Maps which are unavailable are left as a placeholder with their title, under their areas' labels
+				...(vaultPath ? {type: "file", file: vaultPath} : {type: "text", text: this.imageResolver.getImageEmbed(map) ?? Renderer.stripTags(map.title || "Map")}),
+				x: 0,
+				y,
+				width: _MAP_WIDTH,
+				height: mapHeight,
+			});
+			canvas.nodes.push(mapNode);
+
+			// Area cards are listed beside the map, top to bottom in the order their regions appear on it
+			const areas = (map.mapRegions || [])
+				.map(region => {
+					const target = this.adventureBookIndex.getAreaLinkTarget(prop, meta.id, region.area);
+					if (!target || !region.points?.length) return null;
+					const [sumX, sumY] = region.points.reduce(([sumX, sumY], [x, y]) => [sumX + x, sumY + y], [0, 0]);
+					return {region, target, x: sumX / region.points.length * scale, y: sumY / region.points.length * scale};
+				})
+				.filter(Boolean)
+				.sort((a, b) => a.y - b.y || a.x - b.x);
+
+			areas.forEach(({region, target, x: regionX, y: regionY}, ixArea) => {
+				const name = Renderer.stripTags(target.name);
+				const label = CanvasGenerator._RE_AREA_KEY.exec(name)?.[1] || name;
+				const labelWidth = label === name ? 240 : 80;
+				const labelNode = this._getNode(`${mapKey}|${region.area}|label`, {
+					type: "text",
+					text: label,
+					x: Math.round(regionX - labelWidth / 2),
+					y: Math.round(y + regionY - 30),
+					width: labelWidth,
+					height: 60,
+				});
+				const cardNode = this._getNode(`${mapKey}|${region.area}`, {
+					type: "file",
+					file: `${target.notePath}.md`,
+					...(target.header ? {subpath: `#${AdventureBookIndex.getHeadingLinkText(target.header)}`} : {}),
+					x: _MAP_WIDTH + _GAP * 4,
+					y: y + ixArea * (_CARD_HEIGHT + _GAP),
+					width: _CARD_WIDTH,
+					height: _CARD_HEIGHT,
+				});
+				canvas.nodes.push(labelNode, cardNode);
+				canvas.edges.push(this._getEdge(labelNode, cardNode, {fromSide: "right", toSide: "left"}));
+			});
+
+			const height = Math.max(mapHeight, areas.length * (_CARD_HEIGHT + _GAP) - _GAP);
+			canvas.nodes.splice(ixGroupNode, 0, this._getNode(`${mapKey}|group`, {
+				type: "group",
+				label: Renderer.stripTags(map.title || `Map ${ixMap + 1}`),
+				x: -_GROUP_PADDING,
+				y: y - _GROUP_PADDING,
+				width: _MAP_WIDTH + (areas.length ? _GAP * 4 + _CARD_WIDTH : 0) + _GROUP_PADDING * 2,
+				height: height + _GROUP_PADDING * 2,
+			}));
+
+			y += height + _GAP * 4;
+		});
+
+		return canvas;
+	}
+
+	/**
+	 * Node IDs are derived from a key, so a regenerated canvas is unchanged if its content is
+	 */
+	_getNode (key, props) {
+		return {id: CanvasGenerator._getId(key), ...props};
+	}
+
+	_getEdge (fromNode, toNode, {fromSide, toSide}) {
+		return {id: CanvasGenerator._getId(`${fromNode.id}|${toNode.id}`), fromNode: fromNode.id, fromSide, toNode: toNode.id, toSide};
+	}
+
+	static _getId (key) {
+		return crypto.createHash("md5").update(key).digest("hex").slice(0, 16);
+	}
+
+	/**
+	 * Serialize a canvas, as Obsidian does
+	 */
+	static getCanvasJson (canvas) {
+		return `${JSON.stringify(canvas, null, "\t")}\n`;
+	}
+}
+
+/**
+ * Reports export progress on a single, redrawn line: a progress bar and ETA (weighted by source file size), and the
+ * number of notes written per entry type
+ */
+class ExportProgress {
+	constructor ({files, stream = process.stderr}) {
+		this._stream = stream;
+
+		this._fileSizes = Object.fromEntries(files.map(file => [file, fs.statSync(file).size]));
+		this._bytesTotal = Object.values(this._fileSizes).reduce((a, b) => a + b, 0);
+		this._bytesDone = 0;
+		this._filesTotal = files.length;
+		this._filesDone = 0;
+		this._countsByType = {};
+
+		this._timeStart = Date.now();
+		this._timeLastDraw = 0;
+	}
+
+	static _BAR_WIDTH = 24;
+	static _DRAW_INTERVAL_MS = 100;
+
+	/**
+	 * Record a processed source file
+	 * @param sourceFile
+	 * @param countsByType Entry type -> number of notes written so far
+	 */
+	tick (sourceFile, countsByType) {
+		this._filesDone++;
+		this._bytesDone += this._fileSizes[sourceFile] || 0;
+		this._countsByType = countsByType;
+
+		if (this._filesDone === this._filesTotal || Date.now() - this._timeLastDraw >= ExportProgress._DRAW_INTERVAL_MS) this._draw();
+	}
+
+	/**
+	 * Clear the progress line, so the export summary can be printed in its place
+	 */
+	done () {
+		if (this._timeLastDraw) this._stream.write("\r\x1b[K");
+	}
+
+	getStatusLine () {
+		const fraction = this._bytesTotal ? this._bytesDone / this._bytesTotal : this._filesDone / (this._filesTotal || 1);
+		const barDone = Math.round(fraction * ExportProgress._BAR_WIDTH);
+		const bar = `${"█".repeat(barDone)}${"░".repeat(ExportProgress._BAR_WIDTH - barDone)}`;
+
+		const timeElapsed = Date.now() - this._timeStart;
+		const eta = fraction ? ExportProgress._getTimeString(timeElapsed / fraction - timeElapsed) : "--:--";
+
+		const counts = ExportProgress.getCountsString(this._countsByType);
+		return `${bar} ${Math.floor(fraction * 100)}% | ${this._filesDone}/${this._filesTotal} files | ETA ${eta}${counts ? ` | ${counts}` : ""}`;
+	}
+
+	/**
+	 * @param countsByType Entry type -> count
+	 * @return e.g. "monster 120, spell 45", most common first
+	 */
+	static getCountsString (countsByType) {
+		return Object.entries(countsByType)
+			.sort(([typeA, countA], [typeB, countB]) => countB - countA || SortUtil.ascSortLower(typeA, typeB))
+			.map(([type, count]) => `${type} ${count}`)
+			.join(", ");
+	}
+
+	static _getTimeString (ms) {
+		const secs = Math.round(ms / 1000);
+		return `${Math.floor(secs / 60)}:${`${secs % 60}`.padStart(2, "0")}`;
+	}
 
-		// Description
-		if (item.entries) {
-			parts.push(this._renderEntries(item.entries));
+	_draw () {
+		this._timeLastDraw = Date.now();
+		// Truncate to the terminal width, as a wrapped line cannot be redrawn
+		const line = this.getStatusLine().slice(0, (this._stream.columns || 120) - 1);
+		this._stream.write(`\r${line}\x1b[K`);
+	}
+}
+
+/**
+ * Decides which entries are exported, from a filter spec (e.g. the JSON file given to the CLI's `--filter`). Sources,
+ * source groups, SRD/Basic Rules flags and reprints are checked as the site's list page filters check them. Every option
+ * is optional, and an entry must pass all the given options to be exported:
+ * - `sources`: only export entries from these sources (or which also appear in them, via `otherSources`)
+ * - `excludeSources`: never export entries from these sources
+ * - `groups`: only export entries from these source groups, see `SOURCE_GROUPS`
+ * - `srd`/`basicRules`: only export entries in the SRD (5.1 or 5.2)/the Basic Rules (2014 or 2024)
+ * - `excludeReprinted`: skip entries which have been reprinted in a source which is exported
+ * - `types`: entry type -> frontmatter field -> the value(s) the field must have (any of them, for list fields), or a
+ *   `{min, max}` range, e.g. `{"monster": {"cr": {"max": 5}}, "spell": {"school": ["Evocation", "Abjuration"]}}`
+ */
+class ExportFilter {
+	static SOURCE_GROUPS = ["official", "partnered", "other", "ua", "homebrew"];
+
+	static _SPEC_PROPS = ["sources", "excludeSources", "groups", "srd", "basicRules", "excludeReprinted", "types"];
+
+	constructor (spec = {}) {
+		const unknownProps = Object.keys(spec).filter(prop => !ExportFilter._SPEC_PROPS.includes(prop));
+		if (unknownProps.length) {
+			throw new Error(`Unknown filter option "${unknownProps[0]}"! Expected one of: ${ExportFilter._SPEC_PROPS.join(", ")}`);
 		}
 
-		// Source
-		if (item.source) {
-			const sourceFull = Parser.sourceJsonToFull(item.source);
-			const pageStr = item.page ? `, page ${item.page}` : "";
-			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+		const unknownGroups = (spec.groups || []).filter(group => !ExportFilter.SOURCE_GROUPS.includes(group));
+		if (unknownGroups.length) {
+			throw new Error(`Unknown source group "${unknownGroups[0]}"! Expected one of: ${ExportFilter.SOURCE_GROUPS.join(", ")}`);
 		}
 
-		return parts.join("\n");
+		// Sources are matched case-insensitively, as in tags
+		this._sources = spec.sources?.length ? new Set(spec.sources.map(it => it.toLowerCase())) : null;
+		this._excludeSources = new Set((spec.excludeSources || []).map(it => it.toLowerCase()));
+		this._groups = spec.groups?.length ? new Set(spec.groups) : null;
+		this._isSrd = !!spec.srd;
+		this._isBasicRules = !!spec.basicRules;
+		this._isExcludeReprinted = !!spec.excludeReprinted;
+		this._types = spec.types || {};
 	}
 
 	/**
-	 * Format class content
+	 * Get why an entry is not exported, from its source(s) and flags, or null if it is exported
 	 */
-	_formatClass(cls, classData) {
-		const parts = [];
+	getEntryExcludedReason (entryType, entry, {isBrew = false} = {}) {
+		const sourceReason = this.getSourceExcludedReason(entry.source, {isBrew, otherSources: entry.otherSources});
+		if (sourceReason) return sourceReason;
 
-		// Title
-		parts.push(`# ${cls.name}\n`);
+		if (this._isSrd && !entry.srd && !entry.srd52) return "not in the SRD";
+		if (this._isBasicRules && !entry.basicRules && !entry.basicRules2024) return "not in the Basic Rules";
 
-		// Hit die and primary ability
-		if (cls.hd) {
-			parts.push(`**Hit Die:** d${cls.hd.faces}\n`);
+		if (this._isExcludeReprinted) {
+			const reprint = this._getExportedReprint(entryType, entry);
+			if (reprint) return `reprinted as ${reprint.name} (${reprint.source})`;
 		}
 
-		if (cls.primaryAbility || cls.proficiency) {
-			const abilities = [];
-			if (cls.primaryAbility) {
-				const primary = cls.primaryAbility.map(a => {
-					const abilMap = {str: "Strength", dex: "Dexterity", con: "Constitution", int: "Intelligence", wis: "Wisdom", cha: "Charisma"};
-					return Object.keys(a).map(k => abilMap[k]).join(" or ");
-				}).join(", ");
-				abilities.push(`**Primary Ability:** ${primary}`);
-			}
-			if (cls.proficiency) {
-				const savingThrows = cls.proficiency.map(p => p.toUpperCase()).join(", ");
-				abilities.push(`**Saving Throw Proficiencies:** ${savingThrows}`);
-			}
-			parts.push(abilities.join("  \n") + "\n");
-		}
+		return null;
+	}
 
-		// Proficiencies with wikilinks
-		if (cls.startingProficiencies) {
-			parts.push(this._renderClassProficiencies(cls.startingProficiencies) + "\n");
+	/**
+	 * Get why an entry is not exported, from the fields of its frontmatter, or null if it is exported
+	 */
+	getFrontmatterExcludedReason (entryType, frontmatter) {
+		for (const [field, expected] of Object.entries(this._types[entryType] || {})) {
+			if (!ExportFilter._isFieldMatch(frontmatter[field], expected)) return `${field} does not match the filter`;
 		}
+		return null;
+	}
 
-		// Class Features Table
-		if (cls.classFeatures && cls.classFeatures.length) {
-			parts.push(this._renderClassTable(cls, classData) + "\n");
-		}
+	/**
+	 * Get why content from a source is not exported, from the source options only, or null if it is exported
+	 */
+	getSourceExcludedReason (source, {isBrew = false, otherSources = null} = {}) {
+		if (!source) return null;
 
-		// Detailed Class Features
-		if (cls.classFeatures && cls.classFeatures.length && classData?.classFeature) {
-			parts.push(this._renderClassFeatureDetails(cls, classData) + "\n");
+		if (this._excludeSources.has(source.toLowerCase())) return `source ${source} is excluded`;
+
+		if (this._sources) {
+			const sources = [source, ...(otherSources || []).map(it => it.source)].filter(Boolean);
+			if (!sources.some(it => this._sources.has(it.toLowerCase()))) return `source ${source} is not included`;
 		}
 
-		// Source
-		if (cls.source) {
-			const sourceFull = Parser.sourceJsonToFull(cls.source);
-			const pageStr = cls.page ? `, page ${cls.page}` : "";
-			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+		if (this._groups) {
+			const group = ExportFilter.getSourceGroup(source, {isBrew});
+			if (!this._groups.has(group)) return `source group ${group} is not included`;
 		}
 
-		return parts.join("\n");
+		return null;
 	}
 
 	/**
-	 * Render class proficiencies with wikilinks
+	 * As on the site, an entry only counts as reprinted if one of its reprints is not filtered out
 	 */
-	_renderClassProficiencies(prof) {
-		const parts = ["## Proficiencies\n"];
-		const profParts = [];
+	_getExportedReprint (entryType, entry) {
+		if (!entry.reprintedAs?.length) return null;
 
-		if (prof.armor) {
-			// Convert armor proficiencies to wikilinks
-			const armorLinks = prof.armor.map(a => {
-				if (a === "light") return "Light Armor";
-				if (a === "medium") return "Medium Armor";
-				if (a === "heavy") return "Heavy Armor";
-				if (a === "shield") return "Shields";
-				return a;
+		return entry.reprintedAs
+			.map(it => DataUtil.proxy.unpackUid(entryType, it?.uid ?? it, Parser.getPropTag(entryType)))
+			.find(({source}) => !this.getSourceExcludedReason(source)) || null;
+	}
+
+	static _isFieldMatch (actual, expected) {
+		if (actual == null) return false;
+
+		const actuals = [actual].flat();
+
+		if (expected && typeof expected === "object" && !Array.isArray(expected)) {
+			const {min = null, max = null} = expected;
+			return actuals.some(it => {
+				const num = ExportFilter._getNumber(it);
+				return num != null && (min == null || num >= min) && (max == null || num <= max);
 			});
-			profParts.push(`**Armor:** ${armorLinks.join(", ")}`);
 		}
 
-		if (prof.weapons) {
-			// Convert weapon proficiencies to wikilinks
-			const weaponLinks = prof.weapons.map(w => {
-				if (w === "simple") return "Simple Weapons";
-				if (w === "martial") return "Martial Weapons";
-				return this._renderString(w);
-			});
-			profParts.push(`**Weapons:** ${weaponLinks.join(", ")}`);
+		const expecteds = [expected].flat().map(it => `${it}`.toLowerCase());
+		return actuals.some(it => expecteds.includes(`${it}`.toLowerCase()));
+	}
+
+	/**
+	 * Numbers, or fractions (e.g. a CR of "1/4")
+	 */
+	static _getNumber (val) {
+		if (typeof val === "number") return val;
+		const [, numerator, denominator] = /^\s*(\d+(?:\.\d+)?)\s*(?:\/\s*(\d+)\s*)?$/.exec(`${val}`) || [];
+		if (numerator == null) return null;
+		return denominator ? Number(numerator) / Number(denominator) : Number(numerator);
+	}
+
+	/**
+	 * Get a source's group, as the site's source filters group them
+	 */
+	static getSourceGroup (source, {isBrew = false} = {}) {
+		if (isBrew) return "homebrew";
+		if (SourceUtil.isPrereleaseSource(source)) return "ua";
+		// As in `SourceUtil.getFilterGroup`, which can't be used outside the site (it checks for filter items)
+		if (SourceUtil.isPartneredSourceWotc(source)) return "partnered";
+		if (SourceUtil.isNonstandardSourceWotc(source)) return "other";
+		return "official";
+	}
+}
+
+/**
+ * Main export engine that orchestrates the markdown export process
+ */
+class MarkdownExportEngine {
+	constructor(options = {}) {
+		this.outputDir = options.outputDir || "markdown-export";
+		this.dataDir = options.dataDir || "data";
+		this.mode = options.mode || "incremental";
+		this.verbose = options.verbose || false;
+		this.orphans = options.orphans || "delete";
+
+		if (!MarkdownExportEngine.ORPHAN_MODES.includes(this.orphans)) {
+			throw new Error(`Unknown orphan mode "${this.orphans}"! Expected one of: ${MarkdownExportEngine.ORPHAN_MODES.join(", ")}`);
 		}
 
-		if (prof.tools) {
-			const toolStr = Array.isArray(prof.tools)
-				? prof.tools.map(t => this._renderString(t)).join(", ")
-				: this._renderString(JSON.stringify(prof.tools));
-			profParts.push(`**Tools:** ${toolStr}`);
+		this.isSplitSections = options.isSplitSections || false;
+
+		this.monsterFormat = options.monsterFormat || "prose";
+		if (!MarkdownExportEngine.MONSTER_FORMATS.includes(this.monsterFormat)) {
+			throw new Error(`Unknown monster format "${this.monsterFormat}"! Expected one of: ${MarkdownExportEngine.MONSTER_FORMATS.join(", ")}`);
 		}
 
-		if (prof.skills) {
-			// Handle skill selection
-			if (Array.isArray(prof.skills)) {
-				const first = prof.skills[0];
-				if (typeof first === "object") {
-					if (first.choose) {
-						const choose = first.choose;
-						profParts.push(`**Skills:** Choose ${choose.count || 2} from the class skill list`);
-					} else if (first.any !== undefined) {
-						profParts.push(`**Skills:** Choose ${first.any} from the class skill list`);
-					} else {
-						profParts.push(`**Skills:** ${JSON.stringify(prof.skills)}`);
-					}
-				} else {
-					profParts.push(`**Skills:** ${prof.skills.join(", ")}`);
-				}
-			} else {
-				profParts.push(`**Skills:** ${prof.skills.toString()}`);
-			}
+		this.adventureBookIndex = new AdventureBookIndex({dataDir: this.dataDir, isSplitSections: this.isSplitSections});
+		this.isDiceRoller = options.isDiceRoller || false;
+
+		this.magicVariants = options.magicVariants || "notes";
+		if (!MarkdownExportEngine.MAGIC_VARIANT_MODES.includes(this.magicVariants)) {
+			throw new Error(`Unknown magic variant mode "${this.magicVariants}"! Expected one of: ${MarkdownExportEngine.MAGIC_VARIANT_MODES.join(", ")}`);
 		}
 
-		parts.push(profParts.join("  \n"));
-		return parts.join("");
-	}
+		this.isAuditLinks = options.isAuditLinks || false;
 
-	/**
-	 * Render class features table
-	 */
-	_renderClassTable(cls, classData) {
-		const parts = [`## ${cls.name} Features Table\n`];
+		this.isFeatureNotes = options.isFeatureNotes || false;
 
-		// Build table header
-		const headers = ["Level", "Proficiency Bonus", "Features"];
+		// Creatures to write scaled versions of, and whether to write every summoned creature at every level, see
+		//   `_pExportScaledCreatures`
+		this.scaleRequests = MarkdownExportEngine._getScaleRequests(options.scaleCreatures || []);
+		this.isScaleSummons = options.isScaleSummons || false;
 
-		// Add class-specific columns from classTableGroups
-		if (cls.classTableGroups) {
-			for (const group of cls.classTableGroups) {
-				if (group.title) {
-					// For spell progression, add the group title as a super-header
-					headers.push(`${group.title}`);
-				} else if (group.colLabels) {
-					// Add each column label
-					for (const label of group.colLabels) {
-						headers.push(this._renderString(label));
-					}
-				}
-			}
+		// Leave notes whose generated content was edited by hand, rather than overwriting them, see `_writeNoteFile`
+		this.isKeepEdited = options.isKeepEdited || false;
+
+		// Built from a plain spec (see `ExportFilter`), so worker threads can build the same filter
+		this.filter = new ExportFilter(options.filter);
+
+		// Source files are exported on this many worker threads; with one, they are exported on the main thread
+		this.jobs = options.jobs ?? 1;
+		if (!Number.isInteger(this.jobs) || this.jobs < 1) {
+			throw new Error(`Invalid job count "${this.jobs}"! Expected a positive whole number`);
 		}
+		// Verbose logging would be interleaved with the progress bar
+		this.isProgress = options.isProgress ?? (!!process.stderr.isTTY && !this.verbose);
+		// Each worker thread builds its own engine from the same options
+		this._options = options;
 
-		// Create markdown table
-		parts.push(`| ${headers.join(" | ")} |`);
-		parts.push(`| ${headers.map(() => "---").join(" | ")} |`);
+		this.isIndex = options.isIndex ?? true;
+		this.isReferencedBy = options.isReferencedBy ?? true;
+		this.isDataview = options.isDataview || false;
 
-		// Add rows for levels 1-20
-		for (let level = 1; level <= 20; level++) {
-			const profBonus = Math.ceil(level / 4) + 1; // Proficiency bonus by level
-			const row = [level.toString(), `+${profBonus}`];
+		this.isFluff = options.isFluff ?? true;
+		this.imageResolver = new ImageResolver({outputDir: this.outputDir, imageBaseUrl: options.imageBaseUrl, imageDir: options.imageDir});
 
-			// Get features for this level
-			const features = this._getClassFeaturesForLevel(cls, level, classData);
-			row.push(features.join(", "));
+		this.isCanvas = options.isCanvas || false;
+		this.canvasGenerator = new CanvasGenerator({adventureBookIndex: this.adventureBookIndex, imageResolver: this.imageResolver, isFeatureNotes: this.isFeatureNotes});
 
-			// Add class-specific columns
-			if (cls.classTableGroups) {
-				for (const group of cls.classTableGroups) {
-					const levelIndex = level - 1;
-					if (group.rowsSpellProgression) {
-						// Spell progression table
-						const spellRow = group.rowsSpellProgression[levelIndex];
-						if (spellRow) {
-							row.push(...spellRow.map(slots => slots === 0 ? "—" : slots.toString()));
-						}
-					} else if (group.rows) {
-						// Regular table group
-						const groupRow = group.rows[levelIndex];
-						if (groupRow) {
-							for (const cell of groupRow) {
-								if (typeof cell === "object") {
-									if (cell.type === "bonus") {
-										row.push(`+${cell.value}`);
-									} else if (cell.type === "dice") {
-										// Render dice notation
-										const dice = cell.toRoll[0];
-										row.push(`${dice.number}d${dice.faces}`);
-									} else {
-										// Try to render as entry object
-										row.push(this._renderString(cell));
-									}
-								} else {
-									row.push(this._renderString(cell.toString()));
-								}
-							}
-						}
-					}
-				}
+		this.renderer = ObsidianMarkdownRenderer.get()
+			.setAdventureBookIndex(this.adventureBookIndex)
+			.setDiceRoller(this.isDiceRoller)
+			.setImageResolver(this.imageResolver)
+			.setFeatureNotes(this.isFeatureNotes);
+		this.tracker = new ExportStateTracker(options.statePath);
+
+		// Source file path -> Promise of resolved entries, by entry key
+		this._resolvedCache = {};
+		// Source file path -> parsed JSON, for the file being exported, and brew files
+		this._sourceData = new Map();
+		// Notes exported from the file being processed, see `_queueNote`, and previously-exported entries of the file
+		//   which are now filtered out, see `_queueFilteredRemoval`
+		this._pendingNotes = null;
+		this._pendingRemoved = null;
+
+		// Homebrew/prerelease files (or globs) to export alongside the site data
+		this.brewPaths = options.brewPaths || [];
+		this.brewFiles = new Set();
+		// Brew file path -> the file's `_meta`
+		this._brewMetas = {};
+
+		this._resetStats();
+
+		// Output files removed (or moved) because their source entry no longer exists
+		this.removedFiles = [];
+		// Output files which were not overwritten, as they were edited by hand
+		this.keptFiles = [];
+
+		// Data file -> entries which depend on other entries, see `_getDependentEntryKeys`
+		this._dependencyIndex = null;
+
+		// Initialize generators with loaded data
+		this._noteTemplates = new NoteTemplates({templateDir: options.templateDir});
+		this._loadSpellClassLookup();
+		this._loadLegendaryGroups();
+	}
+
+	_resetStats () {
+		this.stats = {
+			created: 0,
+			updated: 0,
+			skipped: 0,
+			removed: 0,
+			errors: 0,
+			brokenLinks: 0,
+			// Notes left as they were, as they were edited by hand
+			kept: 0,
+			// Entry type -> number of notes written
+			notesByType: {},
+		};
+	}
+
+	_getSpellClassLookupPath () { return path.join(this.dataDir, "generated", "gendata-spell-source-lookup.json"); }
+
+	_getLegendaryGroupsPath () { return path.join(this.dataDir, "bestiary", "legendarygroups.json"); }
+
+	/**
+	 * Load spell-class lookup data, which the frontmatter generator adds classes to spells from
+	 */
+	_loadSpellClassLookup () {
+		this.spellClassLookup = null;
+		try {
+			const lookupPath = this._getSpellClassLookupPath();
+			if (fs.existsSync(lookupPath)) {
+				this.spellClassLookup = readJson(lookupPath);
+				this.log("Loaded spell-class lookup data");
 			}
+		} catch (e) {
+			console.warn("Failed to load spell-class lookup, classes won't be added to spells:", e.message);
+		}
 
-			parts.push(`| ${row.join(" | ")} |`);
+		this.frontmatterGenerator = new FrontmatterGenerator(this.spellClassLookup);
+	}
+
+	/**
+	 * Load legendary groups data (for lair actions, regional effects), which the formatter adds to monsters
+	 */
+	_loadLegendaryGroups () {
+		this.legendaryGroups = null;
+		try {
+			const legendaryPath = this._getLegendaryGroupsPath();
+			if (fs.existsSync(legendaryPath)) {
+				const data = readJson(legendaryPath);
+				this.legendaryGroups = data.legendaryGroup || [];
+				this.log("Loaded legendary groups data");
+			}
+		} catch (e) {
+			console.warn("Failed to load legendary groups, lair actions/regional effects won't be added:", e.message);
 		}
 
-		parts.push("");
-		return parts.join("\n");
+		this.formatter = new MarkdownFormatter(this.renderer, this.legendaryGroups, {
+			monsterFormat: this.monsterFormat,
+			isFeatureNotes: this.isFeatureNotes,
+			noteTemplates: this._noteTemplates,
+		});
 	}
 
+	static SPELL_LIST_DIR = "spell-lists";
+
+	static INDEX_NOTE_NAME = "_index";
+
 	/**
-	 * Get class features for a specific level
+	 * Index note title and table columns (frontmatter property -> header) for each resource directory
 	 */
-	_getClassFeaturesForLevel(cls, level, classData) {
-		const features = [];
+	static INDEX_META = {
+		"spells": {title: "Spells", columns: {level: "Level", school: "School", casting_time: "Casting Time", range: "Range"}},
+		"monsters": {title: "Monsters", columns: {cr: "CR", size: "Size", creature_type: "Type"}},
+		"items": {title: "Items", columns: {item_category: "Category", rarity: "Rarity", requires_attunement: "Attunement"}},
+		"classes": {title: "Classes", columns: {hit_die: "Hit Die", primary_ability: "Primary Ability", spellcasting_ability: "Spellcasting"}},
+		"subclasses": {title: "Subclasses", columns: {class_name: "Class"}},
+		"class-features": {title: "Class Features", columns: {class_name: "Class", level: "Level"}},
+		"subclass-features": {title: "Subclass Features", columns: {class_name: "Class", subclass_short_name: "Subclass", level: "Level"}},
+		"backgrounds": {title: "Backgrounds", columns: {skill_proficiencies: "Skills"}},
+		"feats": {title: "Feats", columns: {feat_category: "Category", prerequisites: "Prerequisites"}},
+		"races": {title: "Races", columns: {size: "Size", speed: "Speed", ability_bonuses: "Ability Bonuses"}},
+		"conditions": {title: "Conditions & Diseases", columns: {}},
+		"deities": {title: "Deities", columns: {pantheon: "Pantheon", alignment: "Alignment", domains: "Domains"}},
+		"actions": {title: "Actions", columns: {}},
+		"vehicles": {title: "Vehicles", columns: {vehicle_type: "Type", terrain: "Terrain"}},
+		"objects": {title: "Objects", columns: {object_type: "Type", size: "Size"}},
+		"optional-features": {title: "Optional Features", columns: {}},
+		"rewards": {title: "Rewards", columns: {reward_type: "Type"}},
+		"psionics": {title: "Psionics", columns: {psionic_type: "Type", order: "Order"}},
+		"variant-rules": {title: "Variant Rules", columns: {}},
+		"tables": {title: "Tables", columns: {roll: "Roll", chapter: "Chapter"}},
+		"languages": {title: "Languages", columns: {}},
+		"traps-hazards": {title: "Traps & Hazards", columns: {}},
+		"cults-boons": {title: "Cults & Boons", columns: {}},
+		"bastions": {title: "Bastion Facilities", columns: {facility_type: "Type", level: "Level", space: "Space", orders: "Orders"}},
+		"recipes": {title: "Recipes", columns: {recipe_type: "Type", dish_types: "Dish Type", serves: "Serves"}},
+		"decks": {title: "Decks & Cards", columns: {deck: "Deck", deck_index: "Card", card_count: "Cards"}},
+		"character-creation-options": {title: "Character Creation Options", columns: {option_type: "Type"}},
+		"adventures": {title: "Adventures", columns: {}},
+		"books": {title: "Books", columns: {}},
+		"spell-lists": {title: "Spell Lists", columns: {class: "Class", subclass: "Subclass", spell_count: "Spells"}},
+	};
 
-		for (const feature of cls.classFeatures) {
-			const isSubclassFeature = typeof feature === "object" && feature.gainSubclassFeature;
-			const featureName = typeof feature === "string" ? feature : feature.classFeature;
-			const match = featureName.match(/\|(\d+)(?:\||$)/);
-			const featureLevel = match ? parseInt(match[1]) : null;
+	/**
+	 * What to do with notes whose source entry was deleted or renamed
+	 */
+	static ORPHAN_MODES = ["delete", "move"];
 
-			if (featureLevel === level) {
-				const displayName = featureName.split("|")[0];
+	static ORPHAN_DIR = "_orphaned";
 
-				if (isSubclassFeature) {
-					// For subclass selection level, add links to all subclasses
-					if (level === 3 || displayName.includes(cls.subclassTitle)) {
-						features.push(`[[#${cls.subclassTitle}|${displayName}]]`);
-					} else {
-						features.push(displayName);
-					}
-				} else {
-					features.push(`[[#${displayName}|${displayName}]]`);
-				}
-			}
-		}
+	// Heading of the section listing the notes which link to a note, see `_exportReferencedBy`
+	static REFERENCED_BY_HEADING = "## Referenced By";
 
-		return features;
-	}
+	// How long to wait for more changes to data files before exporting them, in watch mode
+	static WATCH_DEBOUNCE_MS = 300;
 
 	/**
-	 * Render detailed class feature descriptions (organized by level)
+	 * Parts of a note written by its reader, which are carried over when the note is re-exported: everything after a
+	 * `%% user %%` line (an Obsidian comment, so hidden in reading view), and any "## Notes" section, up to the next
+	 * heading of the same or a higher level
 	 */
-	_renderClassFeatureDetails(cls, classData) {
-		const parts = [];
+	static USER_CONTENT_MARKER = "%% user %%";
+	static USER_NOTES_HEADING = "## Notes";
 
-		// Group features by level
-		const featuresByLevel = {};
-		for (const feature of cls.classFeatures) {
-			const isSubclassFeature = typeof feature === "object" && feature.gainSubclassFeature;
-			const featureName = typeof feature === "string" ? feature : feature.classFeature;
-			const match = featureName.match(/\|(\d+)(?:\||$)/);
-			const level = match ? parseInt(match[1]) : null;
+	/**
+	 * Entry types whose fluff (lore and images) is merged into their notes
+	 */
+	static FLUFF_ENTRY_TYPES = new Set([
+		"monster",
+		"spell",
+		"item",
+		"baseitem",
+		"race",
+		"background",
+		"feat",
+		"optionalfeature",
+		"reward",
+		"language",
+		"vehicle",
+		"object",
+		"condition",
+		"disease",
+		"trap",
+		"hazard",
+		"facility",
+		"recipe",
+		"charoption",
+	]);
 
-			if (level) {
-				if (!featuresByLevel[level]) featuresByLevel[level] = [];
-				featuresByLevel[level].push({featureName, isSubclassFeature});
-			}
-		}
+	/**
+	 * How monsters are written: prose markdown, or a Fantasy Statblocks plugin block
+	 */
+	static MONSTER_FORMATS = ["prose", "statblock"];
 
-		// Track if we've already listed subclasses
-		let subclassesListed = false;
+	/**
+	 * How the specific variants of generic magic item variants are written: a note per specific variant (and a table
+	 * linking them on the generic variant's note), or only a table on the generic variant's note
+	 */
+	static MAGIC_VARIANT_MODES = ["notes", "table"];
 
-		// Render each level's features
-		for (const level of Object.keys(featuresByLevel).sort((a, b) => parseInt(a) - parseInt(b))) {
-			parts.push(`## Level ${level}\n`);
+	/**
+	 * Worker thread script used when exporting with more than one job
+	 */
+	static WORKER_PATH = fileURLToPath(new URL("./generate-markdown-export/worker.js", import.meta.url));
 
-			for (const {featureName, isSubclassFeature} of featuresByLevel[level]) {
-				if (isSubclassFeature) {
-					// Handle subclass feature
-					const subclassFeature = this._findClassFeature(featureName, classData);
-					if (subclassFeature) {
-						parts.push(`### ${subclassFeature.name}\n`);
-						if (subclassFeature.entries) {
-							parts.push(this._renderEntries(subclassFeature.entries) + "\n");
-						}
-					}
+	/**
+	 * Resource type mapping
+	 */
+	static RESOURCE_TYPE_MAP = {
+		spell: {dir: "spells"},
+		monster: {dir: "monsters"},
+		item: {dir: "items"},
+		baseitem: {dir: "items"},
+		magicvariant: {dir: "items"},
+		class: {dir: "classes"},
+		subclass: {dir: "subclasses"},
+		// Only exported with the feature notes option, into a folder per class (and subclass)
+		classFeature: {dir: ObsidianMarkdownRenderer.TAG_TO_DIR_MAP["@classFeature"]},
+		subclassFeature: {dir: ObsidianMarkdownRenderer.TAG_TO_DIR_MAP["@subclassFeature"]},
+		background: {dir: "backgrounds"},
+		feat: {dir: "feats"},
+		race: {dir: "races"},
+		subrace: {dir: "races"},
+		condition: {dir: "conditions"},
+		disease: {dir: "conditions"},
+		deity: {dir: "deities"},
+		action: {dir: "actions"},
+		vehicle: {dir: "vehicles"},
+		object: {dir: "objects"},
+		optionalfeature: {dir: "optional-features"},
+		reward: {dir: "rewards"},
+		psionic: {dir: "psionics"},
+		variantrule: {dir: "variant-rules"},
+		table: {dir: "tables"},
+		tableGroup: {dir: "tables"},
+		language: {dir: "languages"},
+		trap: {dir: "traps-hazards"},
+		hazard: {dir: "traps-hazards"},
+		cult: {dir: "cults-boons"},
+		boon: {dir: "cults-boons"},
+		facility: {dir: "bastions"},
+		recipe: {dir: "recipes"},
+		deck: {dir: "decks"},
+		// Into a folder per deck, see `getCardNotePath`
+		card: {dir: "decks"},
+		charoption: {dir: "character-creation-options"},
+		adventure: {dir: AdventureBookIndex.PROPS.adventure.dir},
+		book: {dir: AdventureBookIndex.PROPS.book.dir},
+	};
 
-					// List all available subclasses only the first time
-					if (!subclassesListed && cls.subclassTitle && classData?.subclass) {
-						parts.push(`**Available ${cls.subclassTitle} Options:**\n`);
-						const subclasses = classData.subclass
-							.filter(sc => sc.className === cls.name && sc.classSource === cls.source)
-							.sort((a, b) => a.name.localeCompare(b.name));
+	/**
+	 * Main export method
+	 */
+	async export(options = {}) {
+		console.log("Starting markdown export...");
 
-						for (const sc of subclasses) {
-							parts.push(`- [[subclasses/${sc.name} (${sc.source})|${sc.name}]]\n`);
-						}
-						parts.push("");
-						subclassesListed = true;
-					} else if (subclassesListed) {
-						// Reference the earlier list
-						parts.push(`*See the available ${cls.subclassTitle} options listed at Level 3.*\n`);
-					}
+		// Get list of data files
+		const files = this._getDataFiles();
+
+		this.log(`Found ${files.length} data files`);
+
+		// Filter by resource types if specified
+		let filesToProcess = files;
+		if (options.resourceTypes) {
+			filesToProcess = files.filter(file => this._isFileMatchingResourceTypes(file, options.resourceTypes));
+			this.log(`Filtered to ${filesToProcess.length} files matching resource types: ${options.resourceTypes.join(", ")}`);
+		}
+
+		// Brew files are always exported in full, as they are not split up by resource type
+		this.brewFiles = new Set(MarkdownExportEngine.getBrewFiles(this.brewPaths));
+		if (this.brewPaths.length) {
+			this.log(`Found ${this.brewFiles.size} homebrew/prerelease files`);
+			if (!this.brewFiles.size) console.warn(`No homebrew/prerelease files found matching: ${this.brewPaths.join(", ")}`);
+		}
+		filesToProcess = [...filesToProcess, ...this.brewFiles];
+
+		this._patchLoadJson();
+		try {
+			await this.tracker.loadState();
+
+			// Notes exported with other render options are out of date, whether or not their entries have changed
+			const renderOptions = this._getRenderOptions();
+			const renderOptionsPrev = this.tracker.getRenderOptions();
+			// Until a full export has recorded them, the options the notes were rendered with are unknown, so are not compared
+			const isRenderOptionsChanged = renderOptionsPrev != null && !CollectionUtil.deepEquals(renderOptionsPrev, renderOptions);
+			if (isRenderOptionsChanged && !options.force) console.log("Render options have changed since the last export, exporting every entry");
+			const force = options.force || isRenderOptionsChanged;
+			// A partial export leaves the other notes as they were rendered, so the options are only recorded by a full one
+			if (!options.resourceTypes) this.tracker.setRenderOptions(renderOptions);
+
+			const progress = this.isProgress ? new ExportProgress({files: filesToProcess}) : null;
+			try {
+				if (this.jobs > 1) {
+					await this._pProcessFilesInWorkers(filesToProcess, {force, progress});
 				} else {
-					// Handle regular feature
-					const featureData = this._findClassFeature(featureName, classData);
-					if (featureData) {
-						parts.push(`### ${featureData.name}\n`);
-						if (featureData.entries) {
-							parts.push(this._renderEntries(featureData.entries) + "\n");
-						}
+					for (const file of filesToProcess) {
+						await this.processFile(file, force);
+						progress?.tick(file, this.stats.notesByType);
 					}
 				}
+			} finally {
+				progress?.done();
 			}
-		}
 
-		return parts.join("\n");
-	}
+			if (!options.resourceTypes || options.resourceTypes.some(type => type.startsWith("spell"))) {
+				await this._pExportSpellLists();
+			}
 
-	/**
-	 * Find a class feature by its reference string
-	 */
-	_findClassFeature(featureName, classData) {
-		if (!classData?.classFeature) return null;
+			if (!options.resourceTypes || options.resourceTypes.some(type => type.startsWith("item") || type.startsWith("magicvariant"))) {
+				await this._pExportMagicVariants();
+			}
 
-		// Parse the feature reference - handles two formats:
-		// PHB format: "Feature Name|ClassName||Level|Source"
-		// XPHB format: "Feature Name|ClassName|Source|Level"
-		const parts = featureName.split("|");
-		const name = parts[0];
-		const className = parts[1];
+			if (!options.resourceTypes || options.resourceTypes.some(type => type.startsWith("bestiary") || type.startsWith("monster"))) {
+				await this._pExportScaledCreatures();
+			}
 
-		// Determine format by checking if part 2 is empty (PHB) or has content (XPHB)
-		let level, source;
-		if (parts[2] === "") {
-			// PHB format
-			level = parts[3] ? parseInt(parts[3]) : null;
-			source = parts[4];
-		} else {
-			// XPHB format
-			source = parts[2];
-			level = parts[3] ? parseInt(parts[3]) : null;
+			if (this.isCanvas && (!options.resourceTypes || options.resourceTypes.some(type => type.startsWith("class")))) {
+				await this._pExportClassCanvases();
+			}
+
+			if (this.isCanvas && (!options.resourceTypes || options.resourceTypes.some(type => type.startsWith("adventure") || type.startsWith("book")))) {
+				this._exportAdventureBookCanvases();
+			}
+		} finally {
+			this._unpatchLoadJson();
 		}
 
-		return classData.classFeature.find(f =>
-			f.name === name &&
-			f.className === className &&
-			(!level || f.level === level) &&
-			(!source || f.source === source)
-		);
-	}
+		// Remove notes for source files which have since been deleted
+		const removedFiles = (await this.tracker.detectRemovedFiles())
+			.filter(({sourceFile}) => !options.resourceTypes || this._isFileMatchingResourceTypes(sourceFile, options.resourceTypes));
+		for (const {sourceFile, removed} of removedFiles) {
+			this.log(`Source file ${sourceFile} no longer exists`);
+			for (const removedEntry of removed) this.removeEntry(removedEntry, sourceFile);
+		}
 
-	/**
-	 * Format subclass content
-	 */
-	_formatSubclass(subclass, classData) {
-		const parts = [];
+		// Indexes list the notes in the output directory, so are written once the removed notes are gone
+		if (this.isIndex) this._exportIndexes();
 
-		// Title
-		parts.push(`# ${subclass.name}\n`);
+		if (this.isReferencedBy) this._exportReferencedBy();
 
-		// Class info
-		if (subclass.className) {
-			parts.push(`**Class:** [[classes/${subclass.className} (${subclass.classSource})|${subclass.className}]]\n`);
-		}
+		if (this.isAuditLinks) this._auditLinks();
 
-		// Subclass features table (if has features at multiple levels)
-		if (subclass.subclassFeatures && subclass.subclassFeatures.length > 1) {
-			parts.push(this._renderSubclassTable(subclass) + "\n");
-		}
+		// Save state
+		await this.tracker.saveState();
 
-		// Detailed Subclass Features
-		if (subclass.subclassFeatures && subclass.subclassFeatures.length && classData?.subclassFeature) {
-			parts.push(this._renderSubclassFeatureDetails(subclass, classData) + "\n");
+		console.log("\nExport complete!");
+		console.log(`  Created: ${this.stats.created}`);
+		console.log(`  Updated: ${this.stats.updated}`);
+		console.log(`  Skipped: ${this.stats.skipped}`);
+		console.log(`  Removed: ${this.stats.removed}`);
+		console.log(`  Errors: ${this.stats.errors}`);
+		if (Object.keys(this.stats.notesByType).length) console.log(`  By type: ${ExportProgress.getCountsString(this.stats.notesByType)}`);
+		if (this.isAuditLinks) console.log(`  Broken links: ${this.stats.brokenLinks}`);
+		if (this.isKeepEdited) console.log(`  Kept (edited by hand): ${this.stats.kept}`);
+
+		if (this.removedFiles.length) {
+			console.log(`\n${this.orphans === "move" ? `Moved to ${MarkdownExportEngine.ORPHAN_DIR}/` : "Removed"} (source entry no longer exists):`);
+			this.removedFiles.forEach(file => console.log(`  - ${path.relative(this.outputDir, file)}`));
 		}
 
-		// Source
-		if (subclass.source) {
-			const sourceFull = Parser.sourceJsonToFull(subclass.source);
-			const pageStr = subclass.page ? `, page ${subclass.page}` : "";
-			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+		if (this.keptFiles.length) {
+			console.log(`\nKept (edited by hand; re-export with the note removed, or without --keep-edited, to overwrite):`);
+			this.keptFiles.forEach(file => console.log(`  - ${path.relative(this.outputDir, file)}`));
 		}
 
-		return parts.join("\n");
+		return this.stats;
 	}
 
 	/**
-	 * Render subclass features table
+	 * Options which change how notes are rendered, rather than which notes are exported
 	 */
-	_renderSubclassTable(subclass) {
-		const parts = [`## ${subclass.name} Features\n`];
-
-		// Build table
-		parts.push(`| Level | Feature |`);
-		parts.push(`| --- | --- |`);
-
-		// Add rows for each subclass feature
-		for (const feature of subclass.subclassFeatures) {
-			const featureName = typeof feature === "string" ? feature : feature.subclassFeature;
-			const match = featureName.match(/\|(\d+)(?:\||$)/);
-			const level = match ? parseInt(match[1]) : null;
-
-			if (level) {
-				const displayName = featureName.split("|")[0];
-				parts.push(`| ${level} | [[#${displayName}|${displayName}]] |`);
-			}
-		}
-
-		parts.push("");
-		return parts.join("\n");
+	_getRenderOptions () {
+		return {
+			monsterFormat: this.monsterFormat,
+			isDiceRoller: this.isDiceRoller,
+			isFeatureNotes: this.isFeatureNotes,
+			magicVariants: this.magicVariants,
+			templates: this._noteTemplates.getHash(),
+		};
 	}
 
 	/**
-	 * Render detailed subclass feature descriptions (organized by level)
+	 * Get the site data files to export
 	 */
-	_renderSubclassFeatureDetails(subclass, classData) {
-		const parts = [];
-
-		// Group features by level
-		const featuresByLevel = {};
-		for (const feature of subclass.subclassFeatures) {
-			const featureName = typeof feature === "string" ? feature : feature.subclassFeature;
-			const match = featureName.match(/\|(\d+)(?:\||$)/);
-			const level = match ? parseInt(match[1]) : null;
-
-			if (level) {
-				if (!featuresByLevel[level]) featuresByLevel[level] = [];
-				featuresByLevel[level].push(featureName);
-			}
-		}
-
-		// Render each level's features
-		for (const level of Object.keys(featuresByLevel).sort((a, b) => parseInt(a) - parseInt(b))) {
-			parts.push(`## Level ${level}\n`);
-
-			for (const featureName of featuresByLevel[level]) {
-				const featureData = this._findSubclassFeature(featureName, classData);
-
-				if (featureData) {
-					// Feature heading
-					parts.push(`### ${featureData.name}\n`);
+	_getDataFiles () {
+		const files = listFiles({dir: this.dataDir});
 
-					// Feature description
-					if (featureData.entries) {
-						parts.push(this._renderEntries(featureData.entries) + "\n");
-					}
-				}
-			}
-		}
+		// Generated files are not listed, but the tables collected from books and adventures (by
+		//   "node/generate-tables-data.js") are exported as table notes, as on the site's tables page
+		const genTablesPath = path.join(this.dataDir, "generated", "gendata-tables.json");
+		if (fs.existsSync(genTablesPath)) files.push(genTablesPath);
 
-		return parts.join("\n");
+		return files;
 	}
 
 	/**
-	 * Find a subclass feature by its reference string
+	 * Watch the data directory and homebrew/prerelease paths, exporting the changes to each data file as it is saved,
+	 * see `pExportChangedFiles`. Runs until `signal` is aborted.
+	 * @param [opts]
+	 * @param [opts.signal] Signal to stop watching on.
+	 * @param [opts.resourceTypes] Resource types to export, as for `export`.
 	 */
-	_findSubclassFeature(featureName, classData) {
-		if (!classData?.subclassFeature) return null;
+	async pWatch ({signal = null, resourceTypes = null} = {}) {
+		const changedFiles = new Set();
+		let timeout = null;
+		let pUpdate = Promise.resolve();
+
+		const onChange = file => {
+			if (!file.endsWith(".json")) return;
+			changedFiles.add(file);
+
+			// Editors often write a file more than once per save
+			clearTimeout(timeout);
+			timeout = setTimeout(() => {
+				const files = [...changedFiles];
+				changedFiles.clear();
+				// Run one update at a time, so each sees the export state the last one saved
+				pUpdate = pUpdate
+					.then(() => this.pExportChangedFiles(files, {resourceTypes}))
+					.catch(e => {
+						console.error(`\n✗ Failed to export changes:`, e.message);
+						if (this.verbose) console.error(e.stack);
+					});
+			}, MarkdownExportEngine.WATCH_DEBOUNCE_MS);
+		};
 
-		// Parse the feature reference - handles multiple formats:
-		// PHB format (6 parts): "Feature Name|ClassName||SubclassName||Level|Source"
-		// XPHB format (6 parts): "Feature Name|ClassName|Source|SubclassName|Source|Level"
-		// Extended format (7 parts): "Feature Name|ClassName|ClassSource|SubclassName|SubclassSource|Level|Source"
-		const parts = featureName.split("|");
-		const name = parts[0];
-		const className = parts[1];
+		// Brew paths may be files, directories or globs; their directories are watched for new files, too
+		const brewDirs = this.brewPaths.map(brewPath => fs.existsSync(brewPath) && fs.statSync(brewPath).isDirectory() ? brewPath : path.dirname(brewPath));
+		const watchers = [
+			{dir: this.dataDir, recursive: true},
+			...[...new Set(brewDirs)].filter(dir => fs.existsSync(dir)).map(dir => ({dir, recursive: false})),
+		]
+			.map(({dir, recursive}) => fs.watch(dir, {recursive}, (event, filename) => {
+				if (filename) onChange(path.join(dir, filename));
+			}));
 
-		let subclassShortName, level, source, classSource, subclassSource;
+		console.log(`\nWatching ${[this.dataDir, ...this.brewPaths].join(", ")} for changes...`);
 
-		if (parts.length === 7) {
-			// Extended format with both classSource and subclassSource
-			classSource = parts[2];
-			subclassShortName = parts[3];
-			subclassSource = parts[4];
-			level = parts[5] ? parseInt(parts[5]) : null;
-			source = parts[6];
-		} else if (parts[2] === "") {
-			// PHB format
-			subclassShortName = parts[3];
-			level = parts[5] ? parseInt(parts[5]) : null;
-			source = parts[6];
-		} else {
-			// XPHB format
-			source = parts[2];
-			subclassShortName = parts[3];
-			level = parts[5] ? parseInt(parts[5]) : null;
+		try {
+			await new Promise(resolve => {
+				if (!signal) return;
+				if (signal.aborted) return resolve();
+				signal.addEventListener("abort", resolve, {once: true});
+			});
+		} finally {
+			clearTimeout(timeout);
+			watchers.forEach(watcher => watcher.close());
 		}
-
-		return classData.subclassFeature.find(f =>
-			f.name === name &&
-			f.className === className &&
-			f.subclassShortName === subclassShortName &&
-			(!level || f.level === level) &&
-			(!source || f.source === source) &&
-			(!classSource || f.classSource === classSource) &&
-			(!subclassSource || f.subclassSource === subclassSource)
-		);
+		await pUpdate;
 	}
 
 	/**
-	 * Format feat content
+	 * Export the changed entries of changed data files, and the notes which render data from them: entries which
+	 * `_copy` a changed entry, monsters of a changed legendary group, entries with changed fluff, and the spell list,
+	 * magic variant, canvas and index notes. Each note written is logged.
+	 * @param files Paths of the changed (or deleted) data and homebrew/prerelease files.
+	 * @param [opts]
+	 * @param [opts.resourceTypes] Resource types to export, as for `export`.
 	 */
-	_formatFeat(entry) {
-		const parts = [];
+	async pExportChangedFiles (files, {resourceTypes = null} = {}) {
+		const filesChanged = new Set(files.map(file => path.resolve(file)));
+		const isFileChanged = file => filesChanged.has(path.resolve(file));
+
+		this._resetStats();
+		this.removedFiles = [];
+		this.keptFiles = [];
+		// Copies may resolve against entries in any file
+		this._resolvedCache = {};
+		MarkdownExportEngine._clearSiteDataCaches();
+
+		this.brewFiles = new Set(MarkdownExportEngine.getBrewFiles(this.brewPaths));
+		const dataFiles = this._getDataFiles()
+			.filter(file => !resourceTypes || this._isFileMatchingResourceTypes(file, resourceTypes));
+		const exportFiles = [...dataFiles, ...this.brewFiles];
+		const changedExportFiles = exportFiles.filter(isFileChanged);
+		changedExportFiles.forEach(file => {
+			this._sourceData.delete(file);
+			delete this._brewMetas[file];
+		});
+
+		if (filesChanged.has(path.resolve(this._getLegendaryGroupsPath()))) this._loadLegendaryGroups();
+		if (filesChanged.has(path.resolve(this._getSpellClassLookupPath()))) this._loadSpellClassLookup();
+
+		const timestamp = new Date().toLocaleTimeString();
+		console.log(`\n[${timestamp}] Changed: ${files.map(file => path.relative(".", file)).join(", ")}`);
+
+		const notesWritten = [];
+		this._patchLoadJson();
+		try {
+			await this.tracker.loadState();
+
+			// Data file -> keys of unchanged entries to export again
+			const forceEntryKeys = new Map();
+			const addForceEntryKeys = (file, entryKeys) => {
+				if (!entryKeys.size) return;
+				const existing = forceEntryKeys.get(file) || new Set();
+				entryKeys.forEach(entryKey => existing.add(entryKey));
+				forceEntryKeys.set(file, existing);
+			};
 
-		// Title
-		parts.push(`# ${entry.name}\n`);
+			const changedEntryKeys = new Set();
+			for (const file of changedExportFiles) {
+				const {entries, removed} = await this.tracker.detectChanges(file);
+				entries.forEach(({entryKey}) => changedEntryKeys.add(entryKey));
+				removed.forEach(({entryKey}) => changedEntryKeys.add(entryKey));
 
-		// Initialize full entries (required for feats)
-		// First try the feat-specific initialization
-		Renderer.feat.initFullEntries(entry);
+				// Fluff in homebrew is kept alongside the entries it belongs to
+				if (this.brewFiles.has(file)) addForceEntryKeys(file, this._getFluffEntryKeys(file));
+			}
 
-		// If that didn't work, use the generic initializer
-		if (!entry._fullEntries && entry.entries) {
-			Renderer.utils.initFullEntries_(entry);
-		}
+			// Fluff files (e.g. "fluff-bestiary-mm.json") belong to the data file of the same name
+			files
+				.filter(file => path.basename(file).startsWith("fluff-") && fs.existsSync(file))
+				.forEach(file => {
+					const dataFile = exportFiles.find(it => path.resolve(it) === path.resolve(path.dirname(file), path.basename(file).replace(/^fluff-/, "")));
+					if (dataFile) addForceEntryKeys(dataFile, this._getFluffEntryKeys(file));
+				});
 
-		// Description - use _fullEntries if available
-		const entriesToRender = entry._fullEntries || entry.entries;
-		if (entriesToRender) {
-			parts.push(this._renderEntries(entriesToRender));
+			for (const [file, entryKeys] of this._getDependentEntryKeys(exportFiles, changedEntryKeys, {changedFiles: changedExportFiles})) {
+				addForceEntryKeys(file, entryKeys);
+			}
+
+			for (const file of new Set([...changedExportFiles, ...forceEntryKeys.keys()])) {
+				const result = await this._pExportFile(file, {forceEntryKeys: forceEntryKeys.get(file)});
+				this._applyFileResult(result);
+				notesWritten.push(...result.notes);
+			}
+
+			const isChanged = resourceTypes => changedExportFiles.some(file => this.brewFiles.has(file) || this._isFileMatchingResourceTypes(file, resourceTypes));
+			if (isChanged(["spell"])) await this._pExportSpellLists();
+			if (isChanged(["item", "magicvariant"])) await this._pExportMagicVariants();
+			if (isChanged(["bestiary"])) await this._pExportScaledCreatures();
+			if (this.isCanvas && isChanged(["class"])) await this._pExportClassCanvases();
+			if (this.isCanvas && isChanged(["adventure", "book"])) this._exportAdventureBookCanvases();
+		} finally {
+			this._unpatchLoadJson();
 		}
 
-		// Source
-		if (entry.source) {
-			const sourceFull = Parser.sourceJsonToFull(entry.source);
-			const pageStr = entry.page ? `, page ${entry.page}` : "";
-			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+		const removedFiles = (await this.tracker.detectRemovedFiles())
+			.filter(({sourceFile}) => isFileChanged(sourceFile));
+		for (const {sourceFile, removed} of removedFiles) {
+			for (const removedEntry of removed) this.removeEntry(removedEntry, sourceFile);
 		}
 
-		return parts.join("\n");
-	}
+		if (this.isIndex) this._exportIndexes();
 
-	/**
-	 * Format subrace content
-	 */
-	_formatSubrace(entry) {
-		const parts = [];
+		const referencedByFiles = this.isReferencedBy ? this._exportReferencedBy() : [];
 
-		// Title - include base race name
-		const fullName = entry.raceName ? `${entry.name} ${entry.raceName}` : entry.name;
-		parts.push(`# ${fullName}\n`);
+		if (this.isAuditLinks) this._auditLinks();
 
-		// Description
-		if (entry.entries) {
-			parts.push(this._renderEntries(entry.entries));
-		}
+		await this.tracker.saveState();
 
-		// Source
-		if (entry.source) {
-			const sourceFull = Parser.sourceJsonToFull(entry.source);
-			const pageStr = entry.page ? `, page ${entry.page}` : "";
-			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
-		}
+		const keptFiles = new Set(this.keptFiles);
+		notesWritten
+			.filter(({outputPath}) => !keptFiles.has(outputPath))
+			.forEach(({outputPath, reason}) => console.log(`  ✓ ${reason === "new" ? "Created" : "Updated"} ${path.relative(this.outputDir, outputPath)}`));
+		this.removedFiles.forEach(file => console.log(`  ✗ ${this.orphans === "move" ? "Moved" : "Removed"} ${path.relative(this.outputDir, file)}`));
+		this.keptFiles.forEach(file => console.log(`  ! Kept ${path.relative(this.outputDir, file)} (edited by hand)`));
+		const notesWrittenFiles = new Set(notesWritten.map(({outputPath}) => outputPath));
+		referencedByFiles
+			.filter(file => !notesWrittenFiles.has(file))
+			.forEach(file => console.log(`  ✓ Updated references in ${path.relative(this.outputDir, file)}`));
+		if (!notesWritten.length && !referencedByFiles.length && !this.removedFiles.length && !this.keptFiles.length) console.log(`  No notes changed`);
+		if (this.stats.errors) console.log(`  Errors: ${this.stats.errors}`);
 
-		return parts.join("\n");
+		return this.stats;
 	}
 
 	/**
-	 * Format language content
+	 * Clear the site's caches of loaded entities, which would otherwise keep the entities (e.g. the parents of copies,
+	 * and fluff) as they were when first loaded
 	 */
-	_formatLanguage(entry) {
-		const parts = [];
-
-		// Title
-		parts.push(`# ${entry.name}\n`);
-
-		// Type
-		if (entry.type) {
-			const typeMap = {
-				'standard': 'Standard Language',
-				'exotic': 'Exotic Language',
-				'rare': 'Rare Language',
-				'secret': 'Secret Language'
-			};
-			const typeStr = typeMap[entry.type] || entry.type;
-			parts.push(`*${typeStr}*\n`);
-		}
+	static _clearSiteDataCaches () {
+		Object.values(DataUtil).forEach(impl => { if (impl?._mergeCache) impl._mergeCache = null; });
+
+		DataLoader._CACHE = new DataLoader._CACHE.constructor();
+		DataLoader._DATA_TYPE_LOADER_LIST.forEach(loader => {
+			loader._cache_pSiteData = {};
+			loader._cache_pPostCaches = {};
+		});
+	}
 
-		// Origin
-		if (entry.origin) {
-			parts.push(`**Origin:** ${entry.origin}\n`);
-		}
+	/**
+	 * Get the keys of the entries a fluff file (or homebrew file) has fluff for, e.g. "monster|aboleth|mm"
+	 */
+	_getFluffEntryKeys (file) {
+		const data = this._getSourceData(file);
+		return new Set(
+			Object.entries(data)
+				.filter(([prop, entries]) => prop.endsWith("Fluff") && Array.isArray(entries))
+				.flatMap(([prop, entries]) => entries.map(entry => this.tracker._getEntryKey(prop.slice(0, -"Fluff".length), entry))),
+		);
+	}
 
-		// Script
-		if (entry.script) {
-			parts.push(`**Script:** ${entry.script}\n`);
+	/**
+	 * Find the entries whose notes render data from the given entries: entries which `_copy` one of them (directly, or
+	 * via other copies), and monsters of a legendary group among them
+	 * @param files Data files to search.
+	 * @param entryKeys Keys of the changed entries.
+	 * @param [opts]
+	 * @param [opts.changedFiles] Data files which changed since the last search, so must be read again.
+	 * @return {Map<string, Set<string>>} Data file -> keys of dependent entries in it
+	 */
+	_getDependentEntryKeys (files, entryKeys, {changedFiles = []} = {}) {
+		// Data file -> [{entryKey, dependencyKeys}], for the entries of each file which depend on other entries. Files
+		//   are only read once per watch, as few entries have dependencies.
+		this._dependencyIndex ||= new Map();
+		changedFiles.forEach(file => this._dependencyIndex.delete(file));
+
+		const dependents = files.flatMap(file => {
+			if (!this._dependencyIndex.has(file)) this._dependencyIndex.set(file, this._getFileDependencies(file));
+			return this._dependencyIndex.get(file).map(it => ({...it, file}));
+		});
+
+		const out = new Map();
+		const entryKeysAffected = new Set(entryKeys);
+		for (let isAdded = true; isAdded;) {
+			isAdded = false;
+			for (const {file, entryKey, dependencyKeys} of dependents) {
+				if (entryKeysAffected.has(entryKey) || !dependencyKeys.some(it => entryKeysAffected.has(it))) continue;
+
+				entryKeysAffected.add(entryKey);
+				if (!out.has(file)) out.set(file, new Set());
+				out.get(file).add(entryKey);
+				isAdded = true;
+			}
 		}
+		return out;
+	}
 
-		// Typical Speakers
-		if (entry.typicalSpeakers && entry.typicalSpeakers.length > 0) {
-			const speakers = entry.typicalSpeakers.map(s => this._renderString(s)).join(", ");
-			parts.push(`**Typical Speakers:** ${speakers}\n`);
-		}
+	_getFileDependencies (file) {
+		if (!fs.existsSync(file)) return [];
 
-		// Description (if exists)
-		if (entry.entries) {
-			parts.push(this._renderEntries(entry.entries));
-		}
+		const content = fs.readFileSync(file, "utf8");
+		if (!content.includes(`"_copy"`) && !content.includes(`"legendaryGroup"`)) return [];
 
-		// Source
-		if (entry.source) {
-			const sourceFull = Parser.sourceJsonToFull(entry.source);
-			const pageStr = entry.page ? `, page ${entry.page}` : "";
-			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
-		}
+		let data;
+		try {
+			data = JSON.parse(content.replace(/^\uFEFF/, ""));
+		} catch (e) {
+			return [];
+		}
+
+		return Object.entries(data)
+			.filter(([, entries]) => Array.isArray(entries))
+			.flatMap(([prop, entries]) => entries
+				.filter(entry => entry?._copy || entry?.legendaryGroup)
+				.map(entry => ({
+					entryKey: this.tracker._getEntryKey(prop, entry),
+					dependencyKeys: [
+						entry._copy ? this.tracker._getEntryKey(prop, entry._copy) : null,
+						entry.legendaryGroup ? this.tracker._getEntryKey("legendaryGroup", entry.legendaryGroup) : null,
+					].filter(Boolean),
+				})));
+	}
 
-		return parts.join("\n");
+	/**
+	 * Process a single data file
+	 */
+	async processFile(sourceFile, force = false) {
+		this._applyFileResult(await this._pExportFile(sourceFile, {force}));
 	}
 
 	/**
-	 * Format deity content
+	 * Export a data file's changed entries, without writing them. The returned notes are written by `_applyFileResult`,
+	 * so worker threads can export files in any order, while notes are written in file order.
 	 */
-	_formatDeity(entry) {
-		const parts = [];
+	async _pExportFile (sourceFile, {force = false, forceEntryKeys = null} = {}) {
+		this.log(`Processing ${sourceFile}...`);
 
-		// Title
-		parts.push(`# ${entry.name}\n`);
+		const out = {sourceFile, fileHash: null, notes: [], removed: []};
 
-		// Title/epithet
-		if (entry.title) {
-			parts.push(`*${entry.title}*\n`);
-		}
+		// Item types and properties are otherwise only loaded as a side effect of rendering certain entries, so whether
+		//   they were available would depend on which files were exported before this one (on this thread)
+		await Renderer.item.pPopulatePropertyAndTypeReference();
 
-		// Alignment
-		if (entry.alignment) {
-			const alignmentStr = Parser.alignmentListToFull(entry.alignment);
-			parts.push(`**Alignment:** ${alignmentStr}\n`);
-		}
+		// Detect changes
+		const changeInfo = await this.tracker.detectChanges(sourceFile, {isForce: force, forceEntryKeys});
 
-		// Domains
-		if (entry.domains && entry.domains.length > 0) {
-			parts.push(`**Domains:** ${entry.domains.join(", ")}\n`);
+		if (!changeInfo.changed) {
+			this.log(`  No changes detected, skipping`);
+			return out;
 		}
 
-		// Pantheon
-		if (entry.pantheon) {
-			parts.push(`**Pantheon:** ${entry.pantheon}\n`);
-		}
+		this.log(`  ${changeInfo.entries.length} entries changed`);
 
-		// Province
-		if (entry.province) {
-			parts.push(`**Province:** ${entry.province}\n`);
-		}
+		out.fileHash = changeInfo.fileHash;
+		out.removed = changeInfo.removed;
 
-		// Symbol
-		if (entry.symbol) {
-			parts.push(`**Symbol:** ${entry.symbol}\n`);
+		this._sourceData.set(sourceFile, changeInfo.data);
+		this._pendingNotes = out.notes;
+		this._pendingRemoved = out.removed;
+		try {
+			for (const changeEntry of changeInfo.entries) {
+				// Content checks (e.g. metadata-only foundry entries) happen in `exportEntry`,
+				//   after any `_copy` has been resolved
+				try {
+					await this.exportEntry(changeEntry, sourceFile);
+				} catch (e) {
+					console.error(`  Error exporting ${changeEntry.entryKey}:`, e.message);
+					this.stats.errors++;
+				}
+			}
+		} finally {
+			this._pendingNotes = null;
+			this._pendingRemoved = null;
+			// Brew files may be read again, to resolve `_copy`s in other brew files
+			if (!this.brewFiles.has(sourceFile)) this._sourceData.delete(sourceFile);
 		}
 
-		// Description
-		if (entry.entries) {
-			parts.push("\n" + this._renderEntries(entry.entries));
-		}
+		return out;
+	}
 
-		// Source
-		if (entry.source) {
-			const sourceFull = Parser.sourceJsonToFull(entry.source);
-			const pageStr = entry.page ? `, page ${entry.page}` : "";
-			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+	/**
+	 * Write the notes exported from a data file, and update export state and stats
+	 */
+	_applyFileResult ({sourceFile, fileHash, notes, removed}) {
+		for (const {outputPath, markdown, ...noteMeta} of notes) {
+			this._writeNote(outputPath, markdown, {...noteMeta, sourceFile, fileHash});
 		}
 
-		return parts.join("\n");
+		// Remove notes for entries which were deleted or renamed in the source file.
+		//   This runs after exporting, so renamed entries already own their new note.
+		if (removed.length) {
+			this.log(`  ${removed.length} entries removed`);
+			for (const removedEntry of removed) this.removeEntry(removedEntry, sourceFile);
+			this.tracker.updateFileHash(sourceFile, fileHash);
+		}
 	}
 
 	/**
-	 * Format object content
+	 * Export data files on a pool of worker threads. Results are applied in file order as they arrive, so notes and
+	 * export state are the same as when exporting on the main thread.
 	 */
-	_formatObject(entry) {
-		const parts = [];
+	async _pProcessFilesInWorkers (files, {force = false, progress = null} = {}) {
+		const results = [];
+		let ixNextSend = 0;
+		let ixNextApply = 0;
+
+		const workerData = {
+			options: {...this._options, jobs: 1, isProgress: false},
+			brewFiles: [...this.brewFiles],
+		};
+		const workers = [...new Array(Math.min(this.jobs, files.length))]
+			.map(() => new Worker(MarkdownExportEngine.WORKER_PATH, {workerData}));
 
-		// Title
-		parts.push(`# ${entry.name}\n`);
+		try {
+			await Promise.all(workers.map(worker => new Promise((resolve, reject) => {
+				const sendNext = () => {
+					if (ixNextSend >= files.length) return resolve();
+					const ix = ixNextSend++;
+					worker.postMessage({ix, sourceFile: files[ix], force, fileState: this.tracker.getFileState(files[ix])});
+				};
+
+				worker.on("message", ({ix, result, error, stats, keptFiles}) => {
+					if (error) {
+						console.error(`  Error processing ${files[ix]}:`, error);
+						this.stats.errors++;
+					}
+					this.stats.skipped += stats.skipped;
+					this.stats.errors += stats.errors;
+					this.stats.kept += stats.kept;
+					this.keptFiles.push(...keptFiles);
+					results[ix] = result || {sourceFile: files[ix], fileHash: null, notes: [], removed: []};
+
+					for (; results[ixNextApply]; ++ixNextApply) {
+						this._applyFileResult(results[ixNextApply]);
+						results[ixNextApply] = null;
+						progress?.tick(files[ixNextApply], this.stats.notesByType);
+					}
 
-		// Size and Type
-		const typeInfo = [];
-		if (entry.size) {
-			const sizeMap = {T: "Tiny", S: "Small", M: "Medium", L: "Large", H: "Huge", G: "Gargantuan"};
-			const sizes = Array.isArray(entry.size) ? entry.size : [entry.size];
-			typeInfo.push(sizes.map(s => sizeMap[s] || s).join(" or "));
-		}
-		if (entry.objectType) {
-			const typeMap = {
-				'SW': 'siege weapon',
-				'SPC': 'space object',
-				'VEH': 'vehicle'
-			};
-			typeInfo.push(typeMap[entry.objectType] || entry.objectType);
-		}
-		if (typeInfo.length) {
-			parts.push(`*${typeInfo.join(" ")}*\n`);
-		}
+					sendNext();
+				});
+				worker.on("error", reject);
+				// Only rejects if the worker stops before all files have been exported
+				worker.on("exit", code => reject(new Error(`Export worker stopped unexpectedly (exit code ${code})`)));
 
-		// Stats
-		const stats = [];
-		if (entry.ac !== undefined) {
-			const ac = typeof entry.ac === 'object' ? entry.ac.ac : entry.ac;
-			stats.push(`**Armor Class** ${ac}`);
-		}
-		if (entry.hp !== undefined) {
-			const hp = typeof entry.hp === 'object' ? entry.hp.hp : entry.hp;
-			stats.push(`**Hit Points** ${hp}`);
-		}
-		if (stats.length) {
-			parts.push(stats.join("  \n") + "\n");
+				sendNext();
+			})));
+		} finally {
+			await Promise.all(workers.map(worker => worker.terminate()));
 		}
+	}
 
-		// Immunities
-		if (entry.immune && entry.immune.length > 0) {
-			parts.push(`**Damage Immunities** ${entry.immune.join(", ")}\n`);
+	/**
+	 * Path in the orphan directory to move a note to. An earlier orphan with the same path (e.g. an entry renamed back
+	 *   and then removed again) is kept, and the note numbered instead.
+	 */
+	_getOrphanPath (outputFile) {
+		const orphanPath = path.join(this.outputDir, MarkdownExportEngine.ORPHAN_DIR, path.relative(this.outputDir, outputFile));
+		const isTaken = filePath => fs.existsSync(filePath) || fs.existsSync(filePath.replace(/\.md$/, ""));
+		if (!isTaken(orphanPath)) return orphanPath;
+
+		const {dir, name, ext} = path.parse(orphanPath);
+		for (let i = 2; ; ++i) {
+			const orphanPathNumbered = path.join(dir, `${name} (${i})${ext}`);
+			if (!isTaken(orphanPathNumbered)) return orphanPathNumbered;
 		}
+	}
 
-		// Description
-		if (entry.entries) {
-			parts.push(this._renderEntries(entry.entries) + "\n");
+	/**
+	 * Remove (or move to the orphan directory) the note for an entry which no longer exists in its source file
+	 */
+	removeEntry ({entryKey, outputFile}, sourceFile) {
+		// Another entry may still write to the same note (e.g. the same item in multiple files)
+		if (!outputFile || this.tracker.isOutputFileShared(outputFile, {sourceFile, entryKey})) {
+			this.tracker.removeEntryState(sourceFile, entryKey, {action: "untracked", outputFile});
+			return;
 		}
 
-		// Actions
-		if (entry.actionEntries && entry.actionEntries.length > 0) {
-			parts.push("## Actions\n");
-			for (const action of entry.actionEntries) {
-				if (action.name) {
-					parts.push(`### ${this._renderString(action.name)}\n`);
-				}
-				if (action.entries) {
-					parts.push(this._renderEntries(action.entries) + "\n");
+		// Adventure/book chapters split into sections (see `isSplitSections`) have their section notes in a folder named
+		//   after the chapter note
+		const sectionDir = entryKey.startsWith("data|") ? outputFile.replace(/\.md$/, "") : null;
+
+		try {
+			if (fs.existsSync(outputFile)) {
+				if (this.orphans === "move") {
+					const orphanPath = this._getOrphanPath(outputFile);
+					fs.mkdirSync(path.dirname(orphanPath), {recursive: true});
+					fs.renameSync(outputFile, orphanPath);
+					if (sectionDir && fs.existsSync(sectionDir)) fs.renameSync(sectionDir, orphanPath.replace(/\.md$/, ""));
+				} else {
+					fs.unlinkSync(outputFile);
+					if (sectionDir) this._cleanAdventureBookSectionNotes(path.relative(this.outputDir, sectionDir), []);
 				}
 			}
+		} catch (e) {
+			console.error(`  Error removing ${outputFile}:`, e.message);
+			this.stats.errors++;
+			return;
 		}
 
-		// Source
-		if (entry.source) {
-			const sourceFull = Parser.sourceJsonToFull(entry.source);
-			const pageStr = entry.page ? `, page ${entry.page}` : "";
-			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
-		}
-
-		return parts.join("\n");
+		this.tracker.removeEntryState(sourceFile, entryKey, {action: this.orphans, outputFile});
+		this.removedFiles.push(outputFile);
+		this.stats.removed++;
+		this.log(`  ✗ Removed ${path.basename(outputFile)} (${entryKey})`);
 	}
 
 	/**
-	 * Format psionic entry content
+	 * Export a single entry
 	 */
-	_formatPsionic(entry) {
-		const parts = [];
-
-		// Title
-		parts.push(`# ${entry.name}\n`);
+	async exportEntry (changeEntry, sourceFile) {
+		const {entryType, entryKey, entryHash, reason} = changeEntry;
+		let {entry} = changeEntry;
+
+		// Header indexes would otherwise carry over from whichever entry was rendered before this one
+		this.renderer.resetHeaderIndex();
+
+		// Resolve _copy entries (reprints, variant creatures, `_mod`-patched items) against their parent
+		const copy = entry._copy || null;
+		if (copy) {
+			entry = await this._pGetResolvedEntry(entryType, entry, sourceFile);
+			if (!entry) {
+				this.log(`  Skipping ${changeEntry.entry.name} from ${changeEntry.entry.source}: could not resolve _copy of ${copy.name} (${copy.source})`);
+				this.stats.skipped++;
+				return;
+			}
+		}
 
-		// Type and Order (for disciplines)
-		const typeInfo = [];
-		if (entry.type) {
-			const typeMap = {'D': 'Psionic Discipline', 'T': 'Psionic Talent'};
-			typeInfo.push(typeMap[entry.type] || entry.type);
+		// Skip entries without required content fields
+		// (e.g., foundry-*.json files often have metadata-only entries)
+		if (entryType === "class" && !entry.classFeatures) {
+			this.log(`  Skipping ${entry.name} from ${entry.source}: no classFeatures field (likely foundry data)`);
+			this.stats.skipped++;
+			return;
 		}
-		if (entry.order) {
-			typeInfo.push(`(${entry.order})`);
+		if (entryType === "subclass" && !entry.subclassFeatures) {
+			this.log(`  Skipping ${entry.name} from ${entry.source}: no subclassFeatures field (likely foundry data)`);
+			this.stats.skipped++;
+			return;
 		}
-		if (typeInfo.length) {
-			parts.push(`*${typeInfo.join(" ")}*\n`);
+		if (entryType === "feat" && !entry.entries) {
+			this.log(`  Skipping ${entry.name} from ${entry.source}: no entries field`);
+			this.stats.skipped++;
+			return;
 		}
-
-		// Description
-		if (entry.entries) {
-			parts.push(this._renderEntries(entry.entries) + "\n");
+		if ((entryType === "race" || entryType === "subrace") && !entry.entries) {
+			this.log(`  Skipping ${entry.name} from ${entry.source}: no entries field`);
+			this.stats.skipped++;
+			return;
 		}
 
-		// Psychic Focus (only for disciplines)
-		if (entry.focus) {
-			parts.push(`## Psychic Focus\n`);
-			parts.push(`${this._renderString(entry.focus)}\n`);
+		// Generic magic item variants are exported with their specific variants, see `_pExportMagicVariants`
+		if (entryType === "magicvariant") return;
+
+		// Adventure/book chapters are filtered as their adventure/book is
+		const {prop: filterEntryType, meta: filterEntry} = (entryType === "data" && this.adventureBookIndex.getFileMeta(sourceFile)) || {prop: entryType, meta: entry};
+		const filterReason = this.filter.getEntryExcludedReason(filterEntryType, filterEntry, {isBrew: this.brewFiles.has(sourceFile)});
+		if (filterReason) return this._skipFilteredEntry(changeEntry, sourceFile, filterReason);
+
+		if ((entryType === "classFeature" || entryType === "subclassFeature") && !this.isFeatureNotes) {
+			this.log(`  Skipping ${entry.name} from ${entry.source}: class/subclass features are only exported as notes with the feature notes option`);
+			this.stats.skipped++;
+			return;
+		}
+		// Entries in foundry-*.json files are metadata for the site's Foundry VTT integration, duplicating (parts of) those
+		//   in the other data files, which are exported instead
+		if (path.basename(sourceFile).startsWith("foundry")) {
+			this.log(`  Skipping ${entry.name} from ${entry.source}: foundry data`);
+			this.stats.skipped++;
+			return;
 		}
 
-		// Modes (only for disciplines)
-		if (entry.modes && entry.modes.length > 0) {
-			parts.push(`## Discipline Modes\n`);
-			for (const mode of entry.modes) {
-				if (mode.name) {
-					// Mode name with cost
-					let modeName = mode.name;
-					if (mode.cost) {
-						const costStr = mode.cost.min === mode.cost.max
-							? `${mode.cost.min} psi`
-							: `${mode.cost.min}-${mode.cost.max} psi`;
-						modeName += ` (${costStr})`;
-					}
-					parts.push(`### ${this._renderString(modeName)}\n`);
-				}
+		// Adventure and book chapters are written into a folder per adventure/book
+		if (entryType === "data" && this.adventureBookIndex.getFileMeta(sourceFile)) {
+			return this._pExportAdventureBookChapter({...changeEntry, entry}, sourceFile);
+		}
 
-				// Concentration
-				if (mode.concentration) {
-					const duration = mode.concentration.duration;
-					const unit = mode.concentration.unit;
-					parts.push(`*Concentration, up to ${duration} ${unit}*\n`);
-				}
+		// Get resource directory
+		const resourceInfo = MarkdownExportEngine.RESOURCE_TYPE_MAP[entryType];
+		if (!resourceInfo) {
+			this.log(`  Skipping unknown resource type: ${entryType}`);
+			this.stats.skipped++;
+			return;
+		}
 
-				// Mode description
-				if (mode.entries) {
-					parts.push(this._renderEntries(mode.entries) + "\n");
-				}
-			}
+		// Generate filename
+		// For subraces, include the base race name
+		let displayName = entry.name;
+		if (entryType === "subrace" && entry.raceName) {
+			displayName = `${entry.name} ${entry.raceName}`;
 		}
+		const filename = this._sanitizeFilename(`${displayName} (${entry.source || "Unknown"}).md`);
+		let outputPath = path.join(this.outputDir, resourceInfo.dir, filename);
 
-		// Source
-		if (entry.source) {
-			const sourceFull = Parser.sourceJsonToFull(entry.source);
-			const pageStr = entry.page ? `, page ${entry.page}` : "";
-			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+		// Adventure/book index entries become the table-of-contents note inside the adventure/book's folder
+		if (entryType === "adventure" || entryType === "book") {
+			outputPath = path.join(this.outputDir, `${this.adventureBookIndex.getIndexNotePath(entryType, entry)}.md`);
 		}
 
-		return parts.join("\n");
-	}
+		if (entryType === "classFeature") outputPath = path.join(this.outputDir, `${MarkdownExportEngine.getClassFeatureNotePath(entry)}.md`);
+		if (entryType === "subclassFeature") outputPath = path.join(this.outputDir, `${MarkdownExportEngine.getSubclassFeatureNotePath(entry)}.md`);
+		if (entryType === "card") outputPath = path.join(this.outputDir, `${MarkdownExportEngine.getCardNotePath(entry)}.md`);
 
-	/**
-	 * Format reward entry content
-	 */
-	_formatReward(entry) {
-		const parts = [];
+		const deckIndex = entryType === "card" ? this._getCardDeckIndex(entry, sourceFile) : null;
 
-		// Title
-		parts.push(`# ${entry.name}\n`);
+		// Generate frontmatter
+		const frontmatter = this.frontmatterGenerator.generate(entry, entryType, entryHash, {copy, brewSource: this._getBrewSource(sourceFile, entry), deckIndex});
 
-		// Reward type
-		if (entry.type) {
-			parts.push(`*${entry.type}*\n`);
-		}
+		const frontmatterFilterReason = this.filter.getFrontmatterExcludedReason(entryType, frontmatter);
+		if (frontmatterFilterReason) return this._skipFilteredEntry(changeEntry, sourceFile, frontmatterFilterReason);
 
-		// Description
-		if (entry.entries) {
-			parts.push(this._renderEntries(entry.entries) + "\n");
-		}
+		const fluff = await this._pGetFluff(entryType, entry);
 
-		// Source
-		if (entry.source) {
-			const sourceFull = Parser.sourceJsonToFull(entry.source);
-			const pageStr = entry.page ? `, page ${entry.page}` : "";
-			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+		// Generate markdown content
+		// For classes, subclasses and their features, pass the full file data for accessing features (and subclasses)
+		let markdown;
+		if (entryType === "class" || entryType === "subclass" || entryType === "classFeature" || entryType === "subclassFeature") {
+			const fullData = this._getSourceData(sourceFile);
+			markdown = this.formatter.format(entry, entryType, frontmatter, fullData, {fluff});
+		} else if (entryType === "adventure" || entryType === "book" || entryType === "table" || entryType === "tableGroup") {
+			markdown = this.formatter.format(entry, entryType, frontmatter, this.adventureBookIndex, {fluff});
+		} else if (entryType === "card") {
+			markdown = this.formatter.format(entry, entryType, frontmatter, {deckIndex}, {fluff});
+		} else if (entryType === "monster") {
+			const scaledVersions = this._getScaledVersions(entry)
+				.map(version => ({notePath: MarkdownExportEngine.getScaledCreatureNotePath(entry, version), label: MarkdownExportEngine._getScaleLabel(version)}));
+			markdown = this.formatter.format(entry, entryType, frontmatter, {scaledVersions}, {fluff});
+		} else {
+			markdown = this.formatter.format(entry, entryType, frontmatter, null, {fluff});
 		}
 
-		return parts.join("\n");
+		this._queueNote(outputPath, markdown, {entryType, entryKey, entryHash, reason});
 	}
 
 	/**
-	 * Format table entry content
+	 * Skip an entry which is filtered out, removing its note if it was exported before the filter changed
 	 */
-	_formatTable(entry) {
-		const parts = [];
+	_skipFilteredEntry ({entry, entryKey}, sourceFile, reason) {
+		// Adventure/book chapters have no source of their own
+		this.log(`  Skipping ${entry.name}${entry.source ? ` from ${entry.source}` : ""}: ${reason}`);
+		this.stats.skipped++;
 
-		// Title
-		parts.push(`# ${entry.name}\n`);
+		const outputFile = this.tracker.getFileState(sourceFile)?.entries?.[entryKey]?.output_file;
+		if (outputFile) this._pendingRemoved.push({entryKey, outputFile});
+	}
 
-		// Caption (if different from name)
-		if (entry.caption && entry.caption !== entry.name) {
-			parts.push(`*${entry.caption}*\n`);
-		}
-
-		// Render the table
-		if (entry.colLabels && entry.rows) {
-			// Header row
-			const headers = entry.colLabels.join(" | ");
-			parts.push(`| ${headers} |`);
-
-			// Separator row
-			const separators = entry.colLabels.map(() => "---").join(" | ");
-			parts.push(`| ${separators} |`);
-
-			// Data rows
-			for (const row of entry.rows) {
-				// Process each cell through _renderString to convert tags to wikilinks
-				const cells = row.map(cell => {
-					if (typeof cell === 'string') {
-						return this._renderString(cell);
-					} else if (typeof cell === 'object' && cell.type === 'cell') {
-						// Handle cell objects (used for complex cells with entries)
-						if (cell.entry) {
-							return this._renderString(cell.entry);
-						} else if (cell.entries) {
-							return this._renderEntries(cell.entries);
-						}
-					}
-					return String(cell);
-				});
-				parts.push(`| ${cells.join(" | ")} |`);
-			}
+	/**
+	 * Get a card's (1-based) position in its deck's card list, or null if its deck isn't in the card's file
+	 */
+	_getCardDeckIndex (card, sourceFile) {
+		const deck = (this._getSourceData(sourceFile).deck || [])
+			.find(it => it.name === card.set && it.source === card.source);
+		if (!deck?.cards) return null;
+
+		const ix = deck.cards.findIndex(it => {
+			const {name, set, source} = DataUtil.deck.unpackUidCard(it.uid ?? it, {isLower: true});
+			return name === card.name.toLowerCase() && set === card.set.toLowerCase() && source === card.source.toLowerCase();
+		});
+		return ~ix ? ix + 1 : null;
+	}
 
-			parts.push(""); // Empty line after table
-		}
+	/**
+	 * Route the site's JSON loading through the filesystem, so `_copy` dependencies can be loaded. Fluff files, which the
+	 * site's data loader reads from the site's "data" directory, are read from the data directory being exported.
+	 */
+	_patchLoadJson () {
+		patchLoadJson();
 
-		// Source
-		if (entry.source) {
-			const sourceFull = Parser.sourceJsonToFull(entry.source);
-			const pageStr = entry.page ? `, page ${entry.page}` : "";
-			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+		this._loadJsonUnpatched = {loadJSON: DataUtil.loadJSON, loadRawJSON: DataUtil.loadRawJSON};
+		DataUtil.loadJSON = url => this._loadJsonUnpatched.loadJSON(this._getFluffPath(url));
+		DataUtil.loadRawJSON = url => this._loadJsonUnpatched.loadRawJSON(this._getFluffPath(url));
+	}
+
+	_unpatchLoadJson () {
+		Object.assign(DataUtil, this._loadJsonUnpatched);
+		this._loadJsonUnpatched = null;
+
+		unpatchLoadJson();
+	}
+
+	// e.g. "data/fluff-feats.json", "data/bestiary/fluff-bestiary-mm.json"
+	static _RE_FLUFF_URL = /^data\/((?:[^/]+\/)?fluff-[^/]+\.json)$/;
+
+	_getFluffPath (url) {
+		const m = MarkdownExportEngine._RE_FLUFF_URL.exec(url);
+		return m ? path.join(this.dataDir, m[1]) : url;
+	}
+
+	/**
+	 * Get an entry's fluff (from its `fluff` property, or the matching `fluff-*.json` file), via the site's data loader
+	 */
+	async _pGetFluff (entryType, entry) {
+		if (!this.isFluff || !MarkdownExportEngine.FLUFF_ENTRY_TYPES.has(entryType)) return null;
+
+		try {
+			return await Renderer.utils.pGetProxyFluff({entity: entry, prop: entryType});
+		} catch (e) {
+			this.log(`  Failed to load fluff for ${entry.name} (${entry.source}): ${e.message}`);
+			return null;
 		}
+	}
 
-		return parts.join("\n");
+	/**
+	 * Queue a note exported from the data file being processed, to be written by `_applyFileResult`
+	 */
+	_queueNote (outputPath, markdown, {entryType, entryKey, entryHash, reason}) {
+		if (!this._pendingNotes) throw new Error(`Entries can only be exported while processing their data file!`);
+		this._pendingNotes.push({outputPath, markdown, entryType, entryKey, entryHash, reason});
 	}
 
 	/**
-	 * Format vehicle entry content
+	 * Write a note, and update export state and stats
 	 */
-	_formatVehicle(entry) {
-		const parts = [];
+	_writeNote (outputPath, markdown, {sourceFile, fileHash, entryType, entryKey, entryHash, reason}) {
+		// Left untracked, so the note is exported again once the entry next changes
+		if (!this._writeNoteFile(outputPath, markdown)) return;
 
-		// Title
-		parts.push(`# ${entry.name}\n`);
+		// Update state
+		this.tracker.updateEntryState(sourceFile, fileHash, entryKey, entryHash, outputPath);
 
-		// Vehicle type and size
-		const typeInfo = [];
-		if (entry.vehicleType) {
-			const vehicleTypeMap = {
-				'SHIP': 'Ship',
-				'SPELLJAMMER': 'Spelljammer',
-				'INFWAR': 'Infernal War Machine',
-				'CREATURE': 'Creature',
-				'OBJECT': 'Object',
-				'ELEMENTAL_AIRSHIP': 'Elemental Airship'
-			};
-			typeInfo.push(vehicleTypeMap[entry.vehicleType] || entry.vehicleType);
-		}
-		if (entry.size) {
-			const sizeMap = {T: "Tiny", S: "Small", M: "Medium", L: "Large", H: "Huge", G: "Gargantuan"};
-			const sizes = Array.isArray(entry.size) ? entry.size : [entry.size];
-			typeInfo.push(sizes.map(s => sizeMap[s] || s).join(" or "));
-		}
-		if (typeInfo.length) {
-			parts.push(`*${typeInfo.join(", ")}*\n`);
+		// Update stats
+		this.stats.notesByType[entryType] = (this.stats.notesByType[entryType] || 0) + 1;
+		const filename = path.basename(outputPath);
+		if (reason === "new") {
+			this.stats.created++;
+			this.log(`  ✓ Created ${filename}`);
+		} else {
+			this.stats.updated++;
+			this.log(`  ✓ Updated ${filename}`);
 		}
+	}
 
-		// Dimensions and pace (for ships)
-		const shipInfo = [];
-		if (entry.dimensions) {
-			shipInfo.push(`**Dimensions:** ${entry.dimensions.join(" × ")}`);
-		}
-		if (entry.pace !== undefined) {
-			shipInfo.push(`**Travel Pace:** ${entry.pace} miles per hour`);
-		}
-		// Crew capacity (capCreature for infernal war machines, capCrew for ships)
-		if (entry.capCreature !== undefined) {
-			shipInfo.push(`**Crew Capacity:** ${entry.capCreature}`);
-		}
-		// Cargo capacity - tons for ships, pounds for infernal war machines
-		if (entry.capCargo !== undefined) {
-			const isShip = entry.vehicleType === 'SHIP' || entry.vehicleType === 'SPELLJAMMER';
-			const unit = isShip ? 'tons' : 'lb.';
-			shipInfo.push(`**Cargo Capacity:** ${entry.capCargo} ${unit}`);
-		}
-		if (shipInfo.length) {
-			parts.push(shipInfo.join("  \n") + "\n");
-		}
+	/**
+	 * Write a note, carrying over the user-authored parts (see `USER_CONTENT_MARKER`) of the note it replaces. A hash of
+	 * the generated content is added to the note's frontmatter, so that hand edits to it can be detected.
+	 * @return {boolean} False if the note was left as it was, as it was edited by hand, and `isKeepEdited` is set.
+	 */
+	_writeNoteFile (outputPath, markdown) {
+		const markdownPrev = fs.existsSync(outputPath) ? fs.readFileSync(outputPath, "utf8") : null;
+
+		if (markdownPrev != null && this.isKeepEdited && MarkdownExportEngine.isNoteEdited(markdownPrev)) {
+			this.stats.kept++;
+			this.keptFiles.push(outputPath);
+			this.log(`  ! Kept ${path.basename(outputPath)}: edited by hand`);
+			return false;
+		}
+
+		let markdownOut = MarkdownExportEngine._getWithContentHash(markdown);
+		// User parts which are identical to generated ones are generated parts, e.g. an entry's own "Notes" section
+		const userParts = markdownPrev == null
+			? []
+			: MarkdownExportEngine._getNoteParts(markdownPrev).userParts.filter(it => !markdown.includes(it));
+		if (userParts.length) markdownOut = `${markdownOut.trimEnd()}\n\n${userParts.join("\n\n")}\n`;
+
+		fs.mkdirSync(path.dirname(outputPath), {recursive: true});
+		fs.writeFileSync(outputPath, markdownOut, "utf8");
+		return true;
+	}
+
+	/**
+	 * Split a note into its generated content, and the parts written by its reader
+	 * @return {{markdownGenerated: string, userParts: Array<string>}}
+	 */
+	static _getNoteParts (markdown) {
+		const lines = markdown.replace(/\r\n/g, "\n").split("\n");
+
+		const linesGenerated = [];
+		const userParts = [];
+		let ixUserStart = null;
+		const addUserPart = ixEnd => {
+			if (ixUserStart == null) return;
+			userParts.push(lines.slice(ixUserStart, ixEnd).join("\n").trim());
+			ixUserStart = null;
+		};
+
+		for (let i = 0; i < lines.length; ++i) {
+			const line = lines[i].trim();
+			if (line === this.USER_CONTENT_MARKER) {
+				addUserPart(i);
+				ixUserStart = i;
+				break;
+			}
 
-		// Ability scores (for ships/creatures)
-		if (entry.str !== undefined || entry.dex !== undefined || entry.con !== undefined) {
-			const abilities = [];
-			if (entry.str !== undefined) abilities.push(`**STR** ${entry.str}`);
-			if (entry.dex !== undefined) abilities.push(`**DEX** ${entry.dex}`);
-			if (entry.con !== undefined) abilities.push(`**CON** ${entry.con}`);
-			if (entry.int !== undefined) abilities.push(`**INT** ${entry.int}`);
-			if (entry.wis !== undefined) abilities.push(`**WIS** ${entry.wis}`);
-			if (entry.cha !== undefined) abilities.push(`**CHA** ${entry.cha}`);
-			if (abilities.length) {
-				parts.push(abilities.join(", ") + "\n");
+			if (line === this.USER_NOTES_HEADING) {
+				addUserPart(i);
+				ixUserStart = i;
+				continue;
 			}
-		}
+			if (ixUserStart != null && /^#{1,2} /.test(line)) addUserPart(i);
 
-		// Condition immunities
-		if (entry.conditionImmune && entry.conditionImmune.length > 0) {
-			parts.push(`**Condition Immunities** ${entry.conditionImmune.join(", ")}\n`);
+			if (ixUserStart == null) linesGenerated.push(lines[i]);
 		}
+		addUserPart(lines.length);
 
-		// Description from entries
-		if (entry.entries) {
-			parts.push(this._renderEntries(entry.entries) + "\n");
-		}
+		return {markdownGenerated: linesGenerated.join("\n"), userParts};
+	}
 
-		// Hull (for ships)
-		if (entry.hull) {
-			parts.push(`## Hull\n`);
-			const hullStats = [];
-			if (entry.hull.ac !== undefined) hullStats.push(`**Armor Class:** ${entry.hull.ac}`);
-			if (entry.hull.hp !== undefined) hullStats.push(`**Hit Points:** ${entry.hull.hp}`);
-			if (entry.hull.dt !== undefined) hullStats.push(`**Damage Threshold:** ${entry.hull.dt}`);
-			parts.push(hullStats.join("  \n") + "\n");
-		}
+	/**
+	 * Hash a note's generated content, ignoring the parts which vary between exports of the same content
+	 */
+	static _getContentHash (markdown) {
+		const markdownNormalized = this._getNoteParts(markdown).markdownGenerated
+			.replace(/^(?:export_timestamp|content_hash): .*\n/gm, "")
+			// Left where user parts were removed
+			.replace(/\n{3,}/g, "\n\n")
+			.trim();
+		return crypto.createHash("sha256").update(markdownNormalized).digest("hex").substring(0, 12);
+	}
 
-		// Control (for ships - helm)
-		if (entry.control && entry.control.length > 0) {
-			parts.push(`## Control\n`);
-			for (const ctrl of entry.control) {
-				if (ctrl.name) {
-					parts.push(`### ${this._renderString(ctrl.name)}\n`);
-				}
-				const ctrlStats = [];
-				if (ctrl.ac !== undefined) ctrlStats.push(`**Armor Class:** ${ctrl.ac}`);
-				if (ctrl.hp !== undefined) ctrlStats.push(`**Hit Points:** ${ctrl.hp}`);
-				if (ctrlStats.length) {
-					parts.push(ctrlStats.join("  \n") + "\n");
-				}
-				if (ctrl.entries) {
-					parts.push(this._renderEntries(ctrl.entries) + "\n");
-				}
+	/**
+	 * Add the hash of a note's generated content to the end of its frontmatter. Notes without frontmatter (e.g. from
+	 * custom templates) are returned as-is, so can't be checked for edits.
+	 */
+	static _getWithContentHash (markdown) {
+		return markdown.replace(/^(---\r?\n[\s\S]*?\r?\n)(---(?:\r?\n|$))/, (...m) => `${m[1]}content_hash: ${this._getContentHash(markdown)}\n${m[2]}`);
+	}
+
+	/**
+	 * Whether a note's generated content was edited since it was exported, according to the hash in its frontmatter
+	 */
+	static isNoteEdited (markdown) {
+		const mFrontmatter = /^---\r?\n([\s\S]*?)\r?\n---/.exec(markdown);
+		const contentHash = mFrontmatter && /^content_hash: (\S+)$/m.exec(mFrontmatter[1])?.[1];
+		// Notes exported before content hashes were added can't be checked
+		if (!contentHash) return false;
+		return contentHash !== this._getContentHash(markdown);
+	}
+
+	/**
+	 * Export an adventure/book chapter as its own note, optionally with one note per top-level section
+	 */
+	async _pExportAdventureBookChapter (changeEntry, sourceFile) {
+		const {entry: chapter, entryIndex: chapterIx, entryKey, entryHash, reason} = changeEntry;
+		const {prop, meta} = this.adventureBookIndex.getFileMeta(sourceFile);
+
+		const chapterNotePath = this.adventureBookIndex.getChapterNotePath(prop, meta, chapterIx);
+		const frontmatter = this.frontmatterGenerator.generateAdventureBookChapter(chapter, prop, meta, chapterIx, entryHash);
+
+		this.renderer.setCurrentAdventureBook({prop, id: meta.id});
+		try {
+			// Section notes live in a folder named after the chapter note
+			const sectionNotePaths = {};
+			for (const sectionIx of this.adventureBookIndex.getSectionIndexes(chapter)) {
+				const section = chapter.entries[sectionIx];
+				sectionNotePaths[sectionIx] = this.adventureBookIndex.getSectionNotePath(prop, meta, chapterIx, sectionIx, section.name);
+
+				const sectionFrontmatter = this.frontmatterGenerator.generateAdventureBookChapter(chapter, prop, meta, chapterIx, entryHash, {section});
+				const sectionMarkdown = this.formatter.formatAdventureBookSection(section, sectionFrontmatter);
+				this._writeNoteFile(path.join(this.outputDir, `${sectionNotePaths[sectionIx]}.md`), sectionMarkdown);
 			}
+			this._cleanAdventureBookSectionNotes(chapterNotePath, Object.values(sectionNotePaths));
+
+			const markdown = this.formatter.formatAdventureBookChapter(chapter, frontmatter, {sectionNotePaths});
+			this._queueNote(path.join(this.outputDir, `${chapterNotePath}.md`), markdown, {entryType: "chapter", entryKey, entryHash, reason});
+		} finally {
+			this.renderer.setCurrentAdventureBook(null);
 		}
+	}
 
-		// Movement (for ships - oars, sails)
-		if (entry.movement && entry.movement.length > 0) {
-			parts.push(`## Movement\n`);
-			for (const move of entry.movement) {
-				if (move.name) {
-					parts.push(`### ${this._renderString(move.name)}\n`);
-				}
-				const moveStats = [];
-				if (move.ac !== undefined) moveStats.push(`**Armor Class:** ${move.ac}`);
-				if (move.hp !== undefined) moveStats.push(`**Hit Points:** ${move.hp}`);
-				if (move.hpNote) moveStats.push(`(${move.hpNote})`);
-				if (moveStats.length) {
-					parts.push(moveStats.join(" ") + "\n");
-				}
-				if (move.speed) {
-					for (const spd of move.speed) {
-						if (spd.entries) {
-							parts.push(`**Speed (${spd.mode}):** ${spd.entries.join(", ")}\n`);
-						}
-					}
-				}
-				if (move.entries) {
-					parts.push(this._renderEntries(move.entries) + "\n");
-				}
+	/**
+	 * Write one index note per class, and per subclass with its own (e.g. expanded) spell list, linking every spell on
+	 * the list. Lists are built from the spell source lookup, so are regenerated in full on each export.
+	 */
+	async _pExportSpellLists () {
+		if (!this.spellClassLookup) return;
+
+		const spellLookup = {};
+		for (const spell of await DataLoader.pCacheAndGetAllSite(UrlUtil.PG_SPELLS)) {
+			spellLookup[`${spell.source}|${spell.name}`.toLowerCase()] = spell;
+		}
+
+		// "class|class source" or "class|subclass|subclass source" -> spell list
+		//   A subclass may be attached to more than one version of its class, so its list is shared between them.
+		const spellLists = {};
+		const addSpell = (listMeta, spell, {variantSources = null} = {}) => {
+			const listKey = listMeta.subclassName
+				? [listMeta.className, listMeta.subclassName, listMeta.subclassSource].join("|")
+				: [listMeta.className, listMeta.classSource].join("|");
+			const spellList = (spellLists[listKey] ||= {...listMeta, spells: []});
+			if (spellList.spells.some(it => it.spell === spell)) return;
+			spellList.spells.push({
+				spell,
+				notePath: `${MarkdownExportEngine.RESOURCE_TYPE_MAP.spell.dir}/${this._sanitizeFilename(`${spell.name} (${spell.source})`)}`,
+				variantSources,
+			});
+		};
+
+		for (const [spellSource, spellsByName] of Object.entries(this.spellClassLookup)) {
+			for (const [spellName, spellMeta] of Object.entries(spellsByName)) {
+				const spell = spellLookup[`${spellSource}|${spellName}`];
+				if (!spell || this.filter.getEntryExcludedReason("spell", spell)) continue;
+
+				Object.entries(spellMeta.class || {})
+					.forEach(([classSource, classes]) => Object.keys(classes)
+						.forEach(className => addSpell({className, classSource}, spell)));
+
+				Object.entries(spellMeta.classVariant || {})
+					.forEach(([classSource, classes]) => Object.entries(classes)
+						.forEach(([className, {definedInSources}]) => addSpell({className, classSource}, spell, {variantSources: definedInSources})));
+
+				Object.entries(spellMeta.subclass || {})
+					.forEach(([classSource, classes]) => Object.entries(classes)
+						.forEach(([className, subclassesBySource]) => Object.entries(subclassesBySource)
+							.forEach(([subclassSource, subclasses]) => Object.values(subclasses)
+								.forEach(({name: subclassName}) => addSpell({className, classSource, subclassName, subclassSource}, spell)))));
 			}
 		}
 
-		// Weapons (for ships - ballistas, mangonels, naval ram)
-		if (entry.weapon && entry.weapon.length > 0) {
-			parts.push(`## Weapons\n`);
-			for (const weapon of entry.weapon) {
-				if (weapon.name) {
-					let weaponName = this._renderString(weapon.name);
-					if (weapon.count && weapon.count > 1) {
-						weaponName = `${weapon.count} ${weaponName}`;
-					}
-					parts.push(`### ${weaponName}\n`);
-				}
-				const weaponStats = [];
-				if (weapon.ac !== undefined) weaponStats.push(`**Armor Class:** ${weapon.ac}`);
-				if (weapon.hp !== undefined) weaponStats.push(`**Hit Points:** ${weapon.hp}`);
-				if (weapon.dt !== undefined) weaponStats.push(`**Damage Threshold:** ${weapon.dt}`);
-				if (weaponStats.length) {
-					parts.push(weaponStats.join("  \n") + "\n");
-				}
-				if (weapon.entries) {
-					parts.push(this._renderEntries(weapon.entries) + "\n");
-				}
+		const spellListDir = path.join(this.outputDir, MarkdownExportEngine.SPELL_LIST_DIR);
+		fs.mkdirSync(spellListDir, {recursive: true});
+
+		const outputPaths = new Set();
+		for (const spellList of Object.values(spellLists)) {
+			const {className, classSource, subclassName, subclassSource} = spellList;
+			// Lists of filtered-out classes/subclasses are removed below
+			if (this.filter.getSourceExcludedReason(subclassSource || classSource)) continue;
+
+			const outputPath = path.join(spellListDir, this._sanitizeFilename(`${subclassName || className} (${subclassSource || classSource}).md`));
+			if (outputPaths.has(outputPath)) {
+				this.log(`  Skipping spell list for ${subclassName || className}: ${path.basename(outputPath)} was already written`);
+				continue;
 			}
-		}
+			outputPaths.add(outputPath);
 
-		// Actions
-		if (entry.action) {
-			parts.push(`## Actions\n`);
-			parts.push(this._renderEntries(entry.action) + "\n");
+			const entryHash = this.tracker._computeHash(JSON.stringify(spellList.spells.map(({notePath, variantSources}) => [notePath, variantSources])));
+			const frontmatter = this.frontmatterGenerator.generateSpellList(spellList, entryHash);
+			this._writeNoteFile(outputPath, this.formatter.formatSpellList(spellList, frontmatter));
 		}
 
-		// Traits (for infernal war machines)
-		if (entry.trait && entry.trait.length > 0) {
-			parts.push(`## Traits\n`);
-			for (const trait of entry.trait) {
-				if (trait.name) {
-					parts.push(`### ${this._renderString(trait.name)}\n`);
-				}
-				if (trait.entries) {
-					parts.push(this._renderEntries(trait.entries) + "\n");
-				}
+		// Remove lists for classes/subclasses which no longer have spells
+		fs.readdirSync(spellListDir)
+			.map(file => path.join(spellListDir, file))
+			.filter(file => file.endsWith(".md") && !outputPaths.has(file))
+			.forEach(file => fs.unlinkSync(file));
+
+		this.log(`Wrote ${outputPaths.size} spell list notes`);
+	}
+
+	/**
+	 * Write a note per generic magic item variant (e.g. "+1 Weapon") with a table of the specific variants it creates
+	 * from the base items, and, in "notes" mode, a note per specific variant (e.g. "Longsword, +1"). Specific variants
+	 * depend on both the variants and the base items, so are regenerated in full on each export.
+	 */
+	async _pExportMagicVariants () {
+		const variantPath = path.join(this.dataDir, "magicvariants.json");
+		const baseItemPath = path.join(this.dataDir, "items-base.json");
+		if (!fs.existsSync(variantPath) || !fs.existsSync(baseItemPath)) return;
+
+		await Renderer.item.pPopulatePropertyAndTypeReference();
+
+		const variantData = readJson(variantPath);
+		const baseItems = await Renderer.item._pGetAndProcBaseItems(readJson(baseItemPath));
+
+		// Generic variant -> the file it was loaded from
+		const variantSourceFiles = new Map();
+		const [genericVariants, linkedLootTables] = Renderer.item._getAndProcGenericVariants(variantData);
+		genericVariants.forEach(it => variantSourceFiles.set(it, variantPath));
+
+		for (const brewFile of this.brewFiles) {
+			const brewData = await this._pLoadBrewData(brewFile);
+			const brewBaseItems = brewData.baseitem || [];
+			Renderer.item._addBasePropertiesAndTypes({...brewData, baseitem: brewBaseItems});
+			baseItems.push(...brewBaseItems);
+			if (!brewData.magicvariant?.length) continue;
+
+			const [brewGenericVariants] = Renderer.item._getAndProcGenericVariants({magicvariant: brewData.magicvariant});
+			brewGenericVariants.forEach(it => variantSourceFiles.set(it, brewFile));
+			genericVariants.push(...brewGenericVariants);
+		}
+
+		// Populates `variants` on each generic variant
+		Renderer.item._createSpecificVariants(baseItems, genericVariants, {linkedLootTables});
+
+		const isVariantNotes = this.magicVariants === "notes";
+		const itemDir = path.join(this.outputDir, MarkdownExportEngine.RESOURCE_TYPE_MAP.magicvariant.dir);
+		fs.mkdirSync(itemDir, {recursive: true});
+
+		const outputPaths = new Set();
+		const writeVariantNote = (entry, entryType, sourceFile, {additionalData = null, fluff = null} = {}) => {
+			// Notes for filtered-out variants are removed below, as they are not in `outputPaths`
+			const filterReason = this.filter.getEntryExcludedReason(entryType, entry, {isBrew: this.brewFiles.has(sourceFile)});
+			if (filterReason) {
+				this.log(`  Skipping magic variant ${entry.name} (${entry.source}): ${filterReason}`);
+				return;
 			}
-		}
 
-		// Action Stations (for infernal war machines)
-		if (entry.actionStation && entry.actionStation.length > 0) {
-			parts.push(`## Action Stations\n`);
-			for (const station of entry.actionStation) {
-				if (station.name) {
-					parts.push(`### ${this._renderString(station.name)}\n`);
-				}
-				if (station.entries) {
-					parts.push(this._renderEntries(station.entries) + "\n");
-				}
+			const outputPath = path.join(itemDir, this._sanitizeFilename(`${entry.name} (${entry.source}).md`));
+			// Don't clobber notes for items which are defined in full in the data, e.g. "Vorpal Sword"
+			if (outputPaths.has(outputPath) || (fs.existsSync(outputPath) && !this._isMagicVariantNote(outputPath))) {
+				this.log(`  Skipping magic variant ${entry.name} (${entry.source}): ${path.basename(outputPath)} was already written`);
+				return;
 			}
-		}
 
-		// Source
-		if (entry.source) {
-			const sourceFull = Parser.sourceJsonToFull(entry.source);
-			const pageStr = entry.page ? `, page ${entry.page}` : "";
-			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
+			const entryHash = this.tracker._computeHash(JSON.stringify({...entry, variants: undefined}));
+			const frontmatter = this.frontmatterGenerator.generate(entry, entryType, entryHash, {brewSource: this._getBrewSource(sourceFile, entry)});
+			const frontmatterFilterReason = this.filter.getFrontmatterExcludedReason(entryType, frontmatter);
+			if (frontmatterFilterReason) {
+				this.log(`  Skipping magic variant ${entry.name} (${entry.source}): ${frontmatterFilterReason}`);
+				return;
+			}
+			outputPaths.add(outputPath);
+
+			this.renderer.resetHeaderIndex();
+			this._writeNoteFile(outputPath, this.formatter.format(entry, entryType, frontmatter, additionalData, {fluff}));
+		};
+
+		for (const genericVariant of genericVariants) {
+			const sourceFile = variantSourceFiles.get(genericVariant);
+			const variants = genericVariant.variants || [];
+
+			try {
+				const fluff = await this._pGetFluff("item", genericVariant);
+				writeVariantNote(genericVariant, "magicvariant", sourceFile, {additionalData: {variants, isLinked: isVariantNotes}, fluff});
+
+				if (!isVariantNotes) continue;
+				for (const {specificVariant} of variants) writeVariantNote(specificVariant, "item", sourceFile);
+			} catch (e) {
+				console.error(`  Error exporting magic variant ${genericVariant.name}:`, e.message);
+				this.stats.errors++;
+			}
 		}
 
-		return parts.join("\n");
+		// Remove notes for variants which no longer exist, or specific variants when switching to "table" mode
+		fs.readdirSync(itemDir)
+			.map(file => path.join(itemDir, file))
+			.filter(file => file.endsWith(".md") && !outputPaths.has(file) && this._isMagicVariantNote(file))
+			.forEach(file => fs.unlinkSync(file));
+
+		this.log(`Wrote ${outputPaths.size} magic variant notes`);
 	}
 
 	/**
-	 * Format generic entry content
+	 * Write a note per scaled version of a creature (see `_getScaledVersions`), in a folder next to the creature's note.
+	 * Which versions are written depends on the export's options, as well as on the creatures, so they are regenerated
+	 * in full on each export, and creatures whose notes link other versions than those written are exported again.
 	 */
-	_formatGeneric(entry) {
-		const parts = [];
+	async _pExportScaledCreatures () {
+		// The folders of creatures which have scaled versions from a previous export
+		const dirsPrev = new Set(this._getScaledCreatureNotes().map(file => path.dirname(file)));
+
+		const outputPaths = new Set();
+		const scaleRequestsFound = new Set();
+		const isScaling = this.scaleRequests.length || this.isScaleSummons;
+		const sourceFiles = isScaling || dirsPrev.size
+			? [...this._getDataFiles().filter(file => this._isFileMatchingResourceTypes(file, ["bestiary"])), ...this.brewFiles]
+			: [];
+		for (const sourceFile of sourceFiles) {
+			const isBrew = this.brewFiles.has(sourceFile);
+			const forceEntryKeys = new Set();
+
+			// Creatures are only resolved (e.g. their `_copy`) if they may be scaled, or were before
+			const monsters = (this._getSourceData(sourceFile).monster || [])
+				.filter(mon => this._getScaleRequestsFor(mon).length
+					|| (this.isScaleSummons && (mon._copy || MarkdownExportEngine._getScaleMode(mon) !== "cr"))
+					|| dirsPrev.has(path.join(this.outputDir, MarkdownExportEngine.getMonsterNotePath(mon))));
+			for (const monRaw of monsters) {
+				this._getScaleRequestsFor(monRaw).forEach(it => scaleRequestsFound.add(it));
+
+				const mon = monRaw._copy ? await this._pGetResolvedEntry("monster", monRaw, sourceFile) : monRaw;
+				if (!mon || this.filter.getEntryExcludedReason("monster", mon, {isBrew})) continue;
+
+				const versions = this._getScaledVersions(mon, {isWarn: true});
+				for (const version of versions) {
+					try {
+						const outputPath = path.join(this.outputDir, `${MarkdownExportEngine.getScaledCreatureNotePath(mon, version)}.md`);
+						if (outputPaths.has(outputPath)) continue;
+
+						const monScaled = await MarkdownExportEngine._pGetScaledCreature(mon, version);
+						const entryHash = this.tracker._computeHash(JSON.stringify(monScaled));
+						const frontmatter = this.frontmatterGenerator.generate(monScaled, "monster", entryHash, {
+							brewSource: this._getBrewSource(sourceFile, mon),
+							scaledFrom: {name: mon.name, source: mon.source, ...version},
+						});
+						const scaledFrom = {notePath: MarkdownExportEngine.getMonsterNotePath(mon), label: MarkdownExportEngine._getScaleLabel(version)};
+
+						this.renderer.resetHeaderIndex();
+						this._writeNoteFile(outputPath, this.formatter.format(monScaled, "monster", frontmatter, {scaledFrom}));
+						outputPaths.add(outputPath);
+					} catch (e) {
+						console.error(`  Error scaling ${mon.name} (${mon.source}) to ${MarkdownExportEngine._getScaleLabel(version)}:`, e.message);
+						this.stats.errors++;
+					}
+				}
 
-		// Title
-		parts.push(`# ${entry.name}\n`);
+				const notePaths = versions.map(version => MarkdownExportEngine.getScaledCreatureNotePath(mon, version));
+				if (!this._isScaledVersionsLinked(mon, notePaths)) forceEntryKeys.add(this.tracker._getEntryKey("monster", monRaw));
+			}
 
-		// Description
-		if (entry.entries) {
-			parts.push(this._renderEntries(entry.entries));
+			if (forceEntryKeys.size) this._applyFileResult(await this._pExportFile(sourceFile, {forceEntryKeys}));
 		}
 
-		// Source
-		if (entry.source) {
-			const sourceFull = Parser.sourceJsonToFull(entry.source);
-			const pageStr = entry.page ? `, page ${entry.page}` : "";
-			parts.push(`\n---\n**Source:** *${sourceFull}*${pageStr}`);
-		}
+		this.scaleRequests
+			.filter(it => !scaleRequestsFound.has(it))
+			.forEach(it => console.warn(`Creature to scale not found: "${it.scaleCreature}"`));
 
-		return parts.join("\n");
+		// Remove notes for scaled versions which are no longer written, e.g. as they are no longer requested
+		this._getScaledCreatureNotes()
+			.filter(file => !outputPaths.has(file))
+			.forEach(file => fs.unlinkSync(file));
+		[...dirsPrev]
+			.filter(dir => fs.existsSync(dir) && !fs.readdirSync(dir).length)
+			.forEach(dir => fs.rmdirSync(dir));
+
+		if (isScaling) this.log(`Wrote ${outputPaths.size} scaled creature notes`);
 	}
 
 	/**
-	 * Render entry content using the markdown renderer
+	 * Get the scaled creature notes in the vault, from the folders next to creature notes
 	 */
-	_renderEntries(entries) {
-		const textStack = [""];
-		const meta = {depth: 0};
-		this.renderer.recursiveRender({entries}, textStack, meta);
-		return textStack[0].trim();
+	_getScaledCreatureNotes () {
+		const monsterDir = path.join(this.outputDir, MarkdownExportEngine.RESOURCE_TYPE_MAP.monster.dir);
+		if (!fs.existsSync(monsterDir)) return [];
+
+		return fs.readdirSync(monsterDir, {withFileTypes: true})
+			.filter(dirent => dirent.isDirectory())
+			.flatMap(dirent => {
+				const dir = path.join(monsterDir, dirent.name);
+				return fs.readdirSync(dir).map(file => path.join(dir, file));
+			})
+			.filter(file => file.endsWith(".md") && this.formatter.parseFrontmatter(fs.readFileSync(file, "utf8"))?.scaled_from != null);
 	}
 
 	/**
-	 * Render a string that may contain tags like {@recharge 5}
+	 * Check if a creature's note links exactly the given scaled versions (or if it has no note, e.g. as it is filtered out)
 	 */
-	_renderString(str) {
-		if (!str) return "";
-		const textStack = [""];
-		this.renderer.recursiveRender(str, textStack, {depth: 0});
-		return textStack[0].trim();
+	_isScaledVersionsLinked (mon, notePaths) {
+		const notePath = MarkdownExportEngine.getMonsterNotePath(mon);
+		const outputPath = path.join(this.outputDir, `${notePath}.md`);
+		if (!fs.existsSync(outputPath)) return true;
+
+		const markdown = MarkdownExportEngine._getWithoutReferencedBy(fs.readFileSync(outputPath, "utf8"));
+		const notePathsLinked = [...new Set([...markdown.matchAll(MarkdownFormatter.RE_WIKILINK)].map(([, , linkPath]) => linkPath))]
+			.filter(it => it.startsWith(`${notePath}/`));
+		return notePathsLinked.length === notePaths.length && notePaths.every(it => notePathsLinked.includes(it));
+	}
+
+	_getScaleRequestsFor (mon) {
+		return this.scaleRequests.filter(it => it.name === mon.name.toLowerCase() && it.source === mon.source.toLowerCase());
 	}
 
 	/**
-	 * Get ordinal suffix for numbers
+	 * Get the versions of a creature to write as scaled notes: those requested, and, with `isScaleSummons`, every level
+	 * of the spell or class which summons it. As on the site, creatures are scaled by CR if they have one in the scaling
+	 * range, and otherwise by the level of the spell or class summoning them.
+	 * @param mon The (resolved) creature.
+	 * @param [opts]
+	 * @param [opts.isWarn] If requested levels which the creature can't be scaled to should be logged.
+	 * @return {Array<{mode: string, level: number}>}
 	 */
-	_getOrdinalSuffix(n) {
-		const s = ["th", "st", "nd", "rd"];
-		const v = n % 100;
-		return s[(v - 20) % 10] || s[v] || s[0];
+	_getScaledVersions (mon, {isWarn = false} = {}) {
+		const mode = MarkdownExportEngine._getScaleMode(mon);
+		const levelsValid = MarkdownExportEngine._getScaleLevels(mon, mode);
+
+		const levels = new Set(this.isScaleSummons && mode !== "cr" ? levelsValid : []);
+		for (const scaleRequest of this._getScaleRequestsFor(mon)) {
+			const level = mode === "cr" ? Parser.crToNumber(scaleRequest.level) : Number(scaleRequest.level);
+			if (levelsValid.includes(level)) levels.add(level);
+			else if (isWarn) console.warn(`Can't scale ${mon.name} (${mon.source}) to "${scaleRequest.level}"! ${MarkdownExportEngine._getScaleLevelsDescription(mode, levelsValid)}`);
+		}
+
+		return [...levels]
+			.sort(SortUtil.ascSort)
+			.map(level => ({mode, level}));
 	}
 
 	/**
-	 * Look up legendary group data for a monster
+	 * Parse the creatures to scale, from `"<name>|<source>@<CR or level>"` strings (e.g. "goblin|mm@3"). As in tags, the
+	 * source may be left out for creatures from the Monster Manual.
 	 */
-	_getLegendaryGroup(legendaryGroupRef) {
-		if (!legendaryGroupRef || !this.legendaryGroupMap) {
-			return null;
-		}
-		const key = `${legendaryGroupRef.name}|${legendaryGroupRef.source}`.toLowerCase();
-		return this.legendaryGroupMap.get(key);
+	static _getScaleRequests (scaleCreatures) {
+		return scaleCreatures.map(scaleCreature => {
+			const m = /^(?<uid>[^@]+)@(?<level>\d+(?:\/\d+)?)$/.exec(scaleCreature.trim());
+			if (!m) throw new Error(`Invalid creature to scale "${scaleCreature}"! Expected "<name>|<source>@<CR or level>", e.g. "goblin|mm@3"`);
+
+			const {name, source} = DataUtil.proxy.unpackUid("monster", m.groups.uid, "creature", {isLower: true});
+			return {scaleCreature, name, source, level: m.groups.level};
+		});
 	}
 
 	/**
-	 * Calculate initiative bonus for a monster
-	 * Based on Renderer.monster.getInitiativeBonusNumber from render.js
+	 * Get how a creature is scaled on the site: by "cr", or by summoning "spell" or "class" level; or null if it can't be
 	 */
-	_getInitiativeBonus(mon) {
-		// If no initiative field and no dex, or dex is special, return null
-		if (mon.initiative == null && (mon.dex == null || (typeof mon.dex === "object" && mon.dex.special))) {
-			return null;
-		}
-		// If no initiative field, use DEX modifier
-		if (mon.initiative == null) {
-			return Parser.getAbilityModNumber(mon.dex);
-		}
-		// If initiative is a direct number, use it
-		if (typeof mon.initiative === "number") {
-			return mon.initiative;
-		}
-		// If initiative is not an object, return null
-		if (typeof mon.initiative !== "object") {
-			return null;
-		}
-		// If initiative object has a direct initiative value, use it
-		if (typeof mon.initiative.initiative === "number") {
-			return mon.initiative.initiative;
-		}
-		// Calculate with proficiency bonus (expertise)
-		if (mon.dex == null) return null;
-		const profBonus = mon.initiative.proficiency
-			? mon.initiative.proficiency * Parser.crToPb(typeof mon.cr === "object" ? mon.cr.cr : mon.cr)
-			: 0;
-		return Parser.getAbilityModNumber(mon.dex) + profBonus;
+	static _getScaleMode (mon) {
+		if (mon.cr != null && ScaleCreature.isCrInScaleRange(mon)) return "cr";
+		if (mon.summonedBySpellLevel != null) return "spell";
+		if (mon.summonedByClass != null || mon.summonedScaleByPlayerLevel) return "class";
+		return null;
 	}
-}
 
-/**
- * Main export engine that orchestrates the markdown export process
- */
-class MarkdownExportEngine {
-	constructor(options = {}) {
-		this.outputDir = options.outputDir || "markdown-export";
-		this.dataDir = options.dataDir || "data";
-		this.mode = options.mode || "incremental";
-		this.verbose = options.verbose || false;
+	/**
+	 * Get the levels (or CRs, as numbers) a creature can be scaled to, as offered on the site
+	 */
+	static _getScaleLevels (mon, mode) {
+		switch (mode) {
+			case "cr": {
+				const crNumber = Parser.crToNumber(mon.cr.cr ?? mon.cr);
+				return Object.keys(Parser.XP_CHART_ALT)
+					.map(cr => Parser.crToNumber(cr))
+					.filter(it => it !== crNumber)
+					.sort(SortUtil.ascSort);
+			}
+			case "spell": return [...new Array(VeCt.SPELL_LEVEL_MAX + 1 - mon.summonedBySpellLevel)].map((_, i) => i + mon.summonedBySpellLevel);
+			case "class": return [...new Array(VeCt.LEVEL_MAX)].map((_, i) => i + 1);
+			default: return [];
+		}
+	}
 
-		this.renderer = ObsidianMarkdownRenderer.get();
-		this.tracker = new ExportStateTracker();
+	static _getScaleLevelsDescription (mode, levelsValid) {
+		switch (mode) {
+			case "cr": return `Expected a CR from 0 to 30, other than its own`;
+			case "spell": return `Expected a spell level from ${levelsValid[0]} to ${levelsValid.at(-1)}`;
+			case "class": return `Expected a level from ${levelsValid[0]} to ${levelsValid.at(-1)}`;
+			default: return `It has no CR, and is not a summoned creature`;
+		}
+	}
 
-		this.stats = {
-			created: 0,
-			updated: 0,
-			skipped: 0,
-			errors: 0,
-		};
+	static async _pGetScaledCreature (mon, {mode, level}) {
+		switch (mode) {
+			case "cr": return ScaleCreature.scale(mon, level);
+			case "spell": return ScaleSpellSummonedCreature.scale(mon, level);
+			case "class": return ScaleClassSummonedCreature.scale(mon, level);
+			default: throw new Error(`Unknown scaling "${mode}"!`);
+		}
+	}
 
-		// Load spell-class lookup data
-		this.spellClassLookup = null;
-		try {
-			const lookupPath = path.join(this.dataDir, "generated", "gendata-spell-source-lookup.json");
-			if (fs.existsSync(lookupPath)) {
-				this.spellClassLookup = readJson(lookupPath);
-				this.log("Loaded spell-class lookup data");
-			}
-		} catch (e) {
-			console.warn("Failed to load spell-class lookup, classes won't be added to spells:", e.message);
+	static _getScaleLabel ({mode, level}) {
+		switch (mode) {
+			case "cr": return `CR ${Parser.numberToCr(level)}`;
+			case "spell": return `Spell Level ${level}`;
+			case "class": return `Level ${level}`;
+			default: throw new Error(`Unknown scaling "${mode}"!`);
 		}
+	}
 
-		// Load legendary groups data (for lair actions, regional effects)
-		this.legendaryGroups = null;
-		try {
-			const legendaryPath = path.join(this.dataDir, "bestiary", "legendarygroups.json");
-			if (fs.existsSync(legendaryPath)) {
-				const data = readJson(legendaryPath);
-				this.legendaryGroups = data.legendaryGroup || [];
-				this.log("Loaded legendary groups data");
+	/**
+	 * Write a canvas of each class's progression next to its note. Canvases show the class's subclasses, which may
+	 * change without the class changing, so are regenerated in full on each export.
+	 */
+	async _pExportClassCanvases () {
+		const classDir = path.join(this.outputDir, MarkdownExportEngine.RESOURCE_TYPE_MAP.class.dir);
+		const classFiles = listFiles({dir: path.join(this.dataDir, "class")})
+			.filter(file => !path.basename(file).startsWith("foundry"));
+
+		const outputPaths = new Set();
+		for (const sourceFile of [...classFiles, ...this.brewFiles]) {
+			const isBrew = this.brewFiles.has(sourceFile);
+			const classData = isBrew ? await this._pLoadBrewData(sourceFile) : readJson(sourceFile);
+
+			// As in `exportEntry`, classes without features are (e.g. `_copy`) metadata
+			for (const cls of (classData.class || []).filter(cls => cls.classFeatures)) {
+				if (this.filter.getEntryExcludedReason("class", cls, {isBrew})) continue;
+
+				const outputPath = path.join(classDir, this._sanitizeFilename(`${cls.name} (${cls.source}).canvas`));
+				if (outputPaths.has(outputPath)) continue;
+				outputPaths.add(outputPath);
+
+				const canvas = this.canvasGenerator.getClassCanvas(cls, classData, {isSubclassExported: sc => !this.filter.getEntryExcludedReason("subclass", sc, {isBrew})});
+				fs.mkdirSync(classDir, {recursive: true});
+				fs.writeFileSync(outputPath, CanvasGenerator.getCanvasJson(canvas), "utf8");
 			}
-		} catch (e) {
-			console.warn("Failed to load legendary groups, lair actions/regional effects won't be added:", e.message);
 		}
 
-		// Initialize generators with loaded data
-		this.frontmatterGenerator = new FrontmatterGenerator(this.spellClassLookup);
-		this.formatter = new MarkdownFormatter(this.renderer, this.legendaryGroups);
+		// Remove canvases for classes which no longer exist
+		if (fs.existsSync(classDir)) {
+			fs.readdirSync(classDir)
+				.map(file => path.join(classDir, file))
+				.filter(file => file.endsWith(".canvas") && !outputPaths.has(file))
+				.forEach(file => fs.unlinkSync(file));
+		}
+
+		this.log(`Wrote ${outputPaths.size} class canvases`);
 	}
 
 	/**
-	 * Resource type mapping
+	 * Write a canvas of the maps in each adventure/book chapter which has any, next to the chapter's note
 	 */
-	static RESOURCE_TYPE_MAP = {
-		spell: {dir: "spells"},
-		monster: {dir: "monsters"},
-		item: {dir: "items"},
-		baseitem: {dir: "items"},
-		class: {dir: "classes"},
-		subclass: {dir: "subclasses"},
-		background: {dir: "backgrounds"},
-		feat: {dir: "feats"},
-		race: {dir: "races"},
-		subrace: {dir: "races"},
-		condition: {dir: "conditions"},
-		disease: {dir: "conditions"},
-		deity: {dir: "deities"},
-		action: {dir: "actions"},
-		vehicle: {dir: "vehicles"},
-		object: {dir: "objects"},
-		optionalfeature: {dir: "optional-features"},
-		reward: {dir: "rewards"},
-		psionic: {dir: "psionics"},
-		variantrule: {dir: "variant-rules"},
-		table: {dir: "tables"},
-		language: {dir: "languages"},
-		trap: {dir: "traps-hazards"},
-		hazard: {dir: "traps-hazards"},
-		cult: {dir: "cults-boons"},
-		boon: {dir: "cults-boons"},
-	};
+	_exportAdventureBookCanvases () {
+		const outputPaths = new Set();
+		for (const prop of Object.keys(AdventureBookIndex.PROPS)) {
+			for (const meta of this.adventureBookIndex.getMetas(prop)) {
+				const dataPath = this.adventureBookIndex.getDataFilePath(prop, meta);
+				if (!fs.existsSync(dataPath) || this.filter.getEntryExcludedReason(prop, meta)) continue;
+
+				(readJson(dataPath).data || []).forEach((chapter, chapterIx) => {
+					const canvas = this.canvasGenerator.getChapterCanvas(chapter, {prop, meta, chapterIx});
+					if (!canvas) return;
+
+					const outputPath = path.join(this.outputDir, `${this.adventureBookIndex.getChapterNotePath(prop, meta, chapterIx)}.canvas`);
+					outputPaths.add(outputPath);
+					fs.mkdirSync(path.dirname(outputPath), {recursive: true});
+					fs.writeFileSync(outputPath, CanvasGenerator.getCanvasJson(canvas), "utf8");
+				});
+			}
+		}
+
+		// Remove canvases for chapters which no longer have maps
+		for (const {dir} of Object.values(AdventureBookIndex.PROPS)) {
+			const dirPath = path.join(this.outputDir, dir);
+			if (!fs.existsSync(dirPath)) continue;
+
+			listFiles({dir: dirPath, allowlistFileExts: [".canvas"], blocklistFilePrefixes: null, blocklistDirPrefixes: null, blocklistDirs: null})
+				.map(file => path.normalize(file))
+				.filter(file => !outputPaths.has(file))
+				.forEach(file => fs.unlinkSync(file));
+		}
+
+		this.log(`Wrote ${outputPaths.size} adventure/book chapter canvases`);
+	}
+
+	_isMagicVariantNote (file) {
+		const frontmatter = this.formatter.parseFrontmatter(fs.readFileSync(file, "utf8"));
+		return frontmatter?.type === "magicvariant" || frontmatter?.generic_variant != null;
+	}
 
 	/**
-	 * Main export method
+	 * Write an index note into each resource directory, listing every note in it, and a top-level "Home" note linking
+	 * the indexes. Notes are found by scanning the output directory, so notes from earlier (incremental) runs are included.
 	 */
-	async export(options = {}) {
-		console.log("Starting markdown export...");
-
-		// Get list of data files
-		const files = listFiles({dir: this.dataDir});
+	_exportIndexes () {
+		const dirToEntryTypes = {[MarkdownExportEngine.SPELL_LIST_DIR]: ["spell-list"]};
+		Object.entries(MarkdownExportEngine.RESOURCE_TYPE_MAP)
+			.forEach(([entryType, {dir}]) => (dirToEntryTypes[dir] ||= []).push(entryType));
+
+		const indexes = [];
+		for (const [dir, entryTypes] of Object.entries(dirToEntryTypes)) {
+			const dirPath = path.join(this.outputDir, dir);
+			if (!fs.existsSync(dirPath)) continue;
+
+			const indexFile = `${MarkdownExportEngine.INDEX_NOTE_NAME}.md`;
+			const notes = listFiles({dir: dirPath, allowlistFileExts: [".md"], blocklistFilePrefixes: [indexFile], blocklistDirPrefixes: null, blocklistDirs: null})
+				.map(file => ({
+					notePath: path.relative(this.outputDir, file).split(path.sep).join("/").replace(/\.md$/, ""),
+					frontmatter: this.formatter.parseFrontmatter(fs.readFileSync(file, "utf8")),
+				}))
+				// Skip e.g. adventure/book chapter notes, which are linked from their adventure/book's note
+				.filter(({frontmatter}) => entryTypes.includes(frontmatter?.type));
+			if (!notes.length) {
+				// e.g. every note of the directory was removed
+				fs.rmSync(path.join(dirPath, indexFile), {force: true});
+				continue;
+			}
 
-		this.log(`Found ${files.length} data files`);
+			const {title, columns} = MarkdownExportEngine.INDEX_META[dir] || {title: dir, columns: {}};
+			const markdown = this.formatter.formatResourceIndex({dir, title, entryTypes, columns, notes, isDataview: this.isDataview});
+			fs.writeFileSync(path.join(dirPath, indexFile), markdown, "utf8");
 
-		// Filter by resource types if specified
-		let filesToProcess = files;
-		if (options.resourceTypes) {
-			const resourceTypes = options.resourceTypes.map(r => r.toLowerCase());
-			filesToProcess = files.filter(file => {
-				// Check if file contains any of the specified resource types
-				// This is a simple heuristic - we'll validate when we read the file
-				return resourceTypes.some(type => file.includes(type));
-			});
-			this.log(`Filtered to ${filesToProcess.length} files matching resource types: ${resourceTypes.join(", ")}`);
+			indexes.push({title, indexPath: `${dir}/${MarkdownExportEngine.INDEX_NOTE_NAME}`, noteCount: notes.length});
 		}
 
-		// Process each file
-		for (const file of filesToProcess) {
-			await this.processFile(file, options.force);
+		if (!indexes.length) {
+			fs.rmSync(path.join(this.outputDir, "Home.md"), {force: true});
+			return;
 		}
 
-		// Save state
-		await this.tracker.saveState();
+		fs.writeFileSync(path.join(this.outputDir, "Home.md"), this.formatter.formatHome(indexes), "utf8");
+		this.log(`Wrote ${indexes.length} index notes`);
+	}
 
-		console.log("\nExport complete!");
-		console.log(`  Created: ${this.stats.created}`);
-		console.log(`  Updated: ${this.stats.updated}`);
-		console.log(`  Skipped: ${this.stats.skipped}`);
-		console.log(`  Errors: ${this.stats.errors}`);
+	/**
+	 * Add a section to each note listing the notes which link to it (see `REFERENCED_BY_HEADING`), grouped by resource
+	 * directory, so that they can be found without Obsidian's backlinks (e.g. in a published vault). Links are found by
+	 * scanning the output directory, so notes from earlier (incremental) runs are included.
+	 * @return {Array<string>} Notes whose section was written (or removed).
+	 */
+	_exportReferencedBy () {
+		if (!fs.existsSync(this.outputDir)) return [];
+
+		const notePaths = listFiles({
+			dir: this.outputDir,
+			allowlistFileExts: [".md"],
+			blocklistFilePrefixes: [`${MarkdownExportEngine.INDEX_NOTE_NAME}.md`, "Home.md"],
+			blocklistDirPrefixes: null,
+			blocklistDirs: [MarkdownExportEngine.ORPHAN_DIR],
+		})
+			.map(file => path.relative(this.outputDir, file).split(path.sep).join("/").replace(/\.md$/, ""));
+
+		// Links resolve case-insensitively, and by filename if they have no folder
+		const notePathsByKey = new Map();
+		notePaths.forEach(notePath => {
+			notePathsByKey.set(notePath.toLowerCase(), notePath);
+			if (!notePathsByKey.has(path.posix.basename(notePath).toLowerCase())) notePathsByKey.set(path.posix.basename(notePath).toLowerCase(), notePath);
+		});
+
+		// Target note path -> resource directory -> paths of the notes linking to it
+		const referencedBy = new Map();
+		const notePathsWithSection = [];
+		for (const notePath of notePaths) {
+			// Only generated content is searched, so links in the reader's own notes (and in this section) are not listed
+			const {markdownGenerated} = MarkdownExportEngine._getNoteParts(fs.readFileSync(path.join(this.outputDir, `${notePath}.md`), "utf8"));
+			const markdownContent = MarkdownExportEngine._getWithoutReferencedBy(markdownGenerated);
+			if (markdownContent !== markdownGenerated) notePathsWithSection.push(notePath);
+
+			const dir = notePath.split("/")[0];
+			for (const [, embed, linkPath] of markdownContent.matchAll(MarkdownFormatter.RE_WIKILINK)) {
+				// Embeds (e.g. images, and feature notes in class notes) are part of the note, rather than references
+				if (embed) continue;
+
+				const target = notePathsByKey.get(linkPath.toLowerCase());
+				if (!target || target === notePath) continue;
+
+				if (!referencedBy.has(target)) referencedBy.set(target, new Map());
+				const byDir = referencedBy.get(target);
+				if (!byDir.has(dir)) byDir.set(dir, new Set());
+				byDir.get(dir).add(notePath);
+			}
+		}
 
-		return this.stats;
+		const out = [];
+		for (const notePath of new Set([...referencedBy.keys(), ...notePathsWithSection])) {
+			const groups = [...(referencedBy.get(notePath) || [])]
+				.map(([dir, notePathsReferencing]) => ({title: MarkdownExportEngine.INDEX_META[dir]?.title || dir, notePaths: notePathsReferencing}));
+			const outputPath = path.join(this.outputDir, `${notePath}.md`);
+			if (this._writeReferencedBy(outputPath, groups.length ? this.formatter.formatReferencedBy(groups) : null)) out.push(outputPath);
+		}
+
+		this.log(`Wrote "Referenced By" sections to ${out.length} notes`);
+		return out;
 	}
 
 	/**
-	 * Process a single data file
+	 * Replace the "Referenced By" section of a note, keeping the parts written by its reader
+	 * @param outputPath
+	 * @param section The section, or null to remove it.
+	 * @return {boolean} True if the note was changed.
 	 */
-	async processFile(sourceFile, force = false) {
-		this.log(`Processing ${sourceFile}...`);
+	_writeReferencedBy (outputPath, section) {
+		const markdownPrev = fs.readFileSync(outputPath, "utf8");
+		if (this.isKeepEdited && MarkdownExportEngine.isNoteEdited(markdownPrev)) return false;
 
-		// Detect changes
-		const changeInfo = await this.tracker.detectChanges(sourceFile);
+		const {markdownGenerated, userParts} = MarkdownExportEngine._getNoteParts(markdownPrev);
+		let markdown = MarkdownExportEngine._getWithoutReferencedBy(markdownGenerated).replace(/^content_hash: .*\r?\n/m, "");
+		// Always the end of the generated content, so it is simple to find again
+		if (section) markdown = `${markdown.trimEnd()}\n\n${section}`;
 
-		if (!changeInfo.changed && !force) {
-			this.log(`  No changes detected, skipping`);
-			return;
+		let markdownOut = MarkdownExportEngine._getWithContentHash(markdown);
+		if (userParts.length) markdownOut = `${markdownOut.trimEnd()}\n\n${userParts.join("\n\n")}\n`;
+
+		if (markdownOut === markdownPrev) return false;
+		fs.writeFileSync(outputPath, markdownOut, "utf8");
+		return true;
+	}
+
+	/**
+	 * Remove the "Referenced By" section from a note's generated content, see `_exportReferencedBy`
+	 */
+	static _getWithoutReferencedBy (markdownGenerated) {
+		const ix = markdownGenerated.search(new RegExp(`^${this.REFERENCED_BY_HEADING}\\s*$`, "m"));
+		return ~ix ? markdownGenerated.slice(0, ix).trimEnd() : markdownGenerated;
+	}
+
+	/**
+	 * List every wikilink (and embed) in the vault whose target was not generated, e.g. an entry from a source which
+	 * wasn't exported, or a tag in the data which doesn't match any entry
+	 */
+	_auditLinks () {
+		if (!fs.existsSync(this.outputDir)) return;
+
+		const files = listFiles({dir: this.outputDir, allowlistFileExts: null, blocklistFilePrefixes: null, blocklistDirPrefixes: null, blocklistDirs: null})
+			.map(file => path.relative(this.outputDir, file).split(path.sep).join("/"));
+
+		// Links resolve case-insensitively, without the ".md" extension, and by filename if they have no folder
+		const getLinkKey = filePath => filePath.replace(/\.md$/i, "").toLowerCase();
+		const targets = new Set(files.flatMap(file => [getLinkKey(file), getLinkKey(path.posix.basename(file))]));
+
+		// Broken link target key -> the target as first linked, and the notes linking it
+		const brokenLinks = {};
+		for (const file of files) {
+			if (!file.endsWith(".md")) continue;
+
+			const content = fs.readFileSync(path.join(this.outputDir, file), "utf8");
+			for (const [, , linkPath] of content.matchAll(MarkdownFormatter.RE_WIKILINK)) {
+				const linkKey = getLinkKey(linkPath);
+				if (targets.has(linkKey)) continue;
+				(brokenLinks[linkKey] ||= {linkPath, notes: new Set()}).notes.add(file.replace(/\.md$/, ""));
+			}
 		}
 
-		if (force) {
-			// Force mode: read entire file and export all entries
-			const data = readJson(sourceFile);
-			const fileHash = this.tracker._computeHash(fs.readFileSync(sourceFile, "utf8"));
+		const brokenLinkList = Object.values(brokenLinks).sort((a, b) => SortUtil.ascSortLower(a.linkPath, b.linkPath));
+		this.stats.brokenLinks = brokenLinkList.length;
+		if (!brokenLinkList.length) return;
 
-			for (const [entryType, entries] of Object.entries(data)) {
-				if (entryType === "_meta") continue;
-				if (!Array.isArray(entries)) continue;
+		console.log(`\nBroken links (${brokenLinkList.length} targets not found):`);
+		brokenLinkList.forEach(({linkPath, notes}) => {
+			const [firstNote, ...otherNotes] = [...notes].sort(SortUtil.ascSortLower);
+			console.log(`  - ${linkPath} (from ${firstNote}${otherNotes.length ? ` and ${otherNotes.length} other note${otherNotes.length === 1 ? "" : "s"}` : ""})`);
+		});
+	}
 
-				for (const entry of entries) {
-				// Skip entries without required content fields
-				// (e.g., foundry-*.json files often have metadata-only entries)
-				if (entryType === "class" && !entry.classFeatures) {
-					this.log(`  Skipping ${entry.name} from ${entry.source}: no classFeatures field (likely foundry data)`);
-					continue;
-				}
-				if (entryType === "subclass" && !entry.subclassFeatures) {
-					this.log(`  Skipping ${entry.name} from ${entry.source}: no subclassFeatures field (likely foundry data)`);
-					continue;
-				}
-				if (entryType === "feat" && !entry.entries) {
-					this.log(`  Skipping ${entry.name} from ${entry.source}: no entries field`);
-					continue;
-				}
-				if ((entryType === "race" || entryType === "subrace") && !entry.entries) {
-					this.log(`  Skipping ${entry.name} from ${entry.source}: no entries field`);
-					continue;
-				}
+	/**
+	 * Remove section notes left over from a previous export of a chapter (e.g. renamed sections, or no longer splitting)
+	 */
+	_cleanAdventureBookSectionNotes (chapterNotePath, sectionNotePaths) {
+		const sectionDir = path.join(this.outputDir, chapterNotePath);
+		if (!fs.existsSync(sectionDir)) return;
 
-					const entryHash = this.tracker._computeHash(JSON.stringify(entry));
-					const entryKey = this.tracker._getEntryKey(entryType, entry);
+		const keep = new Set(sectionNotePaths.map(notePath => path.join(this.outputDir, `${notePath}.md`)));
+		fs.readdirSync(sectionDir)
+			.map(file => path.join(sectionDir, file))
+			.filter(file => file.endsWith(".md") && !keep.has(file))
+			.forEach(file => fs.unlinkSync(file));
 
-					try {
-						await this.exportEntry({
-							entryType,
-							entry,
-							entryKey,
-							entryHash,
-						}, sourceFile, fileHash);
-					} catch (e) {
-						console.error(`  Error exporting ${entryKey}:`, e.message);
-						this.stats.errors++;
-					}
-				}
-			}
-		} else {
-			// Incremental mode: only export changed entries
-			this.log(`  ${changeInfo.entries.length} entries changed`);
+		if (!fs.readdirSync(sectionDir).length) fs.rmdirSync(sectionDir);
+	}
 
-			for (const changeEntry of changeInfo.entries) {
+	/**
+	 * Resolve a `_copy` entry using the site's own copy/mod handling.
+	 * The whole source file is meta-merged (dependencies, internal copies), as on the site, and the result is cached.
+	 */
+	async _pGetResolvedEntry (entryType, entry, sourceFile) {
+		if (!this._resolvedCache[sourceFile]) {
+			this._resolvedCache[sourceFile] = (async () => {
+				const out = {};
 				try {
-					await this.exportEntry(changeEntry, sourceFile, changeInfo.fileHash);
+					const data = this.brewFiles.has(sourceFile)
+						? await this._pLoadBrewData(sourceFile)
+						: await this._pLoadMergedJson(sourceFile);
+					for (const [prop, entries] of Object.entries(data)) {
+						if (!Array.isArray(entries)) continue;
+						for (const ent of entries) {
+							if (!ent?.name) continue;
+							// Entries merged in from other files via `_meta.otherSources` are appended, so the file's own entries win
+							const key = this.tracker._getEntryKey(prop, ent);
+							out[key] ||= ent;
+						}
+					}
 				} catch (e) {
-					console.error(`  Error exporting ${changeEntry.entryKey}:`, e.message);
-					this.stats.errors++;
+					console.warn(`  Failed to resolve _copy entries in ${sourceFile}:`, e.message);
 				}
-			}
+				return out;
+			})();
 		}
+
+		const resolved = (await this._resolvedCache[sourceFile])[this.tracker._getEntryKey(entryType, entry)];
+		if (!resolved || resolved._copy) return null;
+		return resolved;
 	}
 
 	/**
-	 * Export a single entry
+	 * Load a homebrew/prerelease file, resolving its `_copy` entries. Parents are looked up in the file itself,
+	 * then in the other brew files being exported, and finally in the site data.
 	 */
-	async exportEntry(changeEntry, sourceFile, fileHash) {
-		const {entryType, entry, entryKey, entryHash, reason} = changeEntry;
-
-		// Skip _copy reference entries (these are just pointers to reprints)
-		if (entry._copy) {
-			this.log(`  Skipping ${entry.name} from ${entry.source}: _copy reference`);
-			this.stats.skipped++;
-			return;
+	async _pLoadBrewData (sourceFile) {
+		let data;
+		try {
+			// Handles `_meta.dependencies` and `_meta.internalCopies`
+			data = await this._pLoadMergedJson(sourceFile);
+		} catch (e) {
+			this.log(`  Failed to load dependencies for ${sourceFile}: ${e.message}`);
+			data = readJson(sourceFile);
 		}
 
-		// Skip entries without required content fields
-		// (e.g., foundry-*.json files often have metadata-only entries)
-		if (entryType === "class" && !entry.classFeatures) {
-			this.log(`  Skipping ${entry.name} from ${entry.source}: no classFeatures field (likely foundry data)`);
-			this.stats.skipped++;
-			return;
-		}
-		if (entryType === "subclass" && !entry.subclassFeatures) {
-			this.log(`  Skipping ${entry.name} from ${entry.source}: no subclassFeatures field (likely foundry data)`);
-			this.stats.skipped++;
-			return;
-		}
-		if (entryType === "feat" && !entry.entries) {
-			this.log(`  Skipping ${entry.name} from ${entry.source}: no entries field`);
-			this.stats.skipped++;
-			return;
-		}
-		if ((entryType === "race" || entryType === "subrace") && !entry.entries) {
-			this.log(`  Skipping ${entry.name} from ${entry.source}: no entries field`);
-			this.stats.skipped++;
-			return;
-		}
+		for (const [prop, entries] of Object.entries(data)) {
+			if (!Array.isArray(entries) || !DataUtil[prop]?.pMergeCopy) continue;
 
-		// Get resource directory
-		const resourceInfo = MarkdownExportEngine.RESOURCE_TYPE_MAP[entryType];
-		if (!resourceInfo) {
-			this.log(`  Skipping unknown resource type: ${entryType}`);
-			this.stats.skipped++;
-			return;
-		}
+			let brewEntries = null;
+			for (const entry of entries) {
+				if (!entry._copy) continue;
 
-		// Generate filename
-		// For subraces, include the base race name
-		let displayName = entry.name;
-		if (entryType === "subrace" && entry.raceName) {
-			displayName = `${entry.name} ${entry.raceName}`;
-		}
-		const filename = this._sanitizeFilename(`${displayName} (${entry.source || "Unknown"}).md`);
-		const outputPath = path.join(this.outputDir, resourceInfo.dir, filename);
+				brewEntries ||= [...this.brewFiles]
+					.flatMap(brewFile => brewFile === sourceFile ? entries : this._getSourceData(brewFile)[prop] || []);
+				const siteEntry = await this._pGetSiteEntry(prop, entry._copy);
 
-		// Ensure directory exists
-		const outputDirPath = path.dirname(outputPath);
-		if (!fs.existsSync(outputDirPath)) {
-			fs.mkdirSync(outputDirPath, {recursive: true});
+				await DataUtil[prop].pMergeCopy([...brewEntries, ...siteEntry ? [siteEntry] : []], entry, {});
+			}
 		}
 
-		// Generate frontmatter
-		const frontmatter = this.frontmatterGenerator.generate(entry, entryType, entryHash);
+		return data;
+	}
 
-		// Generate markdown content
-		// For classes and subclasses, pass the full file data for accessing features
-		let markdown;
-		if (entryType === "class" || entryType === "subclass") {
-			const fullData = readJson(sourceFile);
-			markdown = this.formatter.format(entry, entryType, frontmatter, fullData);
-		} else {
-			markdown = this.formatter.format(entry, entryType, frontmatter);
+	/**
+	 * Load a data file with its `_meta` (dependencies, internal copies, ...) merged, as `DataUtil.loadJSON` does. The
+	 * site additionally reports any `_copy` left unresolved by throwing from a timeout, which would end the process
+	 * (e.g. when watching); here, these are resolved by `_pLoadBrewData`, or skipped by `_pGetResolvedEntry`.
+	 */
+	async _pLoadMergedJson (sourceFile) {
+		const data = readJson(sourceFile);
+		DataUtil._mutAddProps(data);
+		await DataUtil._pDoMetaMerge(sourceFile, data, {isSkipMetaMergeCache: true});
+		delete DataUtil._merged[sourceFile];
+		return data;
+	}
+
+	async _pGetSiteEntry (prop, {name, source}) {
+		const hashBuilder = UrlUtil.URL_TO_HASH_BUILDER[prop];
+		if (!hashBuilder) return null;
+		try {
+			return await DataLoader.pCacheAndGet(prop, source, hashBuilder({name, source}), {isCopy: true, isSilent: true});
+		} catch (e) {
+			return null;
 		}
+	}
+
+	/**
+	 * Get a data file's parsed JSON, read once per export of the file
+	 */
+	_getSourceData (sourceFile) {
+		if (!this._sourceData.has(sourceFile)) this._sourceData.set(sourceFile, readJson(sourceFile));
+		return this._sourceData.get(sourceFile);
+	}
 
-		// Write file
-		fs.writeFileSync(outputPath, markdown, "utf8");
+	/**
+	 * Get the `_meta.sources` entry for a brew entry's source, or null if the entry is not from a brew file
+	 */
+	_getBrewSource (sourceFile, entry) {
+		if (!this.brewFiles.has(sourceFile)) return null;
 
-		// Update state
-		this.tracker.updateEntryState(sourceFile, fileHash, entryKey, entryHash, outputPath);
+		this._brewMetas[sourceFile] ||= this._getSourceData(sourceFile)._meta || {};
+		return (this._brewMetas[sourceFile].sources || []).find(src => src.json === entry.source)
+			|| {json: entry.source};
+	}
 
-		// Update stats
-		if (reason === "new") {
-			this.stats.created++;
-			this.log(`  ✓ Created ${filename}`);
-		} else {
-			this.stats.updated++;
-			this.log(`  ✓ Updated ${filename}`);
-		}
+	/**
+	 * Expand brew paths to a list of JSON files. Each path may be a file, a directory (all JSON files in it), or a
+	 * glob with wildcards in its final segment, e.g. "homebrew/creature/*.json".
+	 */
+	static getBrewFiles (brewPaths) {
+		const out = brewPaths.flatMap(brewPath => {
+			if (fs.existsSync(brewPath)) {
+				if (!fs.statSync(brewPath).isDirectory()) return [brewPath];
+				return fs.readdirSync(brewPath)
+					.filter(file => file.endsWith(".json"))
+					.map(file => path.join(brewPath, file));
+			}
+
+			const dir = path.dirname(brewPath);
+			const pattern = path.basename(brewPath);
+			if (!/[*?]/.test(pattern) || !fs.existsSync(dir)) return [];
+
+			const reSource = pattern.replace(/[.+^$(){}|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+			const re = new RegExp(`^${reSource}$`);
+			return fs.readdirSync(dir)
+				.filter(file => re.test(file))
+				.map(file => path.join(dir, file));
+		});
+		return [...new Set(out)].sort(SortUtil.ascSortLower);
+	}
+
+	/**
+	 * Check if a source file matches any of the requested resource types
+	 * This is a simple heuristic - we'll validate when we read the file
+	 */
+	_isFileMatchingResourceTypes (file, resourceTypes) {
+		return resourceTypes.some(type => file.includes(type.toLowerCase()));
 	}
 
 	/**
@@ -3190,6 +7619,72 @@ class MarkdownExportEngine {
 	 * Sanitize filename for filesystem
 	 */
 	_sanitizeFilename(filename) {
+		return MarkdownExportEngine.sanitizeFilename(filename);
+	}
+
+	/**
+	 * Get the vault path (without extension) of a class feature's note, from the feature or its unpacked UID. Feature
+	 * names repeat across classes and levels (e.g. "Ability Score Improvement"), so notes are kept in a folder per
+	 * class, and prefixed with their level.
+	 */
+	static getClassFeatureNotePath ({name, className, classSource, level, source}) {
+		return [
+			ObsidianMarkdownRenderer.TAG_TO_DIR_MAP["@classFeature"],
+			this.sanitizeFilename(`${className} (${classSource})`),
+			this._getFeatureFilename({name, level, source}),
+		].join("/");
+	}
+
+	/**
+	 * Get the vault path (without extension) of a subclass feature's note, in a folder per class and subclass
+	 */
+	static getSubclassFeatureNotePath ({name, className, classSource, subclassShortName, subclassSource, level, source}) {
+		return [
+			ObsidianMarkdownRenderer.TAG_TO_DIR_MAP["@subclassFeature"],
+			this.sanitizeFilename(`${className} (${classSource})`),
+			this.sanitizeFilename(`${subclassShortName} (${subclassSource})`),
+			this._getFeatureFilename({name, level, source}),
+		].join("/");
+	}
+
+	/**
+	 * Get the vault path (without extension) of a creature's note
+	 */
+	static getMonsterNotePath ({name, source}) {
+		return [
+			this.RESOURCE_TYPE_MAP.monster.dir,
+			this.sanitizeFilename(`${name} (${source})`),
+		].join("/");
+	}
+
+	/**
+	 * Get the vault path (without extension) of the note for a scaled version of a creature (see
+	 * `_pExportScaledCreatures`). Notes are kept in a folder per creature, next to the creature's note.
+	 */
+	static getScaledCreatureNotePath ({name, source}, version) {
+		return [
+			this.getMonsterNotePath({name, source}),
+			this.sanitizeFilename(`${name} (${this._getScaleLabel(version)}) (${source})`),
+		].join("/");
+	}
+
+	/**
+	 * Get the vault path (without extension) of a card's note. Card names repeat across decks (e.g. "The Fool"), so notes
+	 * are kept in a folder per deck, next to the deck's note.
+	 */
+	static getCardNotePath ({name, set, source}) {
+		return [
+			ObsidianMarkdownRenderer.TAG_TO_DIR_MAP["@card"],
+			this.sanitizeFilename(`${set} (${source})`),
+			this.sanitizeFilename(`${Renderer.stripTags(name)} (${source})`),
+		].join("/");
+	}
+
+	static _getFeatureFilename ({name, level, source}) {
+		return this.sanitizeFilename(`${`${level}`.padStart(2, "0")} ${Renderer.stripTags(name)} (${source})`);
+	}
+
+	static sanitizeFilename (filename) {
 		return filename
 			.replace(/[<>:"/\\|?*]/g, "-")
 			.replace(/\s+/g, " ")
@@ -3211,5 +7706,7 @@ export {
 	ExportStateTracker,
 	FrontmatterGenerator,
 	MarkdownFormatter,
+	NoteTemplates,
+	ExportFilter,
 	MarkdownExportEngine,
 };
@@ -0,0 +1,630 @@
+import fs from "fs";
+import path from "path";
+import {listFiles, patchLoadJson, unpatchLoadJson} from "./util.js";
+import {FrontmatterGenerator, MarkdownExportEngine, MarkdownFormatter, ObsidianMarkdownRenderer} from "./util-markdown-export.js";
+import {SITE_STYLE__CLASSIC, SITE_STYLE__ONE} from "../js/consts.js";
+import {ConverterCreature} from "../js/converter/converter-creature.js";
+import {ConverterSpell} from "../js/converter/converter-spell.js";
+import {ConverterItem} from "../js/converter/converter-item.js";
+import {AcConvert, AttachedItemTag, MiscTag, SpellcastingTraitConvert} from "../js/converter/converterutils-creature.js";
+import {TagCondition, TaggerUtils} from "../js/converter/converterutils-tags.js";
+import {TagJsons} from "../js/converter/converterutils-entries.js";
+
+/**
+ * `MarkdownConverter`, without its scrubbing of GM Binder HTML, which needs jQuery (and exported notes have no HTML)
+ */
+class NoteMarkdownConverter extends MarkdownConverter {
+	static _getCleanGmBinder (mdStr) { return mdStr; }
+}
+
+/**
+ * Rebuilds homebrew JSON from notes written by `MarkdownExportEngine`, so edits made in the vault can be loaded back
+ * into the site. Monsters, spells and items are read by the site's converters (see "js/converter"), from the note
+ * body rearranged into the layout each converter expects; the body of other supported notes is converted to entries by
+ * `MarkdownConverter`. Whatever could not be mapped back onto the entry is reported, rather than silently dropped.
+ */
+class MarkdownImporter {
+	// Note types whose body is read by one of the site's converters
+	static _CONVERTER_TYPES = new Set(["monster", "spell", "item"]);
+
+	// Note types whose body is only the entry's `entries`
+	static _ENTRIES_TYPES = new Set(["action", "background", "boon", "condition", "cult", "disease", "feat", "hazard", "optionalfeature", "trap", "variantrule"]);
+
+	// Frontmatter kept for the exporter's bookkeeping, or for Obsidian, which has no counterpart in the entry
+	static _FRONTMATTER_IGNORED = new Set(["type", "tags", "aliases", "export_version", "export_timestamp", "source_hash", "content_hash", "reprinted_as", "copied_from", "homebrew"]);
+	// Looked up from the site's class spell lists, rather than read from the spell
+	static _FRONTMATTER_IGNORED_SPELL = new Set(["classes"]);
+
+	// Statblock lines the creature converter reads (see `ConverterCreature.doParseMarkdown`), after AC, HP and speed
+	static _CREATURE_STAT_LABELS = new Set(["Saving Throws", "Skills", "Damage Vulnerabilities", "Damage Resistances", "Damage Immunities", "Condition Immunities", "Senses", "Languages", "Challenge", "Proficiency Bonus"]);
+
+	static _CREATURE_ACTION_SECTIONS = new Set(["Actions", "Bonus Actions", "Reactions", "Legendary Actions", "Mythic Actions"]);
+
+	// Tags whose text is not `name|source|displayText`, which a link's target can't be converted back into
+	static _LINK_TAGS_UNSUPPORTED = new Set(["@subclass", "@deity", "@classFeature", "@subclassFeature", "@card"]);
+
+	// Wikilinks are swapped for placeholders while a note is converted, so neither the converters' taggers nor
+	//   `MarkdownConverter`'s table parsing (which splits cells on "|") can mangle the tags they are converted into
+	static _RE_LINK_PLACEHOLDER = /(\d+)/g;
+
+	/**
+	 * @param [opts] Options object.
+	 * @param [opts.vaultDir] The exported vault, which links are resolved against.
+	 * @param [opts.source] Source to import every entry under, e.g. a homebrew source; by default, entries keep the
+	 * source they were exported from.
+	 * @param [opts.sourceFull] Full name of `source`, for the homebrew's `_meta`.
+	 * @param [opts.verbose] Verbose logging.
+	 */
+	constructor ({vaultDir = "markdown-export", source = null, sourceFull = null, verbose = false} = {}) {
+		this.vaultDir = vaultDir;
+		this.source = source;
+		this.sourceFull = sourceFull;
+		this.verbose = verbose;
+
+		this.formatter = new MarkdownFormatter(new ObsidianMarkdownRenderer());
+		this.frontmatterGenerator = new FrontmatterGenerator();
+
+		this._isConvertersInit = false;
+		// Vault path (without extension) -> frontmatter of the note, or null if there is no such note
+		this._linkedNoteCache = new Map();
+	}
+
+	/**
+	 * Import every supported note found at the given paths (notes, or directories of notes, relative to the vault)
+	 * @return {{brew: object, unmapped: Array<{notePath: string, messages: Array<string>}>, stats: object}}
+	 */
+	async pImport (notePaths = ["."]) {
+		const files = [...new Set(notePaths.flatMap(notePath => this._getNoteFiles(notePath)))];
+
+		const stats = {imported: 0, skipped: 0, siteSource: 0, notesByType: {}};
+		const out = {};
+		const brewSources = new Map();
+		const unmapped = [];
+
+		// The converters need the site's data loaded, which is only worth doing if there are notes for them
+		const notes = files.map(file => ({file, markdown: fs.readFileSync(file, "utf8")}));
+		if (notes.some(({markdown}) => MarkdownImporter._CONVERTER_TYPES.has(this.formatter.parseFrontmatter(markdown)?.type))) {
+			await this.pInitConverters();
+		}
+
+		for (const {file, markdown} of notes) {
+			const notePath = path.relative(this.vaultDir, file).split(path.sep).join("/");
+
+			const result = this.importNote(markdown);
+			if (!result) {
+				stats.skipped++;
+				this.log(`Skipping ${notePath}: not an importable note`);
+				continue;
+			}
+
+			const {prop, entity, brewSource, messages} = result;
+			(out[prop] ||= []).push(entity);
+			if (brewSource) brewSources.set(brewSource.json, brewSource);
+			else stats.siteSource++;
+			if (messages.length) unmapped.push({notePath, messages});
+
+			stats.imported++;
+			stats.notesByType[prop] = (stats.notesByType[prop] || 0) + 1;
+			this.log(`Imported ${notePath}`);
+		}
+
+		const now = Math.round(Date.now() / 1000);
+		const brew = {
+			_meta: {
+				sources: [...brewSources.values()],
+				dateAdded: now,
+				dateLastModified: now,
+			},
+			...out,
+		};
+
+		return {brew, unmapped, stats};
+	}
+
+	_getNoteFiles (notePath) {
+		const fullPath = path.resolve(this.vaultDir, notePath);
+		if (!fs.existsSync(fullPath)) throw new Error(`Note or directory "${notePath}" not found in vault "${this.vaultDir}"!`);
+
+		if (!fs.statSync(fullPath).isDirectory()) return [fullPath];
+
+		const indexFile = `${MarkdownExportEngine.INDEX_NOTE_NAME}.md`;
+		return listFiles({dir: fullPath, allowlistFileExts: [".md"], blocklistFilePrefixes: [indexFile], blocklistDirPrefixes: null, blocklistDirs: null})
+			.map(file => path.resolve(file));
+	}
+
+	/**
+	 * Load the site data the converters tag and look up against, as the site's converter page does
+	 */
+	async pInitConverters () {
+		if (this._isConvertersInit) return;
+
+		// The converters order their output with `PropOrder`, which uses `Set.prototype.difference`
+		if (!Set.prototype.difference) throw new Error(`Importing monsters, spells and items requires Node.js 22 or later!`);
+
+		patchLoadJson();
+		try {
+			const [spells, items, legendaryGroups, classes] = await Promise.all([
+				DataUtil.spell.pLoadAll(),
+				Renderer.item.pBuildList(),
+				DataUtil.legendaryGroup.pLoadAll(),
+				DataUtil.class.loadJSON(),
+			]);
+			const itemsNoGroups = items.filter(it => !it._isItemGroup);
+			SpellcastingTraitConvert.init(spells);
+			ConverterItem.init(itemsNoGroups, classes);
+			AcConvert.init(itemsNoGroups);
+			TaggerUtils.init({legendaryGroups, spells});
+			await TagJsons.pInit({spells});
+			MiscTag.init({items});
+			AttachedItemTag.init({items});
+			await TagCondition.pInit({conditionsBrew: []});
+		} finally {
+			unpatchLoadJson();
+		}
+
+		this._isConvertersInit = true;
+	}
+
+	/**
+	 * Rebuild the entry a note was exported from
+	 * @return {{prop: string, entity: object, brewSource: ?object, messages: Array<string>}} or null, if the note is
+	 * not one which can be imported (e.g. an index note, or an unsupported type).
+	 */
+	importNote (markdown) {
+		const frontmatter = this.formatter.parseFrontmatter(markdown);
+		const type = frontmatter?.type;
+		if (!frontmatter?.name || !frontmatter.source) return null;
+		if (!MarkdownImporter._CONVERTER_TYPES.has(type) && !MarkdownImporter._ENTRIES_TYPES.has(type)) return null;
+
+		// Notes written as Fantasy Statblocks code blocks have none of the layout the converter reads
+		if (type === "monster" && /^```statblock$/m.test(markdown)) return null;
+
+		const messages = [];
+		// The reader's own notes (see `MarkdownExportEngine.USER_CONTENT_MARKER`), and the notes linking to this one, are
+		//   not part of the entry
+		const content = MarkdownExportEngine._getWithoutReferencedBy(MarkdownExportEngine._getNoteParts(markdown).markdownGenerated)
+			.replace(/^---\n[\s\S]*?\n---(?:\n|$)/, "");
+		const parts = this.formatter._getContentParts(content);
+
+		const links = [];
+		const ctx = {frontmatter, parts, links, messages};
+
+		let entity;
+		switch (type) {
+			case "monster": entity = this._getCreature(ctx); break;
+			case "spell": entity = this._getSpell(ctx); break;
+			case "item": entity = this._getItem(ctx); break;
+			default: entity = this._getEntriesEntity(ctx); break;
+		}
+		entity = this._getWithLinks(entity, links);
+
+		// The frontmatter is the note's identity, which the body's layout may not carry (e.g. the source)
+		entity.name = frontmatter.name;
+		entity.source = this.source || frontmatter.source;
+		if (frontmatter.page != null) entity.page = frontmatter.page;
+		else delete entity.page;
+
+		const aliases = (frontmatter.aliases || []).filter(it => it !== `${frontmatter.name} (${frontmatter.source})`);
+		if (aliases.length) entity.alias = aliases;
+
+		messages.push(...this._getFrontmatterMessages(frontmatter, entity));
+
+		return {prop: type, entity, brewSource: this._getBrewSource(frontmatter), messages};
+	}
+
+	/* -------------------------------------------- */
+
+	/**
+	 * Where the entry's frontmatter doesn't match the frontmatter the exporter would write for the rebuilt entry, a
+	 * field was either edited in the frontmatter only, or lost in conversion
+	 */
+	_getFrontmatterMessages (frontmatter, entity) {
+		const frontmatterRebuilt = this.formatter._getYAMLNormalized(this.frontmatterGenerator.generate(entity, frontmatter.type, ""));
+
+		return Object.entries(frontmatter)
+			.filter(([key]) => !MarkdownImporter._FRONTMATTER_IGNORED.has(key))
+			.filter(([key]) => !(frontmatter.type === "spell" && MarkdownImporter._FRONTMATTER_IGNORED_SPELL.has(key)))
+			// Replaced on purpose
+			.filter(([key]) => !(key === "source" && this.source))
+			.map(([key, value]) => {
+				if (frontmatterRebuilt[key] === undefined) return `Frontmatter "${key}" (${JSON.stringify(value)}) was not imported`;
+				if (JSON.stringify(frontmatterRebuilt[key]) === JSON.stringify(value)) return null;
+				return `Frontmatter "${key}" (${JSON.stringify(value)}) does not match the note body, which was imported as ${JSON.stringify(frontmatterRebuilt[key])}`;
+			})
+			.filter(Boolean);
+	}
+
+	_getBrewSource (frontmatter) {
+		if (this.source) {
+			return {
+				json: this.source,
+				abbreviation: this.source,
+				full: this.sourceFull || this.source,
+				version: "1.0.0",
+			};
+		}
+
+		// Notes exported from homebrew record their source's `_meta.sources` entry
+		const {homebrew} = frontmatter;
+		if (!homebrew?.source) return null;
+
+		const out = {json: homebrew.source};
+		if (homebrew.abbreviation) out.abbreviation = homebrew.abbreviation;
+		if (homebrew.full) out.full = homebrew.full;
+		if (homebrew.authors) out.authors = homebrew.authors.split(", ");
+		if (homebrew.version) out.version = homebrew.version;
+		if (homebrew.url) out.url = homebrew.url;
+		return out;
+	}
+
+	/* -------------------------------------------- */
+
+	/**
+	 * Get the options the converters need, with the converter's warnings reported as unmapped
+	 */
+	_getConverterOptions ({frontmatter, messages}) {
+		return {
+			cbWarning: msg => messages.push(`Converter: ${msg}`),
+			cbOutput: () => {},
+			source: frontmatter.source,
+			page: frontmatter.page,
+			styleHint: SourceUtil.isClassicSource(frontmatter.source) ? SITE_STYLE__CLASSIC : SITE_STYLE__ONE,
+		};
+	}
+
+	/**
+	 * Rearrange a monster note into the Homebrewery statblock layout `ConverterCreature.doParseMarkdown` reads
+	 */
+	_getCreature (ctx) {
+		const {frontmatter, parts, messages} = ctx;
+
+		const lines = ["___", `## ${parts.title}`];
+		const statLines = [];
+		let passive = null;
+
+		// Spellcasting traits of monsters without other traits are written with no "Traits" heading
+		const [intro, ...introTraits] = this._getHeadingChunks(parts.intro || "");
+		const sections = introTraits.length ? [{title: "Traits", content: introTraits.join("")}, ...parts.sections] : parts.sections;
+
+		intro.split("\n").map(it => it.trim()).filter(Boolean).forEach(line => {
+			// Size, type and alignment; the converter expects a comma before the alignment
+			const mType = /^\*([^*].*)\*$/.exec(line);
+			if (mType) {
+				const mAlignment = /^((?:\w+ or )*\w+) (\w+(?: \([^)]*\))?) (.+)$/.exec(mType[1]);
+				return lines.push(mAlignment ? `*${mAlignment[1]} ${mAlignment[2]}, ${mAlignment[3]}*` : line);
+			}
+
+			if (line.startsWith("|")) {
+				// The converter only skips separator rows written with alignment
+				return lines.push(/^\|[-|\s]+\|$/.test(line) ? line.replace(/-+/g, ":---:") : line);
+			}
+
+			const mStat = /^\*\*(.+?)\*\*\s*(.*)$/.exec(line);
+			if (!mStat) return messages.push(`Line "${line}" was not imported`);
+
+			const [, label, value] = mStat;
+			switch (label) {
+				case "Armor Class": return lines.push(`- **Armor Class** ${this._getCreatureAc(value, frontmatter)}`);
+				case "Hit Points":
+				case "Speed":
+					return lines.push(`- **${label}** ${this._getLinkedText(value, ctx)}`);
+				case "Passive Perception": passive = value; return;
+			}
+
+			if (!MarkdownImporter._CREATURE_STAT_LABELS.has(label)) return messages.push(`"${label}" was not imported`);
+			statLines.push({label, value: this._getLinkedText(value, ctx)});
+		});
+
+		// The converter reads passive Perception from the senses, as it is written on the site
+		if (passive != null) {
+			const senses = statLines.find(it => it.label === "Senses");
+			if (senses) senses.value = `${senses.value}, passive Perception ${passive}`;
+			else statLines.splice(statLines.findIndex(it => it.label === "Languages" || it.label === "Challenge") >>> 0, 0, {label: "Senses", value: `passive Perception ${passive}`});
+		}
+		lines.push(...statLines.map(({label, value}) => `- **${label}** ${value}`));
+
+		let legendaryActions = null;
+		for (const {title, content} of sections) {
+			if (title !== "Traits" && !MarkdownImporter._CREATURE_ACTION_SECTIONS.has(title)) {
+				messages.push(`Section "${title}" was not imported`);
+				continue;
+			}
+
+			if (title !== "Traits") lines.push(`### ${title}`);
+
+			const [sectionIntro, ...chunks] = this._getHeadingChunks(content);
+			if (sectionIntro.trim()) {
+				// The converter adds the standard legendary actions introduction back itself
+				const mLegendary = title === "Legendary Actions" ? /can take (\d+) legendary actions/i.exec(sectionIntro) : null;
+				if (mLegendary) legendaryActions = Number(mLegendary[1]);
+				else lines.push(...this._getParagraphs(sectionIntro).map(it => this._getLinkedText(it, ctx)));
+			}
+
+			chunks.forEach(chunk => {
+				const [heading, ...rest] = chunk.split("\n");
+				const name = heading.slice("### ".length).trim();
+				const [first = "", ...paragraphs] = this._getParagraphs(rest.join("\n"))
+					.map(it => this._getLinkedText(it, ctx, {isPlainLinks: this._isSpellListLine(it)}))
+					.map(it => it.replace(/^\*\*(.+?)\*\*\s*/, "$1 "));
+				lines.push(`***${name}${/[.!?]$/.test(name) ? "" : "."}*** ${first}`, ...paragraphs);
+			});
+		}
+
+		const entity = ConverterCreature.doParseMarkdown(lines.join("\n"), this._getConverterOptions(ctx));
+		if (legendaryActions != null && legendaryActions !== 3) entity.legendaryActions = legendaryActions;
+		return entity;
+	}
+
+	/**
+	 * Split markdown on its "###" headings
+	 * @return {Array<string>} The text before the first heading (which may be empty), then each heading and its text.
+	 */
+	_getHeadingChunks (markdown) {
+		const chunks = markdown.split(/^(?=### )/m);
+		return chunks[0].startsWith("### ") ? ["", ...chunks] : chunks;
+	}
+
+	/**
+	 * Monster notes only show the AC values; where the frontmatter agrees with them, restore what each is from
+	 */
+	_getCreatureAc (acText, frontmatter) {
+		const details = frontmatter.ac_details;
+		if (!details?.length || details.map(it => it.ac).join(", ") !== acText.trim()) return acText;
+
+		return details
+			.map(({ac, from, condition}) => [ac, from?.length ? `(${from.join(", ")})` : null, condition].filter(Boolean).join(" "))
+			.join(", ");
+	}
+
+	// e.g. "**1st level (4 slots):** ...", "**At will:** ...", "**3/day each:** ..."
+	_isSpellListLine (line) {
+		return /^\*\*(?:Cantrips|At will|\d+\/day|\d+(?:st|nd|rd|th) level)\b/i.test(line);
+	}
+
+	/**
+	 * Rearrange a spell note into the plain text layout `ConverterSpell.doParseText` reads
+	 */
+	_getSpell (ctx) {
+		const {parts} = ctx;
+
+		const lines = [parts.title];
+		const bodyLines = this._getBodyLines(ctx);
+
+		bodyLines.forEach((line, ix) => {
+			if (ix === 0) {
+				// "cantrip evocation" is written as "Evocation cantrip" in the books
+				const mCantrip = /^\*cantrip (\w+)(.*)\*$/.exec(line);
+				return lines.push(mCantrip ? `${mCantrip[1].toTitleCase()} cantrip${mCantrip[2]}` : line.replace(/^\*(.*)\*$/, "$1"));
+			}
+
+			const mProp = /^\*\*(Casting Time|Range|Components|Duration):\*\*\s*(.*)$/.exec(line);
+			if (!mProp) return lines.push(line);
+
+			const [, label, value] = mProp;
+			lines.push(`${label}: ${this._getSpellPropValue(label, value, ctx)}`);
+		});
+
+		return ConverterSpell.doParseText(lines.join("\n"), this._getConverterOptions(ctx));
+	}
+
+	/**
+	 * Notes write some spell properties more tersely than the books, which the converter reads
+	 */
+	_getSpellPropValue (label, value, {frontmatter}) {
+		switch (label) {
+			case "Range": return value.uppercaseFirst();
+			case "Duration": return value.uppercaseFirst().replace(/^Instant$/, "Instantaneous");
+			case "Components": {
+				// Material components with a cost are only written as "M"
+				const material = frontmatter.components?.material;
+				if (!material?.text || !/\bM$/.test(value)) return value;
+				return `${value} (${material.text}${material.consume ? ", which the spell consumes" : ""})`;
+			}
+			default: return value;
+		}
+	}
+
+	/**
+	 * Rearrange an item note into the plain text layout `ConverterItem.doParseText` reads
+	 */
+	_getItem (ctx) {
+		const {parts} = ctx;
+
+		const lines = [parts.title];
+		this._getBodyLines(ctx).forEach((line, ix) => {
+			// The type, rarity and attunement, e.g. "*wondrous item, uncommon (requires attunement)*"
+			if (ix === 0 && /^\*[^*].*\*$/.test(line)) return lines.push(line.slice(1, -1).uppercaseFirst());
+
+			// Weapon and armor properties, which the converter reads from the base item named in the type
+			if (/^\*\*[^*]+\*\*/.test(line)) return;
+
+			// Added to the notes of specific variants (e.g. "+1 Longsword") by the exporter
+			if (/^\*Specific variant of .*\*$/.test(line)) return;
+
+			lines.push(line);
+		});
+
+		return ConverterItem.doParseText(lines.join("\n"), this._getConverterOptions(ctx));
+	}
+
+	/**
+	 * Get the lines of the body of a note, ready for a text converter: one line per paragraph (or list item), with
+	 * links converted, and headings merged into their first paragraph as inline headers (e.g. "At Higher Levels. ...")
+	 */
+	_getBodyLines (ctx) {
+		const {parts, messages} = ctx;
+
+		const sections = parts.sections.filter(({title}) => {
+			if (!this._isFluffSection(title)) return true;
+			messages.push(`Section "${title}" was not imported`);
+			return false;
+		});
+
+		const body = [parts.intro || "", ...sections.map(({title, content}) => `## ${title}\n\n${content}`)].join("\n\n");
+
+		const out = [];
+		let heading = null;
+		this._getParagraphs(body).forEach(paragraph => {
+			const mHeading = /^#{2,} (.*)$/.exec(paragraph);
+			if (mHeading) return heading = mHeading[1].trim();
+
+			const line = this._getLinkedText(paragraph, ctx);
+			out.push(heading ? `${heading}${/[.!?]$/.test(heading) ? "" : "."} ${line}` : line);
+			heading = null;
+		});
+		return out;
+	}
+
+	_isFluffSection (title) { return title === "Lore"; }
+
+	/**
+	 * Split markdown into paragraphs, with each line of a list (or table) as its own paragraph
+	 */
+	_getParagraphs (markdown) {
+		return markdown
+			.split(/\n\s*\n/)
+			.flatMap(paragraph => {
+				// Lines ending in a hard line break (e.g. a statblock's properties) are paragraphs of their own
+				if (/ {2}\n/.test(paragraph)) return paragraph.split("\n").map(it => it.trim()).filter(Boolean);
+				const lines = paragraph.split("\n").map(it => it.trim()).filter(Boolean);
+				if (lines.some(it => /^(?:[-*] |\d+\. |\|)/.test(it))) return lines;
+				return lines.length ? [lines.join(" ")] : [];
+			});
+	}
+
+	/**
+	 * Convert the body of a note, other than its title and source, to entries
+	 */
+	_getEntriesEntity (ctx) {
+		const {parts, messages} = ctx;
+
+		const sections = parts.sections.filter(({title}) => {
+			if (!this._isFluffSection(title)) return true;
+			messages.push(`Section "${title}" was not imported`);
+			return false;
+		});
+
+		const body = [parts.intro || "", ...sections.map(({title, content}) => `## ${title}\n\n${content}`)].join("\n\n");
+		// Notes write top-level named entries as "####" (see `RendererMarkdown`), which the converter reads as nested
+		const markdown = this._getLinkedText(body, ctx).replace(/^#### /gm, "### ");
+
+		return {name: parts.title, entries: this._getEntriesUnwrapped(NoteMarkdownConverter.getEntries(markdown))};
+	}
+
+	/**
+	 * The converter wraps runs of headings in unnamed sections, and nests inline headers in unnamed entries
+	 */
+	_getEntriesUnwrapped (entries) {
+		return entries.flatMap(ent => {
+			if (ent?.entries == null || (ent.type !== "entries" && ent.type !== "section")) return [ent];
+
+			const entriesUnwrapped = this._getEntriesUnwrapped(ent.entries);
+			if (!ent.name) return entriesUnwrapped;
+			return [{...ent, type: "entries", entries: entriesUnwrapped}];
+		});
+	}
+
+	/* -------------------------------------------- */
+
+	/**
+	 * Undo the exporter's conversion of tags to wikilinks and Dice Roller rolls. Links are replaced with placeholders,
+	 * to be swapped for their tags once the entry is rebuilt, or with their display text if `isPlainLinks` is set
+	 * (e.g. for spellcasting spell lists, which the converter tags itself).
+	 */
+	_getLinkedText (text, {links, messages}, {isPlainLinks = false} = {}) {
+		text = text
+			// Left where e.g. an empty tag was dropped
+			.replace(/(?<=\S) {2,}(?=\S)/g, " ")
+			// "+5 (`dice: 1d20+5`)", but not e.g. an average followed by its formula, "7 (`dice: 2d6`)"
+			.replace(/([-+]\d+) \(`dice: [^`]+`(?:\/`dice: [^`]+`)*\)/g, "$1")
+			// "(Recharge 5–6) `dice: 1d6`"
+			.replace(/(\(Recharge[^)]*\)) `dice: [^`]+`/g, "$1")
+			// "`dice: 2d6+3`"
+			.replace(/`dice: ([^`]+)`/g, (...m) => m[1].replace(/(?<=\S)([-+])(?=\S)/g, " $1 "));
+
+		return text.replace(MarkdownFormatter.RE_WIKILINK, (match, embed, linkPath, subpath, display) => {
+			if (embed) {
+				messages.push(`Embed "${match}" was not imported`);
+				return "";
+			}
+
+			// Links are displayed as their target's note name, e.g. "Fireball (PHB)", unless the tag had display text
+			const displayText = display ?? path.posix.basename(linkPath);
+			const displayTextPlain = displayText === path.posix.basename(linkPath) ? displayText.replace(/ \([^()]+\)$/, "") : displayText;
+			if (subpath) {
+				messages.push(`Link "${match}" to a ${subpath.startsWith("^") ? "block" : "heading"} was imported as plain text`);
+				return displayTextPlain;
+			}
+
+			const tagMeta = this._getLinkTagMeta(linkPath);
+			if (!tagMeta) {
+				messages.push(`Link "${match}" was imported as plain text`);
+				return displayTextPlain;
+			}
+
+			const {tag, name, source} = tagMeta;
+			if (isPlainLinks) return name;
+
+			const ptDisplay = displayText === path.posix.basename(linkPath) || displayText === name ? "" : `|${displayText}`;
+			links.push(`{${tag} ${name}|${source}${ptDisplay}}`);
+			return `${links.length - 1}`;
+		});
+	}
+
+	/**
+	 * Get the tag a link to a note (e.g. "spells/fireball (PHB)") was exported from, or null if there is none
+	 */
+	_getLinkTagMeta (linkPath) {
+		const [dir, ...rest] = linkPath.split("/");
+		const mName = /^(.*) \(([^()]+)\)$/.exec(rest.join("/"));
+		if (!mName) return null;
+
+		const tags = Object.entries(ObsidianMarkdownRenderer.TAG_TO_DIR_MAP)
+			.filter(([, tagDir]) => tagDir === dir)
+			.map(([tag]) => tag);
+		if (!tags.length) return null;
+
+		// Directories shared by several tags (e.g. conditions and diseases) are told apart by the linked note's type
+		const frontmatter = this._getLinkedNoteFrontmatter(linkPath);
+		const tagNote = frontmatter?.type ? `@${Parser.getPropTag(frontmatter.type)}` : null;
+		const tag = tags.includes(tagNote) ? tagNote : tags[0];
+		if (MarkdownImporter._LINK_TAGS_UNSUPPORTED.has(tag)) return null;
+
+		// Characters which can't be used in filenames are replaced in the link, so prefer the note's own name
+		const [, nameLink, source] = mName;
+		const name = frontmatter?.name && MarkdownExportEngine.sanitizeFilename(frontmatter.name) !== frontmatter.name
+			? frontmatter.name
+			: nameLink;
+
+		return {tag, name, source};
+	}
+
+	_getLinkedNoteFrontmatter (linkPath) {
+		if (this._linkedNoteCache.has(linkPath)) return this._linkedNoteCache.get(linkPath);
+
+		const file = path.join(this.vaultDir, `${linkPath}.md`);
+		const frontmatter = fs.existsSync(file) ? this.formatter.parseFrontmatter(fs.readFileSync(file, "utf8")) : null;
+		this._linkedNoteCache.set(linkPath, frontmatter);
+		return frontmatter;
+	}
+
+	/**
+	 * Swap the link placeholders in a rebuilt entry for their tags
+	 */
+	_getWithLinks (entity, links) {
+		return MiscUtil.getWalker().walk(entity, {
+			string: str => str.replace(MarkdownImporter._RE_LINK_PLACEHOLDER, (...m) => links[Number(m[1])]),
+		});
+	}
+
+	/**
+	 * Log message if verbose mode is enabled. Written to stderr, as the CLI may be writing the JSON to stdout.
+	 */
+	log (message) {
+		if (this.verbose) console.error(message);
+	}
+}
+
+export {
+	MarkdownImporter,
+};
@@ -0,0 +1,43 @@
+import "../../js/parser.js";
+import "../../js/utils.js";
+import "../../js/render.js";
+import "../../js/render-markdown.js";
+
+describe("Converting markdown to entries", () => {
+	// GM Binder HTML scrubbing needs jQuery, and the markdown under test has no HTML
+	let getCleanGmBinderOriginal;
+	beforeAll(() => {
+		getCleanGmBinderOriginal = MarkdownConverter._getCleanGmBinder;
+		MarkdownConverter._getCleanGmBinder = mdStr => mdStr;
+	});
+	afterAll(() => {
+		MarkdownConverter._getCleanGmBinder = getCleanGmBinderOriginal;
+	});
+
+	it("Should coalesce sibling headings into a section", () => {
+		expect(MarkdownConverter.getEntries("### Alpha\nFirst.\n### Beta\nSecond.\n### Gamma\nThird.")).toEqual([
+			{
+				type: "section",
+				entries: [
+					{type: "entries", name: "Alpha", entries: ["First."]},
+					{type: "entries", name: "Beta", entries: ["Second."]},
+					{type: "entries", name: "Gamma", entries: ["Third."]},
+				],
+			},
+		]);
+	});
+
+	it("Should nest sibling headings under their parent", () => {
+		expect(MarkdownConverter.getEntries("## Chapter\nIntro.\n### Alpha\nFirst.\n### Beta\nSecond.")).toEqual([
+			{
+				type: "section",
+				name: "Chapter",
+				entries: [
+					"Intro.",
+					{type: "entries", name: "Alpha", entries: ["First."]},
+					{type: "entries", name: "Beta", entries: ["Second."]},
+				],
+			},
+		]);
+	});
+});
@@ -0,0 +1,36 @@
+import {MarkdownExportGolden} from "../util-markdown-export-golden.js";
+
+// If a change to the output is intended, run `npm run test:unit:update-golden`, and review the diff
+describe("Markdown export", () => {
+	const notesGolden = MarkdownExportGolden.getNotes(MarkdownExportGolden.DIR_GOLDEN);
+	let notesExported;
+
+	beforeAll(async () => {
+		notesExported = await MarkdownExportGolden.pGetExportedNotes();
+	}, 60_000);
+
+	it("Should export the same set of notes as the golden set", () => {
+		expect(Object.keys(notesExported)).toEqual(Object.keys(notesGolden));
+	});
+
+	it.each(Object.keys(notesGolden))("Should match the golden note: %s", (file) => {
+		expect(notesExported[file]).toBe(notesGolden[file]);
+	});
+});
+
+describe.each(Object.keys(MarkdownExportGolden.OPTION_SETS))("Markdown export with options: %s", (optionSetName) => {
+	const notesGolden = MarkdownExportGolden.getOptionSetNotes(optionSetName);
+	let notesExported;
+
+	beforeAll(async () => {
+		notesExported = await MarkdownExportGolden.pGetExportedNotes(MarkdownExportGolden.OPTION_SETS[optionSetName]);
+	}, 60_000);
+
+	it("Should export the same set of notes as the golden set", () => {
+		expect(Object.keys(notesExported)).toEqual(Object.keys(notesGolden));
+	});
+
+	it.each(Object.keys(notesGolden))("Should match the golden note: %s", (file) => {
+		expect(notesExported[file]).toBe(notesGolden[file]);
+	});
+});
@@ -0,0 +1,56 @@
+import fs from "fs";
+import path from "path";
+import {MarkdownExportEngine} from "../../node/util-markdown-export.js";
+import {MarkdownExportTestUtil, MarkdownExportTestVault} from "../util-markdown-export-golden.js";
+
+describe("Markdown export adventures and books", () => {
+	let vault;
+
+	const adventureDir = "adventures/NERDS Restoring Harmony- A Web of Lies";
+
+	const insertChapter = () => {
+		vault.editJson(path.join(vault.dataDir, "adventure", "adventure-nrh-awol.json"), data => data.data.unshift({type: "section", name: "Foreword", entries: ["Welcome, agents."]}));
+		vault.editJson(path.join(vault.dataDir, "adventures.json"), data => data.adventure[0].contents.unshift({name: "Foreword"}));
+	};
+
+	MarkdownExportTestUtil.useLogStub();
+
+	beforeEach(() => {
+		vault = new MarkdownExportTestVault("adventure-book", {isCopyData: true});
+	});
+
+	afterEach(() => {
+		vault.remove();
+	});
+
+	it("Should renumber the chapter notes after an inserted chapter", async () => {
+		await vault.pExport();
+		expect(fs.existsSync(vault.getPath(`${adventureDir}/01 Credits.md`))).toBe(true);
+
+		insertChapter();
+		await vault.pExport();
+
+		expect(fs.readdirSync(vault.getPath(adventureDir)).filter(it => it.endsWith(".md")).sort()).toEqual([
+			"00 Foreword.md",
+			"01 Restoring Harmony- A Web of Lies.md",
+			"02 Credits.md",
+			"NERDS Restoring Harmony- A Web of Lies.md",
+		]);
+		expect(vault.readNote(`${adventureDir}/02 Credits.md`)).toMatch(/^chapter_index: 2$/m);
+		expect(vault.readNote(`${adventureDir}/NERDS Restoring Harmony- A Web of Lies.md`)).toContain(`[[${adventureDir}/02 Credits|Credits]]`);
+	}, 120_000);
+
+	it.each(["delete", "move"])("Should remove the section notes of renumbered chapters (orphans: %s)", async (orphans) => {
+		await vault.pExport({isSplitSections: true, orphans});
+		const sectionDirPrev = vault.getPath(`${adventureDir}/00 Restoring Harmony- A Web of Lies`);
+		const sectionNotes = fs.readdirSync(sectionDirPrev);
+		expect(sectionNotes.length).toBeGreaterThan(0);
+
+		insertChapter();
+		await vault.pExport({isSplitSections: true, orphans});
+
+		expect(fs.existsSync(sectionDirPrev)).toBe(false);
+		expect(fs.readdirSync(vault.getPath(`${adventureDir}/01 Restoring Harmony- A Web of Lies`))).toEqual(sectionNotes);
+		if (orphans === "move") expect(fs.readdirSync(vault.getPath(`${MarkdownExportEngine.ORPHAN_DIR}/${adventureDir}/00 Restoring Harmony- A Web of Lies`))).toEqual(sectionNotes);
+	}, 120_000);
+});
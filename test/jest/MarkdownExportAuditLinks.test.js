@@ -0,0 +1,40 @@
+import {MarkdownExportTestUtil, MarkdownExportTestVault} from "../util-markdown-export-golden.js";
+
+describe("Markdown export broken link audit", () => {
+	let vault;
+	let engine;
+
+	const logged = MarkdownExportTestUtil.useLogStub();
+
+	const writeNote = (notePath, content) => engine._writeNoteFile(vault.getPath(`${notePath}.md`), content);
+
+	beforeEach(() => {
+		vault = new MarkdownExportTestVault("audit-links");
+		engine = vault.getEngine();
+
+		writeNote("tables/Trinkets (PHB)", "# Trinkets\n\n| d100 | Trinket |\n|---|---|\n| 1 | A mummified goblin hand |\n\n^table");
+	});
+
+	afterEach(() => {
+		vault.remove();
+	});
+
+	it("Should not report links to headings and blocks of existing notes", () => {
+		writeNote("backgrounds/Acolyte (PHB)", "Roll `dice: [[tables/Trinkets (PHB)^table]]`, or see [[tables/Trinkets (PHB)#Trinkets|Trinkets]] and [[Trinkets (PHB)^table|the table]].");
+
+		engine._auditLinks();
+
+		expect(engine.stats.brokenLinks).toBe(0);
+		expect(logged).toEqual([]);
+	});
+
+	it("Should report links whose target note was not generated", () => {
+		writeNote("backgrounds/Acolyte (PHB)", "Roll `dice: [[tables/Oddities (PHB)^table]]`, or see [[spells/Fireball (PHB)|Fireball]] and [[spells/Fireball (PHB)#Higher Levels]].");
+
+		engine._auditLinks();
+
+		expect(engine.stats.brokenLinks).toBe(2);
+		expect(logged).toContain("  - spells/Fireball (PHB) (from backgrounds/Acolyte (PHB))");
+		expect(logged).toContain("  - tables/Oddities (PHB) (from backgrounds/Acolyte (PHB))");
+	});
+});
@@ -0,0 +1,42 @@
+import fs from "fs";
+import path from "path";
+import {MarkdownExportTestUtil, MarkdownExportTestVault} from "../util-markdown-export-golden.js";
+
+// Copies a creature from the site's data, without listing it as a dependency
+const BREW = {
+	_meta: {
+		sources: [{json: "TestBrew", abbreviation: "TB", full: "Test Brew", version: "1.0.0"}],
+	},
+	monster: [
+		{
+			name: "Big Goblin",
+			source: "TestBrew",
+			_copy: {name: "Goblin", source: "MM"},
+		},
+	],
+};
+
+describe("Markdown export homebrew", () => {
+	let vault;
+
+	MarkdownExportTestUtil.useLogStub();
+
+	beforeAll(() => {
+		vault = new MarkdownExportTestVault("brew");
+		fs.writeFileSync(path.join(vault.dir, "brew.json"), JSON.stringify(BREW), "utf8");
+	});
+
+	afterAll(() => {
+		vault.remove();
+	});
+
+	it("Should resolve copies of site entries, and keep running after exporting", async () => {
+		const stats = await vault.pExport({brewPaths: [path.join(vault.dir, "brew.json")]});
+		expect(stats.errors).toBe(0);
+		expect(vault.readNote("monsters/Big Goblin (TestBrew).md")).toContain("### Nimble Escape");
+
+		// The site reports some data issues by throwing from a timeout, which would end the process (e.g. when watching)
+		//   and fail the test; let any fire
+		await new Promise(resolve => setTimeout(resolve, 100));
+	}, 120_000);
+});
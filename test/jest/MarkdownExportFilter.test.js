@@ -0,0 +1,47 @@
+import {ExportFilter} from "../../node/util-markdown-export.js";
+
+describe("Markdown export filter", () => {
+	it("Should reject unknown options and groups", () => {
+		expect(() => new ExportFilter({source: ["XPHB"]})).toThrow(`Unknown filter option "source"`);
+		expect(() => new ExportFilter({groups: ["core"]})).toThrow(`Unknown source group "core"`);
+	});
+
+	it("Should filter by source, including other sources", () => {
+		const filter = new ExportFilter({sources: ["xphb"], excludeSources: ["XDMG"]});
+		expect(filter.getEntryExcludedReason("spell", {name: "Fireball", source: "XPHB"})).toBe(null);
+		expect(filter.getEntryExcludedReason("spell", {name: "Fireball", source: "PHB"})).toBe("source PHB is not included");
+		expect(filter.getEntryExcludedReason("item", {name: "Dagger", source: "PHB", otherSources: [{source: "XPHB"}]})).toBe(null);
+		expect(filter.getEntryExcludedReason("item", {name: "Bag of Holding", source: "XDMG"})).toBe("source XDMG is excluded");
+	});
+
+	it("Should filter by source group", () => {
+		expect(ExportFilter.getSourceGroup("XPHB")).toBe("official");
+		expect(ExportFilter.getSourceGroup("UA2024PlayersHandbookPlaytest7")).toBe("ua");
+		expect(ExportFilter.getSourceGroup("XPHB", {isBrew: true})).toBe("homebrew");
+
+		const filter = new ExportFilter({groups: ["official"]});
+		expect(filter.getEntryExcludedReason("spell", {name: "Fireball", source: "XPHB"})).toBe(null);
+		expect(filter.getEntryExcludedReason("spell", {name: "Fireball", source: "XPHB"}, {isBrew: true})).toBe("source group homebrew is not included");
+	});
+
+	it("Should filter by SRD and Basic Rules flags", () => {
+		expect(new ExportFilter({srd: true}).getEntryExcludedReason("spell", {name: "Fireball", source: "XPHB", srd52: true})).toBe(null);
+		expect(new ExportFilter({srd: true}).getEntryExcludedReason("spell", {name: "Chromatic Orb", source: "XPHB"})).toBe("not in the SRD");
+		expect(new ExportFilter({basicRules: true}).getEntryExcludedReason("spell", {name: "Fireball", source: "PHB", basicRules: true})).toBe(null);
+	});
+
+	it("Should only skip entries reprinted in an exported source", () => {
+		const entry = {name: "Fireball", source: "PHB", reprintedAs: ["Fireball|XPHB"]};
+		expect(new ExportFilter({excludeReprinted: true}).getEntryExcludedReason("spell", entry)).toBe("reprinted as Fireball (XPHB)");
+		expect(new ExportFilter({excludeReprinted: true, excludeSources: ["XPHB"]}).getEntryExcludedReason("spell", entry)).toBe(null);
+	});
+
+	it("Should filter by frontmatter fields", () => {
+		const filter = new ExportFilter({types: {monster: {cr: {min: 1, max: 5}}, spell: {school: ["evocation"]}}});
+		expect(filter.getFrontmatterExcludedReason("monster", {cr: "2"})).toBe(null);
+		expect(filter.getFrontmatterExcludedReason("monster", {cr: "1/2"})).toBe("cr does not match the filter");
+		expect(filter.getFrontmatterExcludedReason("monster", {})).toBe("cr does not match the filter");
+		expect(filter.getFrontmatterExcludedReason("spell", {school: "Evocation"})).toBe(null);
+		expect(filter.getFrontmatterExcludedReason("item", {rarity: "rare"})).toBe(null);
+	});
+});
@@ -0,0 +1,76 @@
+import fs from "fs";
+import path from "path";
+import {MarkdownExportTestUtil, MarkdownExportTestVault} from "../util-markdown-export-golden.js";
+
+describe("Markdown export fluff", () => {
+	let vault;
+	let dataDir;
+
+	const readNote = () => vault.readNote("feats/Alert (XPHB).md");
+
+	const pExport = (opts = {}) => vault.pExport({dataDir, ...opts}, {force: true});
+
+	MarkdownExportTestUtil.useLogStub();
+
+	beforeEach(() => {
+		vault = new MarkdownExportTestVault("fluff");
+		dataDir = path.join(vault.dir, "data");
+		fs.mkdirSync(dataDir);
+
+		fs.writeFileSync(path.join(dataDir, "feats.json"), JSON.stringify({
+			feat: [
+				{
+					name: "Alert",
+					source: "XPHB",
+					page: 200,
+					category: "O",
+					entries: ["You gain the following benefits."],
+					hasFluff: true,
+					hasFluffImages: true,
+				},
+			],
+		}), "utf8");
+		fs.writeFileSync(path.join(dataDir, "fluff-feats.json"), JSON.stringify({
+			featFluff: [
+				{
+					name: "Alert",
+					source: "XPHB",
+					entries: ["Lore from the exported data directory."],
+					images: [{type: "image", href: {type: "internal", path: "feats/alert.webp"}}],
+				},
+			],
+		}), "utf8");
+	});
+
+	afterEach(() => {
+		vault.remove();
+	});
+
+	it("Should read fluff files from the data directory", async () => {
+		await pExport();
+		expect(readNote()).toContain("## Lore\n\nLore from the exported data directory.");
+	}, 60_000);
+
+	it("Should leave out site images which are neither copied nor linked", async () => {
+		await pExport();
+		const note = readNote();
+		expect(note).toContain("# Alert\n\nYou gain the following benefits.");
+		expect(note).toContain("## Lore");
+		expect(note).not.toContain("alert.webp");
+	}, 60_000);
+
+	it("Should link site images from the image base URL", async () => {
+		await pExport({imageBaseUrl: "https://example.com/img"});
+		expect(readNote()).toContain("# Alert\n\n![](https://example.com/img/feats/alert.webp)\n");
+	}, 60_000);
+
+	it("Should copy site images from the image directory", async () => {
+		const imageDir = path.join(vault.dir, "img");
+		fs.mkdirSync(path.join(imageDir, "feats"), {recursive: true});
+		fs.writeFileSync(path.join(imageDir, "feats", "alert.webp"), "", "utf8");
+
+		await pExport({imageDir});
+		expect(readNote()).toContain("# Alert\n\n![[_images/feats/alert.webp]]\n");
+		expect(fs.existsSync(vault.getPath("_images/feats/alert.webp"))).toBe(true);
+	}, 60_000);
+});
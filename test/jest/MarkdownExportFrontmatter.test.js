@@ -0,0 +1,63 @@
+import YAML from "yaml";
+import {MarkdownFormatter} from "../../node/util-markdown-export.js";
+import {MarkdownExportGolden} from "../util-markdown-export-golden.js";
+
+// The frontmatter is read by Obsidian (and its plugins), not by the exporter's own parser, so it is checked against an
+//   independent YAML parser, under both the YAML 1.1 and 1.2 schemas.
+const YAML_VERSIONS = ["1.1", "1.2"];
+
+const parseYaml = (yaml, version) => YAML.parse(yaml, {version, strict: true, uniqueKeys: true, prettyErrors: false});
+
+const getFrontmatterYaml = markdown => /^---\n([\s\S]*?)\n---(?:\n|$)/.exec(markdown)?.[1];
+
+describe("Markdown export frontmatter", () => {
+	const formatter = new MarkdownFormatter(null);
+
+	describe.each(YAML_VERSIONS)("YAML %s", (version) => {
+		it.each([
+			["plain strings", {name: "Aboleth", source: "MM", alignment: "Lawful Evil"}],
+			["strings which read as other types", {a: "yes", b: "No", c: "on", d: "y", e: "null", f: "~", g: "true", h: "1e3", i: "0x1F", j: "0o17", k: ".5", l: "-.inf", m: ".NaN", n: "2024-01-01", o: "1_000", p: "", q: "12:30", r: "190:20:30.15", s: "0b101"}],
+			["strings with indicators", {a: "- item", b: "#tag", c: "key: value", d: "a # comment", e: "trailing:", f: "[list]", g: "{map}", h: "*alias", i: "&anchor", j: "!tag", k: "|", l: ">", m: "'quoted'", n: "\"quoted\"", o: "%directive", p: "@at", q: "`tick`", r: "?"}],
+			["strings with whitespace and control characters", {a: " leading", b: "trailing ", c: "two\nlines", d: "tab\there", e: "bell\u0007", f: "\\backslash"}],
+			["non-ASCII strings", {a: "Player’s Handbook", b: "Ætherwing", c: "日本語", d: "emoji 🐉"}],
+			["numbers and booleans", {a: 0, b: -3, c: 1.5, d: 1e21, e: true, f: false}],
+			["nested collections", {
+				tags: ["dnd5e/monster", "dnd5e/source-mm"],
+				speed: {walk: 10, swim: 40},
+				ac_details: [{ac: 17, from: ["natural armor"]}, {ac: 19, condition: "with mage armor: yes"}],
+				matrix: [[1, 2], [], [{}]],
+				empty: {},
+				none: [],
+			}],
+			["keys which need quoting", {"yes": 1, "key: with colon": 2, "#hash": 3, "1": 4}],
+		])("Should be parsed back as the frontmatter: %s", (_, frontmatter) => {
+			const yaml = formatter._generateYAML(frontmatter);
+			expect(parseYaml(getFrontmatterYaml(yaml), version)).toEqual(formatter._getYAMLNormalized(frontmatter));
+		});
+
+		it("Should omit null values, as read back", () => {
+			const yaml = formatter._generateYAML({name: "Goblin", page: null, nested: {a: undefined, b: 1}, list: [null, 1]});
+			expect(parseYaml(getFrontmatterYaml(yaml), version)).toEqual({name: "Goblin", nested: {b: 1}, list: [null, 1]});
+		});
+	});
+
+	describe("Exported notes", () => {
+		const notesGolden = {
+			...MarkdownExportGolden.getNotes(MarkdownExportGolden.DIR_GOLDEN),
+			...Object.fromEntries(
+				Object.keys(MarkdownExportGolden.OPTION_SETS)
+					.flatMap(optionSetName => Object.entries(MarkdownExportGolden.getOptionSetNotes(optionSetName))
+						.map(([file, markdown]) => [`${optionSetName}/${file}`, markdown])),
+			),
+		};
+		const files = Object.keys(notesGolden).filter(file => file.endsWith(".md"));
+
+		it.each(files)("Should have frontmatter which parses as the exporter reads it: %s", (file) => {
+			const yaml = getFrontmatterYaml(notesGolden[file]);
+			expect(yaml).toBeDefined();
+
+			const expected = formatter.parseFrontmatter(notesGolden[file]);
+			YAML_VERSIONS.forEach(version => expect(parseYaml(yaml, version)).toEqual(expected));
+		});
+	});
+});
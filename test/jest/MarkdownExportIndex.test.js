@@ -0,0 +1,35 @@
+import fs from "fs";
+import path from "path";
+import {MarkdownExportTestUtil, MarkdownExportTestVault} from "../util-markdown-export-golden.js";
+
+describe("Markdown export index notes", () => {
+	let vault;
+
+	const getPath = notePath => vault.getPath(`${notePath}.md`);
+
+	MarkdownExportTestUtil.useLogStub();
+
+	beforeEach(() => {
+		vault = new MarkdownExportTestVault("index", {isCopyData: true});
+	});
+
+	afterEach(() => {
+		vault.remove();
+	});
+
+	it("Should not list the notes of deleted source files", async () => {
+		await vault.pExport();
+		expect(vault.readNote("items/_index.md")).toContain("[[items/Bag of Holding (DMG)\\|Bag of Holding]]");
+		expect(vault.readNote("Home.md")).toContain("[[feats/_index\\|Feats]]");
+
+		fs.rmSync(path.join(vault.dataDir, "items.json"));
+		fs.rmSync(path.join(vault.dataDir, "feats.json"));
+		await vault.pExport();
+
+		expect(fs.existsSync(getPath("items/Bag of Holding (DMG)"))).toBe(false);
+		expect(vault.readNote("items/_index.md")).not.toContain("Bag of Holding");
+
+		expect(fs.existsSync(getPath("feats/_index"))).toBe(false);
+		expect(vault.readNote("Home.md")).not.toContain("feats/_index");
+	}, 120_000);
+});
@@ -0,0 +1,104 @@
+import fs from "fs";
+import path from "path";
+import {MarkdownExportTestUtil, MarkdownExportTestVault} from "../util-markdown-export-golden.js";
+
+const BREW_META = {sources: [{json: "TestBrew", abbreviation: "TB", full: "Test Brew", version: "1.0.0"}]};
+
+describe("Markdown export orphaned notes", () => {
+	let vault;
+
+	const logged = MarkdownExportTestUtil.useLogStub();
+
+	const brewPath = name => path.join(vault.dir, "brew", `${name}.json`);
+
+	const writeBrew = (name, featNames) => {
+		const feat = featNames.map(featName => ({name: featName, source: "TestBrew", entries: [`The ${featName} feat.`]}));
+		fs.writeFileSync(brewPath(name), JSON.stringify({_meta: BREW_META, feat}), "utf8");
+	};
+
+	// Only the homebrew (and site feats) are exported, as the notes under test are all homebrew
+	const pExport = (opts = {}) => vault.pExport({brewPaths: [path.join(vault.dir, "brew")], ...opts}, {resourceTypes: ["feats"]});
+
+	beforeEach(() => {
+		vault = new MarkdownExportTestVault("orphans");
+		fs.mkdirSync(path.join(vault.dir, "brew"));
+
+		// "Shared" is exported to the same note by both files
+		writeBrew("first", ["Alpha", "Beta", "Shared"]);
+		writeBrew("second", ["Shared"]);
+	});
+
+	afterEach(() => {
+		vault.remove();
+	});
+
+	const pExportDeletedAndRenamed = async (opts) => {
+		await pExport(opts);
+
+		// "Alpha" is deleted, "Beta" renamed, and "Shared" deleted from the file the index points at
+		writeBrew("first", ["Gamma", "Shared"]);
+		writeBrew("second", []);
+		logged.length = 0;
+		return pExport(opts);
+	};
+
+	it.each([
+		["delete", null],
+		["move", "_orphaned"],
+	])("Should %s the notes of deleted and renamed entries", async (orphans, orphanDir) => {
+		const stats = await pExportDeletedAndRenamed({orphans});
+
+		expect(stats.removed).toBe(2);
+		["feats/Alpha (TestBrew).md", "feats/Beta (TestBrew).md"].forEach(notePathRemoved => {
+			expect(fs.existsSync(vault.getPath(notePathRemoved))).toBe(false);
+			if (orphanDir) expect(fs.existsSync(vault.getPath(path.join(orphanDir, notePathRemoved)))).toBe(true);
+			expect(logged).toContain(`  - ${notePathRemoved}`);
+		});
+		expect(fs.existsSync(vault.getPath("feats/Gamma (TestBrew).md"))).toBe(true);
+
+		const state = vault.readState();
+		expect(Object.keys(state.files[brewPath("first")].entries).sort()).toEqual(["feat|gamma|testbrew", "feat|shared|testbrew"]);
+		expect(state.files[brewPath("second")]).toBeUndefined();
+		expect(state.index).not.toHaveProperty(["feat|alpha|testbrew"]);
+		expect(state.index).not.toHaveProperty(["feat|beta|testbrew"]);
+		expect(state.removed).toHaveProperty(["feat|alpha|testbrew", "action"], orphans);
+	}, 60_000);
+
+	it("Should keep a note still exported by another entry", async () => {
+		await pExportDeletedAndRenamed({orphans: "delete"});
+
+		expect(fs.existsSync(vault.getPath("feats/Shared (TestBrew).md"))).toBe(true);
+		expect(vault.readState().index["feat|shared|testbrew"]).toEqual({
+			source_file: brewPath("first"),
+			output_file: vault.getPath("feats/Shared (TestBrew).md"),
+		});
+	}, 60_000);
+
+	it("Should number a moved note rather than overwrite an earlier orphan", async () => {
+		await pExport({orphans: "move"});
+		writeBrew("first", ["Beta", "Shared"]);
+		await pExport({orphans: "move"});
+
+		// "Alpha" is added back, edited, and deleted again
+		writeBrew("first", ["Alpha", "Beta", "Shared"]);
+		await pExport({orphans: "move"});
+		fs.appendFileSync(vault.getPath("feats/Alpha (TestBrew).md"), "\nSecond\n", "utf8");
+		writeBrew("first", ["Beta", "Shared"]);
+		await pExport({orphans: "move"});
+
+		expect(vault.readNote("_orphaned/feats/Alpha (TestBrew).md")).not.toContain("Second");
+		expect(vault.readNote("_orphaned/feats/Alpha (TestBrew) (2).md")).toContain("Second");
+	}, 60_000);
+
+	it("Should forget entries removed more than 30 days ago", async () => {
+		await pExportDeletedAndRenamed({orphans: "delete"});
+
+		const state = vault.readState();
+		state.removed["feat|alpha|testbrew"].removed_at = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+		fs.writeFileSync(vault.statePath, JSON.stringify(state), "utf8");
+		await pExport({orphans: "delete"});
+
+		expect(vault.readState().removed).not.toHaveProperty(["feat|alpha|testbrew"]);
+		expect(vault.readState().removed).toHaveProperty(["feat|beta|testbrew"]);
+	}, 60_000);
+});
@@ -0,0 +1,72 @@
+import fs from "fs";
+import {MarkdownExportEngine} from "../../node/util-markdown-export.js";
+import {MarkdownExportTestVault} from "../util-markdown-export-golden.js";
+
+const getNote = ({name, source, type, content}) => `---
+name: ${name}
+source: ${source}
+type: ${type}
+---
+# ${name}
+
+${content}
+
+---
+**Source:** *${source}*`;
+
+describe("Markdown export \"Referenced By\" sections", () => {
+	let vault;
+	let engine;
+
+	const getPath = notePath => vault.getPath(`${notePath}.md`);
+	const writeNote = (notePath, note) => engine._writeNoteFile(getPath(notePath), getNote(note));
+	const readNote = notePath => vault.readNote(`${notePath}.md`);
+
+	beforeEach(() => {
+		vault = new MarkdownExportTestVault("referenced-by");
+		engine = vault.getEngine();
+
+		writeNote("spells/Fly (PHB)", {name: "Fly", source: "PHB", type: "spell", content: "You touch a willing creature."});
+		writeNote("items/Broom of Flying (DMG)", {name: "Broom of Flying", source: "DMG", type: "item", content: "As if under the [[spells/Fly (PHB)|Fly (PHB)]] spell."});
+		writeNote("monsters/Mage (MM)", {name: "Mage", source: "MM", type: "monster", content: "3rd level: [[spells/Fly (PHB)|Fly (PHB)]], [[spells/Fly (PHB)|Fly (PHB)]]\n\n![[spells/Fly (PHB)]]"});
+	});
+
+	afterEach(() => {
+		vault.remove();
+	});
+
+	it("Should list the notes linking to a note, grouped by resource type", () => {
+		expect(engine._exportReferencedBy()).toEqual([getPath("spells/Fly (PHB)")]);
+
+		const markdown = readNote("spells/Fly (PHB)");
+		expect(markdown.endsWith(`**Source:** *PHB*\n\n## Referenced By\n\n**Items:** [[items/Broom of Flying (DMG)|Broom of Flying (DMG)]]\n\n**Monsters:** [[monsters/Mage (MM)|Mage (MM)]]`)).toBe(true);
+		expect(MarkdownExportEngine.isNoteEdited(markdown)).toBe(false);
+
+		// Unchanged notes aren't written again
+		expect(engine._exportReferencedBy()).toEqual([]);
+	});
+
+	it("Should keep the reader's own notes, and not list the links in them", () => {
+		engine._exportReferencedBy();
+		fs.appendFileSync(getPath("spells/Fly (PHB)"), "\n\n%% user %%\nSee also [[items/Broom of Flying (DMG)]].\n", "utf8");
+		fs.appendFileSync(getPath("monsters/Mage (MM)"), "\n\n## Notes\n\nLinks [[items/Broom of Flying (DMG)]].\n", "utf8");
+
+		writeNote("items/Broom of Flying (DMG)", {name: "Broom of Flying", source: "DMG", type: "item", content: "Flies."});
+		expect(engine._exportReferencedBy()).toEqual([getPath("spells/Fly (PHB)")]);
+
+		const markdown = readNote("spells/Fly (PHB)");
+		expect(markdown).not.toContain("Broom of Flying (DMG)|");
+		expect(markdown.endsWith(`**Monsters:** [[monsters/Mage (MM)|Mage (MM)]]\n\n%% user %%\nSee also [[items/Broom of Flying (DMG)]].\n`)).toBe(true);
+		expect(MarkdownExportEngine.isNoteEdited(markdown)).toBe(false);
+		expect(readNote("items/Broom of Flying (DMG)")).not.toContain("## Referenced By");
+	});
+
+	it("Should remove the section once nothing links to the note", () => {
+		engine._exportReferencedBy();
+		writeNote("items/Broom of Flying (DMG)", {name: "Broom of Flying", source: "DMG", type: "item", content: "Flies."});
+		writeNote("monsters/Mage (MM)", {name: "Mage", source: "MM", type: "monster", content: "Casts spells."});
+
+		expect(engine._exportReferencedBy()).toEqual([getPath("spells/Fly (PHB)")]);
+		expect(readNote("spells/Fly (PHB)")).toBe(MarkdownExportEngine._getWithContentHash(getNote({name: "Fly", source: "PHB", type: "spell", content: "You touch a willing creature."})));
+	});
+});
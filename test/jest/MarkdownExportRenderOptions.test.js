@@ -0,0 +1,75 @@
+import fs from "fs";
+import path from "path";
+import {MarkdownExportTestUtil, MarkdownExportTestVault} from "../util-markdown-export-golden.js";
+
+describe("Markdown export render options", () => {
+	let vault;
+
+	const readNote = notePath => vault.readNote(`${notePath}.md`);
+
+	MarkdownExportTestUtil.useLogStub();
+
+	beforeEach(() => {
+		vault = new MarkdownExportTestVault("render-options");
+	});
+
+	afterEach(() => {
+		vault.remove();
+	});
+
+	it("Should record the render options in the export state", async () => {
+		await vault.pExport({monsterFormat: "statblock", isDiceRoller: true});
+
+		const {render_options: renderOptions} = vault.readState();
+		expect(renderOptions).toEqual(expect.objectContaining({monsterFormat: "statblock", isDiceRoller: true, isFeatureNotes: false, magicVariants: "notes"}));
+	}, 60_000);
+
+	it("Should skip unchanged entries when the render options are unchanged", async () => {
+		await vault.pExport({monsterFormat: "statblock"});
+		const stats = await vault.pExport({monsterFormat: "statblock"});
+
+		expect(stats.created + stats.updated).toBe(0);
+	}, 60_000);
+
+	it.each([
+		["monster format", {monsterFormat: "statblock"}, "monsters/Aboleth (MM)", "```statblock"],
+		["Dice Roller rolls", {isDiceRoller: true}, "spells/Fireball (PHB)", "`dice: 8d6`"],
+		["magic variants", {magicVariants: "table"}, "items/+1 Weapon (DMG)", "| +1 Longsword |"],
+	])("Should export every entry again when the %s option changes", async (_, opts, notePath, expected) => {
+		await vault.pExport();
+		expect(readNote(notePath)).not.toContain(expected);
+
+		const stats = await vault.pExport(opts);
+		expect(stats.updated).toBeGreaterThan(0);
+		expect(readNote(notePath)).toContain(expected);
+	}, 60_000);
+
+	it("Should export every entry again when a template is edited", async () => {
+		const templateDir = path.join(vault.dir, "templates");
+		fs.mkdirSync(templateDir);
+		fs.writeFileSync(path.join(templateDir, "monster.hbs"), "{{yaml}}\n{{content}}\n", "utf8");
+
+		await vault.pExport({templateDir});
+
+		fs.writeFileSync(path.join(templateDir, "monster.hbs"), "{{yaml}}\n{{content}}\n\n%% Edited %%\n", "utf8");
+		await vault.pExport({templateDir});
+
+		expect(readNote("monsters/Aboleth (MM)")).toContain("%% Edited %%");
+	}, 60_000);
+
+	it("Should only record the render options of a full export", async () => {
+		await vault.pExport();
+		await vault.pExport({monsterFormat: "statblock"}, {resourceTypes: ["spells"]});
+		await vault.pExport({monsterFormat: "statblock"});
+
+		expect(readNote("monsters/Aboleth (MM)")).toContain("```statblock");
+	}, 60_000);
+
+	it("Should skip unchanged entries on a partial export before any full export", async () => {
+		await vault.pExport({}, {resourceTypes: ["spells"]});
+		const stats = await vault.pExport({}, {resourceTypes: ["spells"]});
+
+		expect(stats.created + stats.updated).toBe(0);
+		expect(vault.readState().render_options).toBeNull();
+	}, 60_000);
+});
@@ -0,0 +1,98 @@
+import fs from "fs";
+import path from "path";
+import {MarkdownExportEngine} from "../../node/util-markdown-export.js";
+import {MarkdownExportTestUtil, MarkdownExportTestVault} from "../util-markdown-export-golden.js";
+
+const BREW = {
+	_meta: {
+		sources: [{json: "TestBrew", abbreviation: "TB", full: "Test Brew", version: "1.0.0"}],
+	},
+	monster: [
+		{
+			name: "Bound Spirit",
+			source: "TestBrew",
+			size: ["M"],
+			type: "undead",
+			alignment: ["N"],
+			ac: [{special: "11 + the level of the spell (natural armor)"}],
+			hp: {special: "30 + 10 for each spell level above 2"},
+			speed: {walk: 30},
+			str: 12,
+			dex: 14,
+			con: 12,
+			int: 10,
+			wis: 10,
+			cha: 10,
+			passive: 10,
+			summonedBySpellLevel: 2,
+			action: [
+				{
+					name: "Chilling Touch",
+					entries: ["{@atk ms} {@hit 4} to hit, reach 5 ft., one target. {@h}{@damage 1d8 + 4 + summonSpellLevel} cold damage."],
+				},
+			],
+		},
+	],
+};
+
+describe("Markdown export scaled creatures", () => {
+	let vault;
+	let brewPath;
+
+	const getPath = notePath => vault.getPath(`${notePath}.md`);
+	const getNote = notePath => vault.readNote(`${notePath}.md`);
+
+	const pExport = (options = {}) => vault.pExport({brewPaths: [brewPath], ...options});
+
+	MarkdownExportTestUtil.useLogStub();
+
+	beforeAll(() => {
+		vault = new MarkdownExportTestVault("scaled");
+		brewPath = path.join(vault.dir, "brew.json");
+		fs.writeFileSync(brewPath, JSON.stringify(BREW), "utf8");
+	});
+
+	afterAll(() => {
+		vault.remove();
+	});
+
+	it("Should write the requested scaled creatures, linked from the creature's note", async () => {
+		const stats = await pExport({scaleCreatures: ["aboleth|mm@5", "bound spirit|testbrew@4"]});
+		expect(stats.errors).toBe(0);
+
+		const markdownCr = getNote("monsters/Aboleth (MM)/Aboleth (CR 5) (MM)");
+		expect(markdownCr).toContain("# Aboleth (CR 5)\n");
+		expect(markdownCr).toContain("*Scaled to CR 5 from [[monsters/Aboleth (MM)|Aboleth (MM)]].*");
+		expect(markdownCr).toContain(`scaled_from:\n  name: "Aboleth"\n  source: "MM"\n  cr: "5"\n`);
+		expect(markdownCr).toMatch(/^cr: 5$/m);
+		expect(getNote("monsters/Aboleth (MM)")).toContain("## Scaled Versions\n\n- [[monsters/Aboleth (MM)/Aboleth (CR 5) (MM)|CR 5]]\n");
+
+		const markdownSpell = getNote("monsters/Bound Spirit (TestBrew)/Bound Spirit (Spell Level 4) (TestBrew)");
+		expect(markdownSpell).toContain("# Bound Spirit (4th-Level Spell)\n");
+		expect(markdownSpell).toContain(`scaled_from:\n  name: "Bound Spirit"\n  source: "TestBrew"\n  spell_level: 4\n`);
+		expect(markdownSpell).toContain("**Hit Points** 50");
+		expect(getNote("monsters/Bound Spirit (TestBrew)")).toContain("- [[monsters/Bound Spirit (TestBrew)/Bound Spirit (Spell Level 4) (TestBrew)|Spell Level 4]]");
+	}, 120_000);
+
+	it("Should write summoned creatures at every level of their spell", async () => {
+		await pExport({isScaleSummons: true});
+
+		const levels = [2, 3, 4, 5, 6, 7, 8, 9];
+		levels.forEach(level => expect(fs.existsSync(getPath(`monsters/Bound Spirit (TestBrew)/Bound Spirit (Spell Level ${level}) (TestBrew)`))).toBe(true));
+		expect(getNote("monsters/Bound Spirit (TestBrew)")).toContain(levels.map(level => `- [[monsters/Bound Spirit (TestBrew)/Bound Spirit (Spell Level ${level}) (TestBrew)|Spell Level ${level}]]`).join("\n"));
+
+		// No longer requested
+		expect(fs.existsSync(vault.getPath("monsters/Aboleth (MM)"))).toBe(false);
+	}, 120_000);
+
+	it("Should remove scaled creatures which are no longer requested", async () => {
+		await pExport();
+
+		expect(fs.readdirSync(vault.getPath("monsters")).filter(it => !it.endsWith(".md"))).toEqual([]);
+		expect(getNote("monsters/Bound Spirit (TestBrew)")).not.toContain("## Scaled Versions");
+	}, 120_000);
+
+	it("Should reject invalid creatures to scale", () => {
+		expect(() => new MarkdownExportEngine({scaleCreatures: ["goblin|mm"]})).toThrow(`Invalid creature to scale "goblin|mm"!`);
+	});
+});
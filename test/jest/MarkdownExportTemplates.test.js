@@ -0,0 +1,41 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {NoteTemplates} from "../../node/util-markdown-export.js";
+
+describe("Markdown export note templates", () => {
+	const context = {yaml: "---\ntype: monster\n---", content: "# Goblin", title: "Goblin"};
+
+	let tmpDir;
+
+	beforeEach(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "markdown-export-templates-"));
+	});
+
+	afterEach(() => {
+		fs.rmSync(tmpDir, {recursive: true, force: true});
+	});
+
+	it("Should render with the default template", () => {
+		expect(new NoteTemplates().render("monster", context)).toBe("---\ntype: monster\n---\n# Goblin");
+	});
+
+	it("Should find the default template when run outside the repository", () => {
+		const cwd = process.cwd();
+		process.chdir(tmpDir);
+		try {
+			expect(new NoteTemplates().render("monster", context)).toBe("---\ntype: monster\n---\n# Goblin");
+		} finally {
+			process.chdir(cwd);
+		}
+	});
+
+	it("Should prefer the note type's template, then the user's default template", () => {
+		fs.writeFileSync(path.join(tmpDir, "monster.hbs"), "Monster: {{title}}\n", "utf8");
+		fs.writeFileSync(path.join(tmpDir, "note.hbs"), "Note: {{title}}\n", "utf8");
+
+		const noteTemplates = new NoteTemplates({templateDir: tmpDir});
+		expect(noteTemplates.render("monster", context)).toBe("Monster: Goblin");
+		expect(noteTemplates.render("spell", context)).toBe("Note: Goblin");
+	});
+});
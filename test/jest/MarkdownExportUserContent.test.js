@@ -0,0 +1,82 @@
+import fs from "fs";
+import {MarkdownExportEngine} from "../../node/util-markdown-export.js";
+import {MarkdownExportTestVault} from "../util-markdown-export-golden.js";
+
+const NOTE_V1 = `---
+name: Alert
+source: XPHB
+type: feat
+export_timestamp: "2025-01-01T00:00:00.000Z"
+---
+# Alert
+
+You gain the following benefits.
+
+## Initiative Proficiency
+
+When you roll Initiative, you can add your Proficiency Bonus to the roll.
+
+---
+**Source:** *Player’s Handbook (2024)*, page 200`;
+
+const NOTE_V2 = NOTE_V1.replace("following benefits", "following benefits, and more");
+
+describe("Markdown export user content", () => {
+	let vault;
+	let engine;
+	let notePath;
+
+	beforeEach(() => {
+		vault = new MarkdownExportTestVault("user-content");
+		notePath = vault.getPath("feats/Alert (XPHB).md");
+		engine = vault.getEngine();
+	});
+
+	afterEach(() => {
+		vault.remove();
+	});
+
+	it("Should add a content hash which ignores the export timestamp", () => {
+		engine._writeNoteFile(notePath, NOTE_V1);
+		const markdown = fs.readFileSync(notePath, "utf8");
+		expect(markdown).toMatch(/^content_hash: [0-9a-f]{12}\n---$/m);
+		expect(MarkdownExportEngine.isNoteEdited(markdown)).toBe(false);
+		expect(MarkdownExportEngine.isNoteEdited(markdown.replace(/^export_timestamp: .*$/m, `export_timestamp: "2026-01-01T00:00:00.000Z"`))).toBe(false);
+		expect(MarkdownExportEngine.isNoteEdited(markdown.replace("following benefits", "following boons"))).toBe(true);
+	});
+
+	it("Should carry over user sections when a note is re-exported", () => {
+		engine._writeNoteFile(notePath, NOTE_V1);
+		const markdown = fs.readFileSync(notePath, "utf8")
+			.replace("## Initiative Proficiency\n", "## Notes\n\nTaken by Vex at level 4.\n\n## Initiative Proficiency\n")
+			.concat("\n\n%% user %%\nSession 12: saved the party.\n");
+		fs.writeFileSync(notePath, markdown, "utf8");
+
+		// Only the generated content is hashed
+		expect(MarkdownExportEngine.isNoteEdited(markdown)).toBe(false);
+
+		engine._writeNoteFile(notePath, NOTE_V2);
+		const markdownV2 = fs.readFileSync(notePath, "utf8");
+		expect(markdownV2).toContain("following benefits, and more");
+		expect(markdownV2.endsWith(`page 200\n\n## Notes\n\nTaken by Vex at level 4.\n\n%% user %%\nSession 12: saved the party.\n`)).toBe(true);
+
+		// Carried-over sections aren't duplicated by later exports
+		engine._writeNoteFile(notePath, NOTE_V2);
+		expect(fs.readFileSync(notePath, "utf8")).toBe(markdownV2);
+	});
+
+	it("Should only keep hand-edited notes when asked to", () => {
+		engine._writeNoteFile(notePath, NOTE_V1);
+		const markdownEdited = fs.readFileSync(notePath, "utf8").replace("following benefits", "following boons");
+		fs.writeFileSync(notePath, markdownEdited, "utf8");
+
+		const engineKeep = vault.getEngine({isKeepEdited: true});
+		expect(engineKeep._writeNoteFile(notePath, NOTE_V2)).toBe(false);
+		expect(fs.readFileSync(notePath, "utf8")).toBe(markdownEdited);
+		expect(engineKeep.stats.kept).toBe(1);
+		expect(engineKeep.keptFiles).toEqual([notePath]);
+
+		expect(engine._writeNoteFile(notePath, NOTE_V2)).toBe(true);
+		expect(fs.readFileSync(notePath, "utf8")).toContain("following benefits, and more");
+	});
+});
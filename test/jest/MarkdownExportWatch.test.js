@@ -0,0 +1,94 @@
+import fs from "fs";
+import path from "path";
+import {MarkdownExportTestUtil, MarkdownExportTestVault} from "../util-markdown-export-golden.js";
+
+describe("Markdown export watch mode", () => {
+	let vault;
+	let brewPath;
+	let engine;
+
+	const logged = MarkdownExportTestUtil.useLogStub();
+
+	beforeAll(async () => {
+		vault = new MarkdownExportTestVault("watch", {isCopyData: true});
+
+		// Copies a creature from the site's data, without listing it as a dependency
+		brewPath = path.join(vault.dir, "brew.json");
+		fs.writeFileSync(brewPath, JSON.stringify({
+			_meta: {sources: [{json: "TestBrew", abbreviation: "TB", full: "Test Brew", version: "1.0.0"}]},
+			monster: [{name: "Big Goblin", source: "TestBrew", _copy: {name: "Goblin", source: "MM"}}],
+		}), "utf8");
+
+		engine = vault.getEngine({brewPaths: [brewPath]});
+		await engine.export();
+	}, 120_000);
+
+	afterAll(() => {
+		vault.remove();
+	});
+
+	it("Should export the entries which copy a changed entry", async () => {
+		const bestiaryPath = path.join(vault.dataDir, "bestiary", "bestiary-test.json");
+		vault.editJson(bestiaryPath, data => data.monster.find(it => it.name === "Witchlight Hand (Medium)").passive = 77);
+
+		const stats = await engine.pExportChangedFiles([bestiaryPath]);
+
+		expect(stats).toMatchObject({created: 0, updated: 2, errors: 0});
+		expect(vault.readNote("monsters/Witchlight Hand (Small) (WBtW).md")).toContain("**Passive Perception** 77");
+		expect(logged).toContain("  ✓ Updated monsters/Witchlight Hand (Medium) (WBtW).md");
+		expect(logged).toContain("  ✓ Updated monsters/Witchlight Hand (Small) (WBtW).md");
+	});
+
+	it("Should export the monsters of a changed legendary group", async () => {
+		const legendaryGroupsPath = path.join(vault.dataDir, "bestiary", "legendarygroups.json");
+		vault.editJson(legendaryGroupsPath, data => data.legendaryGroup[0].lairActions[0] = "The aboleth stirs the water.");
+
+		const stats = await engine.pExportChangedFiles([legendaryGroupsPath]);
+
+		expect(stats.notesByType.monster).toBe(1);
+		expect(vault.readNote("monsters/Aboleth (MM).md")).toContain("The aboleth stirs the water.");
+	});
+
+	it("Should only log the notes which changed", async () => {
+		const featsPath = path.join(vault.dataDir, "feats.json");
+		fs.appendFileSync(featsPath, "\n", "utf8");
+
+		const stats = await engine.pExportChangedFiles([featsPath]);
+
+		expect(stats).toMatchObject({created: 0, updated: 0});
+		expect(logged).toContain("  No notes changed");
+	});
+
+	it("Should export files as they are saved", async () => {
+		const featsPath = path.join(vault.dataDir, "feats.json");
+		const abortController = new AbortController();
+		const pWatch = engine.pWatch({signal: abortController.signal});
+
+		vault.editJson(featsPath, data => data.feat.find(it => it.name === "Alert").entries[0] = "You gain the following boons.");
+
+		for (let i = 0; i < 50 && !vault.readNote("feats/Alert (XPHB).md").includes("following boons"); ++i) {
+			await new Promise(resolve => setTimeout(resolve, 100));
+		}
+		abortController.abort();
+		await pWatch;
+
+		expect(vault.readNote("feats/Alert (XPHB).md")).toContain("You gain the following boons.");
+	}, 30_000);
+
+	it("Should export homebrew which copies site entries as it is saved", async () => {
+		const abortController = new AbortController();
+		const pWatch = engine.pWatch({signal: abortController.signal});
+
+		vault.editJson(brewPath, data => data.monster[0].passive = 33);
+
+		for (let i = 0; i < 50 && !vault.readNote("monsters/Big Goblin (TestBrew).md").includes("**Passive Perception** 33"); ++i) {
+			await new Promise(resolve => setTimeout(resolve, 100));
+		}
+		abortController.abort();
+		await pWatch;
+
+		const markdown = vault.readNote("monsters/Big Goblin (TestBrew).md");
+		expect(markdown).toContain("**Passive Perception** 33");
+		expect(markdown).toContain("### Nimble Escape");
+	}, 30_000);
+});
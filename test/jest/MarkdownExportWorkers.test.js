@@ -0,0 +1,17 @@
+import fs from "fs";
+import path from "path";
+import {MarkdownExportEngine} from "../../node/util-markdown-export.js";
+import {MarkdownExportGolden} from "../util-markdown-export-golden.js";
+
+describe("Markdown export with worker threads", () => {
+	it("Should find the worker script regardless of the working directory", () => {
+		expect(path.isAbsolute(MarkdownExportEngine.WORKER_PATH)).toBe(true);
+		expect(fs.existsSync(MarkdownExportEngine.WORKER_PATH)).toBe(true);
+	});
+
+	it("Should export the golden notes", async () => {
+		const notesGolden = MarkdownExportGolden.getNotes(MarkdownExportGolden.DIR_GOLDEN);
+		const notesExported = await MarkdownExportGolden.pGetExportedNotes({jobs: 2});
+		expect(notesExported).toEqual(notesGolden);
+	}, 60_000);
+});
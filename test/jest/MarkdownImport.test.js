@@ -0,0 +1,137 @@
+import fs from "fs";
+import path from "path";
+import {MarkdownImporter} from "../../node/util-markdown-import.js";
+import {MarkdownExportGolden} from "../util-markdown-export-golden.js";
+
+const getNote = notePath => fs.readFileSync(path.join(MarkdownExportGolden.DIR_GOLDEN, notePath), "utf8");
+
+describe("Markdown import", () => {
+	const importer = new MarkdownImporter({vaultDir: MarkdownExportGolden.DIR_GOLDEN});
+
+	it("Should rebuild entries, with links converted back to tags", () => {
+		const {prop, entity, messages} = importer.importNote(getNote("feats/Alert (XPHB).md"));
+		expect(prop).toBe("feat");
+		expect(entity).toEqual({
+			name: "Alert",
+			source: "XPHB",
+			page: 200,
+			entries: [
+				"You gain the following benefits.",
+				{
+					type: "entries",
+					name: "Initiative Proficiency",
+					entries: ["When you roll {@variantrule Initiative|XPHB}, you can add your {@variantrule Proficiency|XPHB} to the roll."],
+				},
+				{
+					type: "entries",
+					name: "Initiative Swap",
+					entries: ["Immediately after you roll {@variantrule Initiative|XPHB}, you can swap your {@variantrule Initiative|XPHB} with the {@variantrule Initiative|XPHB} of one willing ally in the same combat. You can't make this swap if you or the ally has the {@condition Incapacitated|XPHB} condition."],
+				},
+			],
+		});
+		expect(messages).toEqual([
+			`Section "Lore" was not imported`,
+			`Frontmatter "feat_category" ("Origin") was not imported`,
+		]);
+	});
+
+	it("Should tell apart tags sharing a directory by the linked note's type", () => {
+		const {entity} = importer.importNote(getNote("conditions/Cackle Fever (DMG).md"));
+		expect(entity.entries[1]).toContain("{@condition exhaustion|PHB}");
+		expect(entity.entries.at(-1)).toContain("{@variantrule Madness|DMG}");
+	});
+
+	it("Should report links which can't be converted to tags", () => {
+		const {entity, messages} = importer.importNote(getNote("cults-boons/Cult of Asmodeus (MTF).md"));
+		expect(entity.entries[0]).toMatch(/^Asmodeus demands/);
+		expect(messages).toEqual([`Link "[[deities/Asmodeus (SCAG)|Asmodeus (SCAG)]]" was imported as plain text`]);
+	});
+
+	it("Should report frontmatter edits which the body does not match", () => {
+		const note = getNote("variant-rules/Advantage (XPHB).md").replace(/^page: 360$/m, "page: 12\nrule_type: Optional");
+		const {entity, messages} = importer.importNote(note);
+		expect(entity.page).toBe(12);
+		expect(messages).toEqual([`Frontmatter "rule_type" ("Optional") was not imported`]);
+	});
+
+	it("Should import entries under a homebrew source", () => {
+		const importerBrew = new MarkdownImporter({vaultDir: MarkdownExportGolden.DIR_GOLDEN, source: "MyBrew", sourceFull: "My Brew"});
+		const {entity, brewSource, messages} = importerBrew.importNote(getNote("actions/Dash (XPHB).md"));
+		expect(entity.source).toBe("MyBrew");
+		expect(entity.entries[0]).toContain("{@variantrule Speed|XPHB}");
+		expect(brewSource).toEqual({json: "MyBrew", abbreviation: "MyBrew", full: "My Brew", version: "1.0.0"});
+		expect(messages).toEqual([]);
+	});
+
+	it("Should not import the reader's own notes", () => {
+		const note = `${getNote("actions/Dash (XPHB).md")}\n\n## Notes\n\nUsed a lot by Vex.\n\n%% user %%\nSession 3.\n`;
+		const {entity, messages} = importer.importNote(note);
+		expect(entity.entries).toHaveLength(2);
+		expect(messages).toEqual([]);
+	});
+
+	it("Should skip notes which are not entries", () => {
+		expect(importer.importNote(getNote("Home.md"))).toBe(null);
+		expect(importer.importNote(getNote("classes/Fighter (XPHB).md"))).toBe(null);
+	});
+
+	it("Should keep verbose logging out of stdout", () => {
+		const logOriginal = console.log;
+		const errorOriginal = console.error;
+		const logged = [];
+		const errored = [];
+		console.log = msg => logged.push(msg);
+		console.error = msg => errored.push(msg);
+		try {
+			new MarkdownImporter({verbose: true}).log("Imported actions/Dash (XPHB).md");
+		} finally {
+			console.log = logOriginal;
+			console.error = errorOriginal;
+		}
+		expect(logged).toEqual([]);
+		expect(errored).toEqual(["Imported actions/Dash (XPHB).md"]);
+	});
+
+	// The converters order their output with `PropOrder`, which needs Node.js 22 or later
+	const itConverter = Set.prototype.difference ? it : it.skip;
+
+	describe("Converters", () => {
+		beforeAll(async () => {
+			if (Set.prototype.difference) await importer.pInitConverters();
+		}, 60_000);
+
+		itConverter("Should rebuild monsters", () => {
+			const {entity, messages} = importer.importNote(getNote("monsters/Aboleth (MM).md"));
+			expect(entity).toMatchObject({
+				name: "Aboleth",
+				source: "MM",
+				size: ["L"],
+				type: "aberration",
+				alignment: ["L", "E"],
+				ac: [{ac: 17, from: ["natural armor"]}],
+				hp: {average: 135, formula: "18d10 + 36"},
+				speed: {walk: 10, swim: 40},
+				passive: 20,
+				cr: "10",
+			});
+			expect(entity.trait.map(it => it.name)).toEqual(["Amphibious", "Mucous Cloud", "Probing Telepathy"]);
+			expect(entity.action.find(it => it.name === "Tentacle").entries[0]).toContain("{@spell heal|PHB}");
+			expect(entity.legendary.map(it => it.name)).toEqual(["Detect", "Tail Swipe", "Psychic Drain (Costs 2 Actions)"]);
+			expect(messages).toContain(`Section "Lair Actions" was not imported`);
+		});
+
+		itConverter("Should rebuild spells", () => {
+			const {entity, messages} = importer.importNote(getNote("spells/Fireball (PHB).md"));
+			expect(entity).toMatchObject({
+				level: 3,
+				school: "V",
+				time: [{number: 1, unit: "action"}],
+				range: {type: "point", distance: {type: "feet", amount: 150}},
+				components: {v: true, s: true, m: "a tiny ball of bat guano and sulfur"},
+				duration: [{type: "instant"}],
+			});
+			expect(entity.entriesHigherLevel[0].name).toBe("At Higher Levels");
+			expect(messages).toEqual([]);
+		});
+	});
+});
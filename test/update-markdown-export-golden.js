@@ -0,0 +1,18 @@
+import {MarkdownExportGolden} from "./util-markdown-export-golden.js";
+
+// Re-export the markdown exporter's fixture data, and overwrite the golden notes with the result.
+//   Review the diff before committing: every change should be an intended change to the exporter's output.
+
+async function main () {
+	const notes = await MarkdownExportGolden.pGetExportedNotes();
+	MarkdownExportGolden.writeGolden(notes);
+	console.log(`Wrote ${Object.keys(notes).length} golden notes to ${MarkdownExportGolden.DIR_GOLDEN}`);
+
+	for (const [optionSetName, opts] of Object.entries(MarkdownExportGolden.OPTION_SETS)) {
+		const notesOptionSet = await MarkdownExportGolden.pGetExportedNotes(opts);
+		MarkdownExportGolden.writeOptionSetGolden(optionSetName, notesOptionSet, notes);
+		console.log(`Wrote "${optionSetName}" golden notes to ${MarkdownExportGolden.DIR_GOLDEN_OPTIONS}/${optionSetName}`);
+	}
+}
+
+export default main();
@@ -0,0 +1,211 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {MarkdownExportEngine} from "../node/util-markdown-export.js";
+
+/**
+ * Exports the markdown exporter's fixture data (a few entries of every resource type, in the same layout as the site's
+ * "data" directory), for comparison against the committed "golden" notes.
+ */
+export class MarkdownExportGolden {
+	static DIR_DATA = "test/jest/markdown-export/data";
+	static DIR_GOLDEN = "test/jest/markdown-export/golden";
+	static DIR_GOLDEN_OPTIONS = "test/jest/markdown-export/golden-options";
+
+	/**
+	 * Exports with non-default options, each compared against the notes it changes, adds, or removes relative to the
+	 * default export. Keys are the golden directory names (within `DIR_GOLDEN_OPTIONS`).
+	 */
+	static OPTION_SETS = {
+		"monster-format-statblock": {monsterFormat: "statblock"},
+		"dice-roller": {isDiceRoller: true},
+		"feature-notes": {isFeatureNotes: true},
+		"split-sections": {isSplitSections: true},
+		"magic-variants-table": {magicVariants: "table"},
+		"templates": {templateDir: "test/jest/markdown-export/templates"},
+		"image-base-url": {imageBaseUrl: "https://example.com/img/"},
+	};
+
+	static _FILE_REMOVED = "_removed.json";
+
+	// Varies between runs
+	static _RE_TIMESTAMP = /^export_timestamp: .*$/m;
+
+	/**
+	 * @param [opts] Export engine options, in addition to the defaults.
+	 * @return Note path (relative to the output directory) -> note content
+	 */
+	static async pGetExportedNotes (opts = {}) {
+		const vault = new MarkdownExportTestVault("golden");
+
+		const logOriginal = console.log;
+		console.log = () => {};
+		try {
+			// Canvases are written as separate files, so enabling them leaves the notes unchanged
+			await vault.pExport({isCanvas: true, ...opts}, {force: true});
+
+			return this.getNotes(vault.outputDir);
+		} finally {
+			console.log = logOriginal;
+			vault.remove();
+		}
+	}
+
+	/**
+	 * @return Note (or canvas) path (relative to the directory) -> note content
+	 */
+	static getNotes (dir) {
+		if (!fs.existsSync(dir)) return {};
+
+		return Object.fromEntries(
+			fs.readdirSync(dir, {recursive: true})
+				.filter(file => file.endsWith(".md") || file.endsWith(".canvas"))
+				.map(file => file.split(path.sep).join("/"))
+				.sort()
+				.map(file => [file, this._getNormalized(fs.readFileSync(path.join(dir, file), "utf8"))]),
+		);
+	}
+
+	/**
+	 * Replace the golden notes with freshly-exported ones
+	 */
+	static writeGolden (notes) {
+		fs.rmSync(this.DIR_GOLDEN, {recursive: true, force: true});
+		Object.entries(notes)
+			.forEach(([file, markdown]) => {
+				const outputPath = path.join(this.DIR_GOLDEN, file);
+				fs.mkdirSync(path.dirname(outputPath), {recursive: true});
+				fs.writeFileSync(outputPath, markdown, "utf8");
+			});
+	}
+
+	/**
+	 * @return The notes exported with an option set, as defined by its golden notes: the default golden notes, with
+	 * those the option set changes, adds, or removes.
+	 */
+	static getOptionSetNotes (optionSetName) {
+		const dir = path.join(this.DIR_GOLDEN_OPTIONS, optionSetName);
+		const removedPath = path.join(dir, this._FILE_REMOVED);
+		const removed = new Set(fs.existsSync(removedPath) ? JSON.parse(fs.readFileSync(removedPath, "utf8")) : []);
+
+		const notes = Object.fromEntries(
+			Object.entries({...this.getNotes(this.DIR_GOLDEN), ...this.getNotes(dir)})
+				.filter(([file]) => !removed.has(file)),
+		);
+		return Object.fromEntries(Object.keys(notes).sort().map(file => [file, notes[file]]));
+	}
+
+	/**
+	 * Replace an option set's golden notes with those of its fresh export which differ from the default export.
+	 */
+	static writeOptionSetGolden (optionSetName, notes, notesDefault) {
+		const dir = path.join(this.DIR_GOLDEN_OPTIONS, optionSetName);
+		fs.rmSync(dir, {recursive: true, force: true});
+		fs.mkdirSync(dir, {recursive: true});
+
+		Object.entries(notes)
+			.filter(([file, markdown]) => notesDefault[file] !== markdown)
+			.forEach(([file, markdown]) => {
+				const outputPath = path.join(dir, file);
+				fs.mkdirSync(path.dirname(outputPath), {recursive: true});
+				fs.writeFileSync(outputPath, markdown, "utf8");
+			});
+
+		const removed = Object.keys(notesDefault).filter(file => notes[file] == null);
+		if (removed.length) fs.writeFileSync(path.join(dir, this._FILE_REMOVED), `${JSON.stringify(removed, null, "\t")}\n`, "utf8");
+	}
+
+	static _getNormalized (markdown) {
+		return markdown.replace(this._RE_TIMESTAMP, `export_timestamp: "(timestamp)"`);
+	}
+}
+
+/**
+ * A temporary directory for a test to export to (and edit data in), with its own export state.
+ */
+export class MarkdownExportTestVault {
+	/**
+	 * @param name Used in the directory name.
+	 * @param [opts]
+	 * @param [opts.isCopyData] If the fixture data should be copied into the directory, so the test can edit it.
+	 */
+	constructor (name, {isCopyData = false} = {}) {
+		this.dir = fs.mkdtempSync(path.join(os.tmpdir(), `markdown-export-${name}-`));
+		this.outputDir = path.join(this.dir, "vault");
+		this.statePath = path.join(this.dir, "state.json");
+		this.dataDir = MarkdownExportGolden.DIR_DATA;
+
+		if (isCopyData) {
+			this.dataDir = path.join(this.dir, "data");
+			fs.cpSync(MarkdownExportGolden.DIR_DATA, this.dataDir, {recursive: true});
+		}
+	}
+
+	/**
+	 * @param [opts] Export engine options, in addition to the defaults.
+	 */
+	getEngine (opts = {}) {
+		return new MarkdownExportEngine({
+			dataDir: this.dataDir,
+			outputDir: this.outputDir,
+			statePath: this.statePath,
+			isProgress: false,
+			...opts,
+		});
+	}
+
+	pExport (opts = {}, exportOpts = {}) {
+		return this.getEngine(opts).export(exportOpts);
+	}
+
+	/**
+	 * @param notePath Path relative to the output directory.
+	 */
+	getPath (notePath) {
+		return path.join(this.outputDir, notePath);
+	}
+
+	readNote (notePath) {
+		return fs.readFileSync(this.getPath(notePath), "utf8");
+	}
+
+	readState () {
+		return JSON.parse(fs.readFileSync(this.statePath, "utf8"));
+	}
+
+	editJson (file, fnEdit) {
+		const data = JSON.parse(fs.readFileSync(file, "utf8"));
+		fnEdit(data);
+		fs.writeFileSync(file, JSON.stringify(data, null, "\t"), "utf8");
+	}
+
+	remove () {
+		fs.rmSync(this.dir, {recursive: true, force: true});
+	}
+}
+
+export class MarkdownExportTestUtil {
+	/**
+	 * Silence the exporter's `console.log` output for the tests of the enclosing `describe` block.
+	 * @return The lines logged, cleared before each test.
+	 */
+	static useLogStub () {
+		const logged = [];
+		let logOriginal;
+
+		beforeAll(() => {
+			logOriginal = console.log;
+			console.log = (...args) => logged.push(args.join(" "));
+		});
+
+		afterAll(() => {
+			console.log = logOriginal;
+		});
+
+		beforeEach(() => {
+			logged.length = 0;
+		});
+
+		return logged;
+	}
+}